@@ -0,0 +1,280 @@
+// Player accounts: credential validation, password hashing and cookie login sessions
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Usernames double as storage keys, so they are limited to safe characters
+const USERNAME_PATTERN = /^[a-z0-9_-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+
+// Name of the login cookie and how long a login lasts by default (7 days)
+const LOGIN_COOKIE = "story_login";
+const DEFAULT_LOGIN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Failed sign-ins allowed per username and per client address before they are locked out for the rest of the window
+const DEFAULT_MAX_LOGIN_ATTEMPTS = 10;
+const DEFAULT_LOGIN_ATTEMPT_WINDOW_MS = 15 * 60 * 1000;
+
+// Expired logins and lockouts are swept every 10 minutes
+const LOGIN_SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+// scrypt output length in bytes
+const KEY_LENGTH = 64;
+
+/**
+ * Validate registration or login credentials
+ * @param {Object} [input] - Credentials from the client ({ username, password })
+ * @returns {{ credentials: Object|null, error: string|null }} Credentials with a lowercased username, or the validation error
+ */
+function validateCredentials(input = {}) {
+  const { username, password } = input || {};
+
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username.trim().toLowerCase())) {
+    return { credentials: null, error: "Username must be 3-32 characters: letters, numbers, _ or -" };
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    return { credentials: null, error: `Password must be between ${MIN_PASSWORD_LENGTH} and ${MAX_PASSWORD_LENGTH} characters` };
+  }
+
+  return { credentials: { username: username.trim().toLowerCase(), password }, error: null };
+}
+
+/**
+ * Hash a password with scrypt and a random salt
+ * @param {string} password - Plain-text password
+ * @returns {Promise<Object>} Stored hash ({ salt, hash }) as hex strings
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return { salt: salt.toString('hex'), hash: hash.toString('hex') };
+}
+
+/**
+ * Compare a configured secret with one sent by a client in constant time
+ * Both are hashed first so their lengths don't leak either
+ * @param {string} expected - Secret from the server config
+ * @param {*} actual - Value sent by the client
+ * @returns {boolean} True if they match
+ */
+function secretsMatch(expected, actual) {
+  const expectedHash = crypto.createHash('sha256').update(String(expected)).digest();
+  const actualHash = crypto.createHash('sha256').update(typeof actual === 'string' ? actual : "").digest();
+  return crypto.timingSafeEqual(expectedHash, actualHash);
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ * @param {string} password - Plain-text password
+ * @param {Object} stored - Stored hash ({ salt, hash })
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyPassword(password, stored) {
+  const expected = Buffer.from(stored.hash, 'hex');
+  const actual = await scrypt(password, Buffer.from(stored.salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Create an unguessable game session ID
+ * @returns {string} URL-safe random ID
+ */
+function createSessionId() {
+  return crypto.randomBytes(18).toString('base64url');
+}
+
+/**
+ * Parse a Cookie header
+ * Cookies set by other sites on the same host may not be URI-encoded; those that don't decode are skipped
+ * @param {string} [header] - Raw Cookie header
+ * @returns {Object} Cookie values keyed by name
+ */
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || "").split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      try {
+        cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+      } catch (error) {
+        if (!(error instanceof URIError)) {
+          throw error;
+        }
+      }
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Login sessions keyed by the random token stored in the login cookie
+ * Kept in memory, so players sign in again after a server restart
+ */
+class LoginSessions {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ttlMs] - How long a login lasts
+   */
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs || Number(process.env.LOGIN_TTL_MS) || DEFAULT_LOGIN_TTL_MS;
+    this.sessions = new Map();
+  }
+
+  /**
+   * Start a login session
+   * @param {string} username - Signed-in user
+   * @returns {string} Login token for the cookie
+   */
+  create(username) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    this.sessions.set(token, { username, expiresAt: Date.now() + this.ttlMs });
+    return token;
+  }
+
+  /**
+   * Look up the user of a login token
+   * @param {string} token - Login token
+   * @returns {string|null} Username, or null if the login is unknown or expired
+   */
+  get(token) {
+    const session = token ? this.sessions.get(token) : null;
+    if (!session) {
+      return null;
+    }
+    if (Date.now() > session.expiresAt) {
+      this.sessions.delete(token);
+      return null;
+    }
+    return session.username;
+  }
+
+  /**
+   * End a login session
+   * @param {string} token - Login token
+   */
+  delete(token) {
+    this.sessions.delete(token);
+  }
+
+  /**
+   * Remove every expired login, including those whose cookie is never sent again
+   * @returns {number} Number of logins removed
+   */
+  sweep() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [token, session] of this.sessions) {
+      if (now > session.expiresAt) {
+        this.sessions.delete(token);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+/**
+ * Failed sign-in counter that locks out a key (username or client address) after too many failures
+ * Failures are counted in a fixed window that starts with the first one
+ */
+class LoginAttempts {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxAttempts] - Failures allowed per window
+   * @param {number} [options.windowMs] - Length of the window
+   */
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts || Number(process.env.LOGIN_MAX_ATTEMPTS) || DEFAULT_MAX_LOGIN_ATTEMPTS;
+    this.windowMs = options.windowMs || Number(process.env.LOGIN_ATTEMPT_WINDOW_MS) || DEFAULT_LOGIN_ATTEMPT_WINDOW_MS;
+    this.attempts = new Map();
+  }
+
+  /**
+   * Time until a locked-out key may try again
+   * @param {string[]} keys - Keys of the sign-in (e.g. the username and the client address)
+   * @returns {number} Milliseconds to wait, 0 if none of the keys is locked out
+   */
+  retryAfter(keys) {
+    const now = Date.now();
+    let wait = 0;
+    for (const key of keys) {
+      const entry = this.attempts.get(key);
+      if (entry && entry.resetAt > now && entry.failures >= this.maxAttempts) {
+        wait = Math.max(wait, entry.resetAt - now);
+      }
+    }
+    return wait;
+  }
+
+  /**
+   * Count a failed sign-in against every key
+   * @param {string[]} keys - Keys of the sign-in
+   */
+  fail(keys) {
+    const now = Date.now();
+    for (const key of keys) {
+      const entry = this.attempts.get(key);
+      if (entry && entry.resetAt > now) {
+        entry.failures++;
+      } else {
+        this.attempts.set(key, { failures: 1, resetAt: now + this.windowMs });
+      }
+    }
+  }
+
+  /**
+   * Forget the failures of a key after a successful sign-in
+   * @param {string} key - Key to clear
+   */
+  clear(key) {
+    this.attempts.delete(key);
+  }
+
+  /**
+   * Remove counters whose window has passed
+   * @returns {number} Number of counters removed
+   */
+  sweep() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [key, entry] of this.attempts) {
+      if (entry.resetAt <= now) {
+        this.attempts.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+/**
+ * Periodically remove expired logins and sign-in counters
+ * @param {LoginSessions} loginSessions - Login sessions
+ * @param {LoginAttempts} loginAttempts - Failed sign-in counters
+ * @param {number} [intervalMs] - Time between sweeps
+ * @returns {Object} Interval handle (does not keep the process alive)
+ */
+function startLoginSweeper(loginSessions, loginAttempts, intervalMs) {
+  const timer = setInterval(() => {
+    loginSessions.sweep();
+    loginAttempts.sweep();
+  }, intervalMs || LOGIN_SWEEP_INTERVAL_MS);
+
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  LOGIN_COOKIE,
+  validateCredentials,
+  hashPassword,
+  verifyPassword,
+  secretsMatch,
+  createSessionId,
+  parseCookies,
+  LoginSessions,
+  LoginAttempts,
+  startLoginSweeper
+};
@@ -0,0 +1,160 @@
+// Structured choice generation: schema, parsing and validation of the LLM's JSON choices
+
+// Number of choices offered after every scene
+const CHOICE_COUNT = 3;
+
+// Risk levels a choice may be tagged with
+const RISK_LEVELS = ["low", "medium", "high"];
+
+// Schema every generated choice must satisfy; also shown to the LLM in the prompt
+const CHOICE_SCHEMA = {
+  type: "array",
+  minItems: CHOICE_COUNT,
+  maxItems: CHOICE_COUNT,
+  items: {
+    type: "object",
+    required: ["label", "intent"],
+    properties: {
+      label: { type: "string", minLength: 1, maxLength: 120, description: "What the player does, as shown on the button" },
+      intent: { type: "string", minLength: 1, maxLength: 200, description: "What the player hopes to achieve" },
+      risk: { type: "string", enum: RISK_LEVELS, description: "How dangerous the choice is (optional)" }
+    }
+  }
+};
+
+// Default choices if generation fails
+const DEFAULT_CHOICES = [
+  { label: "Continue exploring", intent: "See what lies further ahead", risk: "medium" },
+  { label: "Take a different path", intent: "Avoid what is ahead and look for another way", risk: "medium" },
+  { label: "Stop and observe your surroundings", intent: "Gather information before acting", risk: "low" }
+];
+
+/**
+ * Validate one choice against CHOICE_SCHEMA.items
+ * @param {*} choice - Candidate choice
+ * @param {number} index - Position in the list, for error messages
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateChoice(choice, index) {
+  const { properties } = CHOICE_SCHEMA.items;
+
+  if (!choice || typeof choice !== 'object' || Array.isArray(choice)) {
+    return `choice ${index} must be an object`;
+  }
+
+  for (const field of CHOICE_SCHEMA.items.required) {
+    if (typeof choice[field] !== 'string' || choice[field].trim().length < properties[field].minLength) {
+      return `choice ${index} is missing a non-empty "${field}" string`;
+    }
+    if (choice[field].length > properties[field].maxLength) {
+      return `choice ${index} "${field}" is longer than ${properties[field].maxLength} characters`;
+    }
+  }
+
+  if (choice.risk !== undefined && !properties.risk.enum.includes(choice.risk)) {
+    return `choice ${index} "risk" must be one of ${properties.risk.enum.join(", ")}`;
+  }
+
+  return null;
+}
+
+/**
+ * Parse and validate the LLM's choices output
+ * Accepts a bare JSON array or an object with a "choices" array, optionally inside a code block
+ * @param {string} output - Raw LLM output
+ * @returns {{ choices: Array|null, error: string|null }} Validated choices or the validation error
+ */
+function parseChoices(output) {
+  if (typeof output !== 'string' || !output.trim()) {
+    return { choices: null, error: "response was empty" };
+  }
+
+  // Strip a surrounding code block if present
+  const text = output.replace(/^\s*```(?:json)?\s*/i, '').replace(/\s*```\s*$/, '').trim();
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    // Fall back to the outermost JSON value in case the model wrapped it in prose
+    const jsonMatch = text.match(/[[{][\s\S]*[\]}]/);
+    try {
+      parsed = JSON.parse(jsonMatch ? jsonMatch[0] : text);
+    } catch (innerError) {
+      return { choices: null, error: `response is not valid JSON (${error.message})` };
+    }
+  }
+
+  if (parsed && !Array.isArray(parsed) && Array.isArray(parsed.choices)) {
+    parsed = parsed.choices;
+  }
+
+  if (!Array.isArray(parsed)) {
+    return { choices: null, error: "response must be a JSON array of choices" };
+  }
+  if (parsed.length < CHOICE_SCHEMA.minItems || parsed.length > CHOICE_SCHEMA.maxItems) {
+    return { choices: null, error: `expected exactly ${CHOICE_COUNT} choices, got ${parsed.length}` };
+  }
+
+  for (let i = 0; i < parsed.length; i++) {
+    const error = validateChoice(parsed[i], i);
+    if (error) {
+      return { choices: null, error };
+    }
+  }
+
+  const choices = parsed.map(choice => {
+    const cleaned = { label: choice.label.trim(), intent: choice.intent.trim() };
+    if (choice.risk) {
+      cleaned.risk = choice.risk;
+    }
+    return cleaned;
+  });
+
+  return { choices, error: null };
+}
+
+/**
+ * Normalize stored choices into choice objects
+ * Scenes saved before structured choices existed hold plain strings
+ * @param {*} choices - Choices stored on a scene
+ * @returns {Array} Choice objects ({ label, intent, risk? })
+ */
+function normalizeChoices(choices) {
+  if (!Array.isArray(choices) || choices.length === 0) {
+    return DEFAULT_CHOICES;
+  }
+
+  return choices.map(choice => {
+    if (typeof choice === 'string') {
+      return { label: choice, intent: choice };
+    }
+    return choice;
+  });
+}
+
+/**
+ * Describe a choice for the narration prompt, including its metadata
+ * @param {Object} choice - Choice object
+ * @returns {string} e.g. "Cross the bridge (intent: reach the far bank, risk: high)"
+ */
+function describeChoice(choice) {
+  const details = [];
+  if (choice.intent && choice.intent !== choice.label) {
+    details.push(`intent: ${choice.intent}`);
+  }
+  if (choice.risk) {
+    details.push(`risk: ${choice.risk}`);
+  }
+  return details.length > 0 ? `${choice.label} (${details.join(", ")})` : choice.label;
+}
+
+module.exports = {
+  CHOICE_COUNT,
+  CHOICE_SCHEMA,
+  DEFAULT_CHOICES,
+  RISK_LEVELS,
+  parseChoices,
+  normalizeChoices,
+  describeChoice
+};
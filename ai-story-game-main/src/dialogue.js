@@ -0,0 +1,213 @@
+// Dialogue attribution for multi-voice narration
+// Splits scene text into narration and quoted speech, works out who says each line
+// and tags every segment with a stable dia-tts speaker voice
+
+// Speaker tags dia-tts understands; the first is always the narrator
+const SPEAKER_TAGS = ["[S1]", "[S2]"];
+const NARRATOR = "narrator";
+const UNKNOWN_SPEAKER = "unknown";
+
+// Straight or curly double quotes around a spoken line
+const QUOTE_PATTERN = /"([^"]+)"|“([^”]+)”/g;
+
+// Speech verbs used by the fallback attribution ("said Mira", "Mira whispers")
+const SPEECH_VERBS = "said|says|asked|asks|replied|replies|whispered|whispers|shouted|shouts|called|calls|muttered|mutters|answered|answers|added|adds|cried|cries|yelled|yells|murmured|murmurs|growled|growls";
+const SPEAKER_AFTER_VERB = new RegExp(`^[\\s,]*(?:${SPEECH_VERBS})\\s+(?:the\\s+)?([A-Z][\\w'-]*(?:\\s+[A-Z][\\w'-]*)?)`);
+const SPEAKER_BEFORE_VERB = new RegExp(`^[\\s,]*(?:the\\s+)?([A-Z][\\w'-]*(?:\\s+[A-Z][\\w'-]*)?)\\s+(?:${SPEECH_VERBS})\\b`);
+const SPEAKER_INTRO = new RegExp(`([A-Z][\\w'-]*(?:\\s+[A-Z][\\w'-]*)?)\\s+(?:${SPEECH_VERBS})[^.!?]*[,:]\\s*$`);
+
+/**
+ * Split scene text into narration and speech segments
+ * @param {string} text - Scene narration
+ * @returns {Array} Segments ({ type: "narration"|"speech", text }) in reading order
+ */
+function splitDialogue(text) {
+  const segments = [];
+  let lastIndex = 0;
+
+  for (const match of String(text || "").matchAll(QUOTE_PATTERN)) {
+    const before = text.substring(lastIndex, match.index).trim();
+    if (before) {
+      segments.push({ type: "narration", text: before });
+    }
+
+    const spoken = (match[1] || match[2]).trim();
+    if (spoken) {
+      segments.push({ type: "speech", text: spoken });
+    }
+    lastIndex = match.index + match[0].length;
+  }
+
+  const rest = String(text || "").substring(lastIndex).trim();
+  if (rest) {
+    segments.push({ type: "narration", text: rest });
+  }
+
+  return segments;
+}
+
+/**
+ * Build the prompt that asks the LLM who speaks each quoted line
+ * @param {string} sceneText - Scene narration
+ * @param {Array} segments - Segments from splitDialogue
+ * @param {Array} knownSpeakers - Speakers already heard this session
+ * @returns {string} Attribution prompt
+ */
+function buildAttributionPrompt(sceneText, segments, knownSpeakers) {
+  const lines = segments
+    .filter(segment => segment.type === "speech")
+    .map((segment, index) => `${index + 1}. "${segment.text}"`)
+    .join("\n");
+
+  return `
+You attribute dialogue for an audiobook narrator.
+Scene: "${sceneText}"
+Characters heard so far: ${knownSpeakers.length > 0 ? knownSpeakers.join(", ") : "none"}
+
+Quoted lines, in order:
+${lines}
+
+For each quoted line, give the name of the character who speaks it. Reuse names from the list above for the same character.
+Use "protagonist" for the player character and "unknown" if the speaker can't be determined.
+Respond with only JSON in this exact format:
+{"speakers": ["name for line 1", "name for line 2"]}
+`;
+}
+
+/**
+ * Parse the LLM's attribution output
+ * @param {string} output - Raw LLM output
+ * @param {number} count - Number of quoted lines
+ * @returns {Array|null} One speaker name per line, or null if unusable
+ */
+function parseAttribution(output, count) {
+  if (typeof output !== 'string') {
+    return null;
+  }
+
+  const jsonMatch = output.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonMatch[0]);
+  } catch (error) {
+    return null;
+  }
+  if (!parsed || !Array.isArray(parsed.speakers) || parsed.speakers.length !== count) {
+    return null;
+  }
+
+  return parsed.speakers.map(speaker =>
+    typeof speaker === 'string' && speaker.trim() ? speaker.trim() : UNKNOWN_SPEAKER
+  );
+}
+
+/**
+ * Guess speakers from the narration around each quote ("..." said Mira / Mira asked, "...")
+ * Used when the LLM attribution fails
+ * @param {Array} segments - Segments from splitDialogue
+ * @returns {Array} One speaker name per quoted line
+ */
+function guessSpeakers(segments) {
+  const speakers = [];
+
+  segments.forEach((segment, index) => {
+    if (segment.type !== "speech") {
+      return;
+    }
+
+    const next = segments[index + 1];
+    const previous = segments[index - 1];
+    let match = null;
+    if (next && next.type === "narration") {
+      match = next.text.match(SPEAKER_AFTER_VERB) || next.text.match(SPEAKER_BEFORE_VERB);
+    }
+    if (!match && previous && previous.type === "narration") {
+      match = previous.text.match(SPEAKER_INTRO);
+    }
+
+    speakers.push(match ? match[1] : UNKNOWN_SPEAKER);
+  });
+
+  return speakers;
+}
+
+/**
+ * Create the speaker-to-voice map for a new session
+ * @returns {Object} Voice map ({ narrator: "[S1]" })
+ */
+function createVoiceMap() {
+  return { [NARRATOR]: SPEAKER_TAGS[0] };
+}
+
+/**
+ * Look up a speaker's voice, assigning the next free character voice on first appearance
+ * Character voices rotate through every tag but the narrator's, so a speaker keeps their voice all session
+ * @param {Object} voices - Voice map
+ * @param {string} speaker - Speaker name
+ * @returns {{ voices: Object, tag: string }} Updated map and the speaker's tag
+ */
+function assignVoice(voices, speaker) {
+  const key = speaker.toLowerCase();
+  if (voices[key]) {
+    return { voices, tag: voices[key] };
+  }
+
+  const characterTags = SPEAKER_TAGS.slice(1);
+  const assigned = Object.keys(voices).filter(name => name !== NARRATOR).length;
+  const tag = characterTags[assigned % characterTags.length];
+  return { voices: { ...voices, [key]: tag }, tag };
+}
+
+/**
+ * Build tagged dia-tts input from attributed segments
+ * Consecutive segments in the same voice are merged, since dia-tts expects speakers to alternate
+ * @param {Array} segments - Segments from splitDialogue
+ * @param {Array} speakers - One speaker name per quoted line
+ * @param {Object} voices - Voice map
+ * @returns {{ text: string, voices: Object }} Tagged TTS text and the updated voice map
+ */
+function buildSpeechScript(segments, speakers, voices) {
+  let map = voices;
+  const parts = [];
+  let speechIndex = 0;
+
+  for (const segment of segments) {
+    let tag = map[NARRATOR];
+    let text = segment.text;
+    if (segment.type === "speech") {
+      const speaker = speakers[speechIndex++] || UNKNOWN_SPEAKER;
+      const result = assignVoice(map, speaker);
+      map = result.voices;
+      tag = result.tag;
+      text = `"${text}"`;
+    }
+
+    const last = parts[parts.length - 1];
+    if (last && last.tag === tag) {
+      last.text += " " + text;
+    } else {
+      parts.push({ tag, text });
+    }
+  }
+
+  return {
+    text: parts.map(part => `${part.tag} ${part.text}`).join(" "),
+    voices: map
+  };
+}
+
+module.exports = {
+  SPEAKER_TAGS,
+  NARRATOR,
+  UNKNOWN_SPEAKER,
+  splitDialogue,
+  buildAttributionPrompt,
+  parseAttribution,
+  guessSpeakers,
+  createVoiceMap,
+  buildSpeechScript
+};
@@ -0,0 +1,169 @@
+// Story goals and endings: every adventure has an objective, and ends in victory, death or an open ending
+const { cleanText } = require('./storySetup');
+
+// Ways a story can end, with the title shown on the end screen
+const ENDING_TYPES = {
+  victory: { label: "Victory" },
+  death: { label: "Death" },
+  open: { label: "The End" }
+};
+
+// Stories reach an open ending after this many scenes unless STORY_MAX_SCENES says otherwise
+const DEFAULT_MAX_SCENES = 25;
+
+// The LLM may only end a story once it has had room to develop; death from lost health can happen any time
+const MIN_SCENES_BEFORE_ENDING = 3;
+
+// Longest goal kept from a generated response
+const MAX_GOAL_LENGTH = 200;
+
+/**
+ * Maximum story length in scenes
+ * @returns {number} Scenes before the story is brought to an open ending
+ */
+function getMaxScenes() {
+  const value = Number(process.env.STORY_MAX_SCENES);
+  return Number.isInteger(value) && value > 1 ? value : DEFAULT_MAX_SCENES;
+}
+
+/**
+ * Build the prompt that invents an objective for a new story
+ * @param {string} setupDescription - Genre, tone and protagonist lines
+ * @param {string} premise - Opening premise
+ * @returns {string} Goal prompt
+ */
+function buildGoalPrompt(setupDescription, premise) {
+  return `
+You are designing an interactive story game.
+${setupDescription}
+Opening premise: ${premise}
+
+Give the player one clear objective for this adventure that can be achieved in 10 to 20 scenes.
+Respond with a single sentence addressed to the player, starting with a verb, e.g. "Find the lost crown of the river king."
+`;
+}
+
+/**
+ * Extract a goal from the LLM response
+ * @param {*} output - Raw LLM output
+ * @returns {string|null} Goal, or null if the response is unusable
+ */
+function parseGoal(output) {
+  if (typeof output !== 'string') {
+    return null;
+  }
+
+  const goal = cleanText(output.trim().split("\n")[0]).replace(/^["']|["']$/g, '');
+  return goal && goal.length <= MAX_GOAL_LENGTH ? goal : null;
+}
+
+/**
+ * Build the prompt that asks the LLM whether a scene ends the story
+ * @param {string} goal - The player's objective
+ * @param {string} sceneText - Narration of the scene
+ * @param {string} playerDescription - Player sheet after the scene, formatted for prompts
+ * @returns {string} Ending check prompt
+ */
+function buildEndingCheckPrompt(goal, sceneText, playerDescription) {
+  return `
+You judge whether a scene of an interactive story game ends the story.
+The player's goal: ${goal}
+${playerDescription}
+Scene: "${sceneText}"
+
+Answer "victory" only if the player has clearly achieved the goal in this scene.
+Answer "death" only if the player has clearly died or been defeated for good.
+Answer "open" only if the story has clearly reached a natural conclusion without achieving the goal.
+Otherwise answer "none"; most scenes do not end the story.
+Respond with only JSON in this exact format:
+{"ending": "none", "reason": "one short sentence"}
+`;
+}
+
+/**
+ * Extract the ending verdict from the LLM response
+ * Anything unclear counts as no ending, so a bad response never ends a story by accident
+ * @param {*} output - Raw LLM output
+ * @returns {{ type: string, reason: string }|null} Ending, or null if the story goes on
+ */
+function parseEndingCheck(output) {
+  if (typeof output !== 'string') {
+    return null;
+  }
+
+  const jsonMatch = output.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonMatch[0]);
+  } catch (error) {
+    return null;
+  }
+  if (!parsed || !Object.prototype.hasOwnProperty.call(ENDING_TYPES, parsed.ending)) {
+    return null;
+  }
+
+  return {
+    type: parsed.ending,
+    reason: typeof parsed.reason === 'string' ? cleanText(parsed.reason).substring(0, MAX_GOAL_LENGTH) : ""
+  };
+}
+
+/**
+ * Endings that follow from the game rules rather than the narration
+ * @param {Object} player - Player sheet after the scene
+ * @param {number} sceneCount - Scenes on the branch, including this one
+ * @param {number} maxScenes - Story length limit
+ * @returns {{ type: string, reason: string }|null} Ending, or null if the rules don't end the story
+ */
+function detectRuleEnding(player, sceneCount, maxScenes) {
+  if (player && player.stats && player.stats.health <= 0) {
+    return { type: "death", reason: "Your health ran out." };
+  }
+  if (sceneCount >= maxScenes) {
+    return { type: "open", reason: "The story has run its course." };
+  }
+  return null;
+}
+
+/**
+ * Build the prompt for the epilogue that closes the story
+ * @param {string} setupDescription - Genre, tone and protagonist lines
+ * @param {string} goal - The player's objective
+ * @param {string} memoryDescription - Story memory, formatted for prompts
+ * @param {Object} ending - Ending ({ type, reason })
+ * @param {string} sceneText - Narration of the final scene
+ * @returns {string} Epilogue prompt
+ */
+function buildEpiloguePrompt(setupDescription, goal, memoryDescription, ending, sceneText) {
+  const outcomes = {
+    victory: "The player has achieved their goal. Celebrate what they accomplished and what it cost.",
+    death: "The player has died. Give their fall a fitting, respectful farewell.",
+    open: "The story ends here without the goal being achieved. Close it on a reflective note that leaves the future open."
+  };
+
+  return `
+You are narrating the epilogue of an interactive story game.
+${setupDescription}
+The player's goal was: ${goal}
+${memoryDescription}
+Final scene: "${sceneText}"
+${outcomes[ending.type]}
+Write a short epilogue of 1-2 paragraphs in the second person, keeping the genre and tone. Do not offer any further choices.
+`;
+}
+
+module.exports = {
+  ENDING_TYPES,
+  MIN_SCENES_BEFORE_ENDING,
+  getMaxScenes,
+  buildGoalPrompt,
+  parseGoal,
+  buildEndingCheckPrompt,
+  parseEndingCheck,
+  detectRuleEnding,
+  buildEpiloguePrompt
+};
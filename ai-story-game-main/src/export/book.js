@@ -0,0 +1,103 @@
+// Book model shared by the export formats: chapters of the active branch with their images loaded
+const { GENRE_PRESETS } = require('../storySetup');
+const { logger } = require('../logger');
+
+// Remote images that take longer than this are left out of the book
+const IMAGE_FETCH_TIMEOUT_MS = 15000;
+
+/**
+ * Escape text for HTML and XHTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Load an image so it can be embedded in the book instead of hotlinked
+ * @param {string} url - Data URI, local media URL or remote image URL
+ * @param {MediaStore} [mediaStore] - Store that serves local media URLs
+ * @returns {Promise<{ contentType: string, data: Buffer }|null>} Image bytes, or null if unavailable
+ */
+async function loadImage(url, mediaStore) {
+  if (!url) {
+    return null;
+  }
+
+  if (mediaStore && mediaStore.fileNameFromUrl(url)) {
+    return mediaStore.read(url);
+  }
+
+  const dataUri = url.match(/^data:([^;,]+)(;base64)?,(.*)$/s);
+  if (dataUri) {
+    const data = dataUri[2] ? Buffer.from(dataUri[3], 'base64') : Buffer.from(decodeURIComponent(dataUri[3]), 'utf8');
+    return { contentType: dataUri[1], data };
+  }
+
+  try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(IMAGE_FETCH_TIMEOUT_MS) });
+    if (!response.ok) {
+      throw new Error(`Image request failed with status ${response.status}`);
+    }
+    return {
+      contentType: (response.headers.get('content-type') || "image/jpeg").split(';')[0],
+      data: Buffer.from(await response.arrayBuffer())
+    };
+  } catch (error) {
+    logger.error("Error loading image for export", { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Collect the chapters of the active branch, one per scene, with images loaded
+ * @param {GameState} game - The game instance
+ * @param {Object} [options]
+ * @param {MediaStore} [options.mediaStore] - Store that serves local media URLs
+ * @param {string} [options.baseUrl] - Server origin, so local narration links work outside the site
+ * @returns {Promise<Object>} Book ({ title, genre, chapters: [{ number, choice, actionType, paragraphs, image, audioUrl }] })
+ */
+async function collectBook(game, options = {}) {
+  const genre = GENRE_PRESETS[game.setup.genre].label;
+  const title = game.setup.protagonistName
+    ? `${game.setup.protagonistName}'s ${genre} Adventure`
+    : `A ${genre} Adventure`;
+
+  const chapters = [];
+  for (const node of game.getPath(game.currentNodeId)) {
+    const scene = node.scene;
+    const text = scene.text && scene.text.data && scene.text.data.output ? scene.text.data.output : "";
+    const imageUrl = scene.image && scene.image.images && scene.image.images.length > 0 ? scene.image.images[0].url : null;
+
+    chapters.push({
+      number: chapters.length + 1,
+      choice: node.choice,
+      actionType: scene.actionType || "choice",
+      // The epilogue of a finished story closes its last chapter
+      paragraphs: `${text}\n\n${scene.ending ? scene.ending.epilogue : ""}`
+        .split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean),
+      image: await loadImage(imageUrl, options.mediaStore),
+      audioUrl: scene.audioUrl && scene.audioUrl.startsWith('/') && options.baseUrl
+        ? options.baseUrl + scene.audioUrl
+        : scene.audioUrl || null
+    });
+  }
+
+  return { title, genre, chapters };
+}
+
+/**
+ * Describe the choice that led into a chapter
+ * @param {Object} chapter - Chapter
+ * @returns {string} e.g. "You chose: Cross the bridge"
+ */
+function describePath(chapter) {
+  return chapter.actionType === "custom" ? `You decided: ${chapter.choice}` : `You chose: ${chapter.choice}`;
+}
+
+module.exports = { escapeHtml, loadImage, collectBook, describePath };
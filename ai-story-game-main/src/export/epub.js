@@ -0,0 +1,120 @@
+// EPUB 3 packaging of an exported story
+const crypto = require('crypto');
+const { escapeHtml, describePath } = require('./book');
+const { createZip } = require('./zip');
+
+// File extensions for the image types the generation providers return
+const IMAGE_EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/gif": "gif",
+  "image/svg+xml": "svg"
+};
+
+const STYLESHEET = `body { font-family: Georgia, serif; line-height: 1.6; }
+h1, h2 { text-align: center; }
+.path { font-style: italic; text-align: center; }
+img { max-width: 100%; }
+`;
+
+/**
+ * Wrap a body in an XHTML document
+ * @param {string} title - Document title
+ * @param {string} body - XHTML body content
+ * @returns {string} XHTML document
+ */
+function xhtmlDocument(title, body) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="en" xml:lang="en">
+<head>
+  <title>${escapeHtml(title)}</title>
+  <link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Build an EPUB with one XHTML file per chapter and the images stored in the package
+ * @param {Object} book - Book from collectBook
+ * @returns {Buffer} EPUB file
+ */
+function buildEpub(book) {
+  const files = [];
+  const manifest = [];
+
+  book.chapters.forEach(chapter => {
+    const id = `chapter-${chapter.number}`;
+    let imageHtml = "";
+
+    if (chapter.image && IMAGE_EXTENSIONS[chapter.image.contentType]) {
+      const imageFile = `images/${id}.${IMAGE_EXTENSIONS[chapter.image.contentType]}`;
+      files.push({ name: `OEBPS/${imageFile}`, data: chapter.image.data });
+      manifest.push(`<item id="${id}-image" href="${imageFile}" media-type="${chapter.image.contentType}"/>`);
+      imageHtml = `<img src="${imageFile}" alt="Illustration for chapter ${chapter.number}"/>`;
+    }
+
+    const body = [
+      chapter.choice ? `<p class="path">${escapeHtml(describePath(chapter))}</p>` : "",
+      `<h2>Chapter ${chapter.number}</h2>`,
+      imageHtml,
+      ...chapter.paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`)
+    ].filter(Boolean).join("\n");
+
+    files.push({ name: `OEBPS/${id}.xhtml`, data: xhtmlDocument(`Chapter ${chapter.number}`, body) });
+    manifest.push(`<item id="${id}" href="${id}.xhtml" media-type="application/xhtml+xml"/>`);
+  });
+
+  const chapterIds = book.chapters.map(chapter => `chapter-${chapter.number}`);
+  const nav = xhtmlDocument(book.title, `<nav epub:type="toc" id="toc">
+<h1>${escapeHtml(book.title)}</h1>
+<ol>
+${chapterIds.map((id, index) => `<li><a href="${id}.xhtml">Chapter ${index + 1}</a></li>`).join("\n")}
+</ol>
+</nav>`);
+
+  const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">urn:uuid:${crypto.randomUUID()}</dc:identifier>
+    <dc:title>${escapeHtml(book.title)}</dc:title>
+    <dc:language>en</dc:language>
+    <dc:subject>${escapeHtml(book.genre)}</dc:subject>
+    <meta property="dcterms:modified">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</meta>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="style" href="style.css" media-type="text/css"/>
+    ${manifest.join("\n    ")}
+  </manifest>
+  <spine>
+    ${chapterIds.map(id => `<itemref idref="${id}"/>`).join("\n    ")}
+  </spine>
+</package>
+`;
+
+  const container = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+
+  // The mimetype file must come first and be stored uncompressed
+  return createZip([
+    { name: "mimetype", data: "application/epub+zip", store: true },
+    { name: "META-INF/container.xml", data: container },
+    { name: "OEBPS/content.opf", data: opf },
+    { name: "OEBPS/nav.xhtml", data: nav },
+    { name: "OEBPS/style.css", data: STYLESHEET },
+    ...files
+  ]);
+}
+
+module.exports = { buildEpub };
@@ -0,0 +1,98 @@
+// Story export: turns the active branch of a session into an illustrated HTML book, Markdown file or EPUB
+const { escapeHtml, collectBook, describePath } = require('./book');
+const { buildEpub } = require('./epub');
+
+// Supported formats with their content type and file extension
+const EXPORT_FORMATS = {
+  html: { contentType: "text/html; charset=utf-8", extension: "html" },
+  markdown: { contentType: "text/markdown; charset=utf-8", extension: "md" },
+  epub: { contentType: "application/epub+zip", extension: "epub" }
+};
+
+/**
+ * Render a self-contained HTML book with images embedded as data URIs
+ * @param {Object} book - Book from collectBook
+ * @returns {string} HTML document
+ */
+function renderHtml(book) {
+  const chapters = book.chapters.map(chapter => `
+  <section class="chapter">
+    ${chapter.choice ? `<p class="path">${escapeHtml(describePath(chapter))}</p>` : ""}
+    <h2>Chapter ${chapter.number}</h2>
+    ${chapter.image ? `<img src="data:${chapter.image.contentType};base64,${chapter.image.data.toString('base64')}" alt="Illustration for chapter ${chapter.number}">` : ""}
+    ${chapter.paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join("\n    ")}
+    ${chapter.audioUrl ? `<audio controls src="${escapeHtml(chapter.audioUrl)}"></audio>` : ""}
+  </section>`).join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(book.title)}</title>
+  <style>
+    body { font-family: Georgia, serif; background: #1a1a1a; color: #e0e0e0; max-width: 800px; margin: 0 auto; padding: 20px; line-height: 1.6; }
+    h1, h2 { color: #d4af37; text-align: center; }
+    .chapter { border-top: 1px solid #444; padding-top: 20px; margin-top: 40px; }
+    .path { font-style: italic; color: #aaa; text-align: center; }
+    img { width: 100%; border-radius: 8px; }
+    audio { width: 100%; margin-top: 10px; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(book.title)}</h1>
+${chapters}
+</body>
+</html>
+`;
+}
+
+/**
+ * Render the book as Markdown with images embedded as data URIs
+ * @param {Object} book - Book from collectBook
+ * @returns {string} Markdown document
+ */
+function renderMarkdown(book) {
+  const parts = [`# ${book.title}`];
+
+  for (const chapter of book.chapters) {
+    if (chapter.choice) {
+      parts.push(`*${describePath(chapter)}*`);
+    }
+    parts.push(`## Chapter ${chapter.number}`);
+    if (chapter.image) {
+      parts.push(`![Illustration for chapter ${chapter.number}](data:${chapter.image.contentType};base64,${chapter.image.data.toString('base64')})`);
+    }
+    parts.push(...chapter.paragraphs);
+    if (chapter.audioUrl && /^https?:/.test(chapter.audioUrl)) {
+      parts.push(`[Listen to the narration](${chapter.audioUrl})`);
+    }
+  }
+
+  return parts.join("\n\n") + "\n";
+}
+
+/**
+ * Export the active branch of a game
+ * @param {GameState} game - The game instance
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Object} [options] - Media options passed to collectBook ({ mediaStore, baseUrl })
+ * @returns {Promise<{ contentType: string, extension: string, body: string|Buffer }>} File to send
+ */
+async function exportStory(game, format, options = {}) {
+  const book = await collectBook(game, options);
+  const { contentType, extension } = EXPORT_FORMATS[format];
+
+  let body;
+  if (format === "epub") {
+    body = buildEpub(book);
+  } else if (format === "markdown") {
+    body = renderMarkdown(book);
+  } else {
+    body = renderHtml(book);
+  }
+
+  return { contentType, extension, body };
+}
+
+module.exports = { EXPORT_FORMATS, exportStory };
@@ -1,51 +1,444 @@
-// AI Story Game Backend with Fixed Authentication
-const { fal } = require('@fal-ai/client');
+// AI Story Game Backend with Pluggable Generation Providers
 const dotenv = require('dotenv');
+const { createProvider } = require('./providers');
+const { GENRE_PRESETS, NARRATION_LENGTHS, cleanText, normalizeStorySetup } = require('./storySetup');
+const {
+  createEmptyMemory,
+  getMemoryBudget,
+  formatMemory,
+  fitMemoryToBudget,
+  buildMemoryUpdatePrompt,
+  parseMemoryUpdate,
+  appendSceneToMemory
+} = require('./storyMemory');
+const {
+  createPlayerSheet,
+  formatPlayerSheet,
+  buildStateChangePrompt,
+  parseStateChanges,
+  applyStateChanges,
+  describeStateChange
+} = require('./playerSheet');
+const {
+  CHOICE_COUNT,
+  CHOICE_SCHEMA,
+  DEFAULT_CHOICES,
+  parseChoices,
+  normalizeChoices,
+  describeChoice
+} = require('./choices');
+const {
+  createVisualBible,
+  buildCharacterExtractionPrompt,
+  mergeExtractedCharacters,
+  buildImagePromptVariables
+} = require('./visualBible');
+const {
+  splitDialogue,
+  buildAttributionPrompt,
+  parseAttribution,
+  guessSpeakers,
+  createVoiceMap,
+  buildSpeechScript,
+  NARRATOR,
+  UNKNOWN_SPEAKER
+} = require('./dialogue');
+const { getDefaultModerator } = require('./moderation');
+const { MeteredProvider } = require('./providers/meteredProvider');
+const { ResilientProvider } = require('./providers/resilientProvider');
+const { getUsageLedger } = require('./usage');
+const { getPromptLibrary } = require('./prompts');
+const {
+  MIN_SCENES_BEFORE_ENDING,
+  getMaxScenes,
+  buildGoalPrompt,
+  parseGoal,
+  buildEndingCheckPrompt,
+  parseEndingCheck,
+  detectRuleEnding,
+  buildEpiloguePrompt
+} = require('./endings');
+const {
+  checkCondition,
+  buildConditionPrompt,
+  parseConditionCheck,
+  formatDirection
+} = require('./scenarios');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
 
 // Load environment variables
 dotenv.config();
 
-// Configure FAL client with correct authentication method from documentation
-fal.config({
-  credentials: process.env.FAL_KEY
-});
-// Default choices if extraction fails
-const DEFAULT_CHOICES = [
-  "Continue exploring",
-  "Take a different path",
-  "Stop and observe your surroundings"
-];
+// Attempts at generating schema-valid choices before falling back to defaults
+const DEFAULT_CHOICE_ATTEMPTS = 3;
+
+// Length limits for free-text player actions
+const MIN_ACTION_LENGTH = 3;
+const MAX_ACTION_LENGTH = 200;
+
+/**
+ * Validate and clean up a free-text player action
+ * @param {*} action - Action text from the client
+ * @returns {{ action: string|null, error: string|null }} Cleaned action or a validation error
+ */
+function validatePlayerAction(action) {
+  if (typeof action !== 'string') {
+    return { action: null, error: "Action must be a string" };
+  }
+  
+  const cleaned = cleanText(action);
+  
+  if (cleaned.length < MIN_ACTION_LENGTH) {
+    return { action: null, error: `Action must be at least ${MIN_ACTION_LENGTH} characters` };
+  }
+  if (cleaned.length > MAX_ACTION_LENGTH) {
+    return { action: null, error: `Action must be at most ${MAX_ACTION_LENGTH} characters` };
+  }
+  
+  return { action: cleaned, error: null };
+}
+
+/**
+ * Short text preview of a scene for timelines and tree views
+ * @param {Object} scene - Scene data
+ * @returns {string} First 80 characters of the narration
+ */
+function getScenePreview(scene) {
+  if (scene && scene.text && scene.text.data && scene.text.data.output) {
+    return scene.text.data.output.substring(0, 80);
+  }
+  return "";
+}
+
+// Replacements for content the moderation policy blocks
+const BLOCKED_NARRATION = "The scene blurs and shifts, as if the story itself has decided to take a different turn. You steady yourself and look around.";
+const BLOCKED_IMAGE_DESCRIPTION = "an atmospheric view of the surroundings";
+
+// Closing line of a finished story whose epilogue couldn't be generated
+const DEFAULT_EPILOGUE = "And so your adventure comes to an end.";
+
+/**
+ * Parts of a scene that are stand-ins because their generation failed
+ * @param {Object} scene - Scene data
+ * @returns {Array} Degraded parts ("text", "image", "choices", "epilogue"), empty if the scene is as generated
+ */
+function getDegradedParts(scene) {
+  const parts = [];
+  
+  // Sessions saved before failed narration became an error can still hold placeholder text
+  if (scene.text && scene.text.error) {
+    parts.push("text");
+  }
+  if (scene.image && scene.image.error) {
+    parts.push("image");
+  }
+  if (scene.choicesFallback) {
+    parts.push("choices");
+  }
+  if (scene.ending && scene.ending.epilogueFallback) {
+    parts.push("epilogue");
+  }
+  return parts;
+}
+
+/**
+ * URL of a scene's image
+ * @param {Object} scene - Scene data
+ * @returns {string|null} First image URL, or null if the scene has no image
+ */
+function getSceneImageUrl(scene) {
+  if (scene && scene.image && scene.image.images && scene.image.images.length > 0) {
+    // Cached images are served from this server, which the provider can't reach, so it gets the original URL
+    return scene.image.images[0].sourceUrl || scene.image.images[0].url;
+  }
+  return null;
+}
+
+/**
+ * Record which prompt templates a scene was generated from
+ * @param {Object} textResult - Narration response
+ * @param {Object|null} choicesTemplate - Template of the choices prompt
+ * @param {Object} imageResult - Image response
+ * @returns {Object} Template ({ variant, version }) of each prompt, or null where none was rendered
+ */
+function describePrompts(textResult, choicesTemplate, imageResult) {
+  return {
+    narration: (textResult && textResult.template) || null,
+    choices: choicesTemplate || null,
+    image: (imageResult && imageResult.template) || null
+  };
+}
+
+/**
+ * Wrap a scenario's authored text like a narration response
+ * @param {Object} node - Authored scene or ending node
+ * @returns {Object} Text result with the authored narration
+ */
+function createAuthoredText(node) {
+  return { data: { output: node.text }, authored: true };
+}
+
+/**
+ * Ending reached by a scenario step
+ * Authored ending nodes end the story; losing all health ends it anywhere, as in free play
+ * @param {Object} step - Scenario step ({ nodeId, node, segmentScenes })
+ * @param {Object} player - Player sheet after the scene
+ * @returns {{ type: string, reason: string, epilogue?: string }|null} Ending, or null if the story goes on
+ */
+function getScenarioEnding(step, player) {
+  if (step.node.type === "ending") {
+    return { type: step.node.ending, reason: step.node.reason, epilogue: step.node.epilogue };
+  }
+  return detectRuleEnding(player, 0, Infinity);
+}
 
 /**
  * Game state manager
  * Handles story progression, API calls, and state management
  */
 class GameState {
-  constructor() {
-    this.currentScene = null;
-    this.history = [];
+  /**
+   * @param {Object} [options]
+   * @param {string|Object} [options.provider] - Generation provider name or config for this session;
+   * sessions store the provider's config so they are restored with the same models or fixture
+   * @param {Object} [options.setup] - Story setup (genre, premise, protagonist, tone, narration length)
+   * @param {number} [options.memoryBudget] - Characters of story memory allowed in each prompt
+   * @param {number} [options.choiceAttempts] - Attempts at generating valid choices before using defaults
+   * @param {Object} [options.visualBible] - Stored visual bible (art style, seed, character sheets)
+   * @param {number} [options.imageSeed] - Fixed seed for a new visual bible
+   * @param {boolean} [options.useReferenceImage] - Pass the previous scene's image as a reference for continuity
+   * @param {Object} [options.voices] - Stored speaker-to-voice map for narration
+   * @param {string} [options.sessionId] - Session ID, recorded in moderation audit entries
+   * @param {string} [options.ownerId] - Username of the player who owns this game
+   * @param {Object} [options.moderator] - Moderator for player input and generated content
+   * @param {Object} [options.scenario] - Authored scenario this game follows instead of free play
+   */
+  constructor(options = {}) {
+    // Story setup that shapes every prompt of this session
+    const { setup, error } = normalizeStorySetup(options.setup);
+    if (error) {
+      throw new Error(error);
+    }
+    this.setup = setup;
+    
+    // Prompt budget for long-term story memory
+    this.memoryBudget = options.memoryBudget || getMemoryBudget();
+    
+    // How many times to re-prompt when the generated choices fail validation
+    this.choiceAttempts = options.choiceAttempts || Number(process.env.CHOICE_MAX_ATTEMPTS) || DEFAULT_CHOICE_ATTEMPTS;
+    
+    // Visual bible that every image prompt is built from
+    this.visualBible = options.visualBible || createVisualBible(this.setup, { seed: options.imageSeed });
+    this.useReferenceImage = options.useReferenceImage !== undefined
+      ? Boolean(options.useReferenceImage)
+      : process.env.IMAGE_REFERENCE === "true";
+    
+    // Narration voices, kept for the whole session so each character always sounds the same
+    this.voices = options.voices || createVoiceMap();
+    
+    // Prompt templates, with the variant of each prompt this session was assigned
+    this.prompts = options.prompts || getPromptLibrary();
+    this.promptVariants = options.promptVariants || this.prompts.assignVariants();
+    
+    // The player's objective, chosen in the setup or generated when the game starts
+    this.goal = options.goal || null;
+    this.maxScenes = options.maxScenes || getMaxScenes();
+    
+    // Authored scenario, kept whole so later edits to the scenario file don't break stories in progress
+    this.scenario = options.scenario || null;
     
-    // Configure FAL client with API key on initialization
-    this.configureFalClient();
+    // Only the owner may play or view this game
+    this.ownerId = options.ownerId || null;
+    
+    // Moderation runs before and after every generation
+    this.sessionId = options.sessionId || null;
+    this.moderator = options.moderator || getDefaultModerator();
+    
+    // Story tree: every scene is a node with a parent and children keyed by the choice taken
+    this.nodes = [];
+    this.currentNodeId = null;
+    
+    // Generation provider used for every API call in this session, metered against the usage budgets;
+    // each attempt is metered, and retries, timeouts and the circuit breaker wrap the metered calls
+    this.usage = { calls: 0, cost: 0, ...(options.usage || {}) };
+    this.ledger = options.ledger || getUsageLedger();
+    this.provider = new ResilientProvider(new MeteredProvider(createProvider(options.provider, { sessionId: this.sessionId }), {
+      ledger: this.ledger,
+      context: () => ({ sessionId: this.sessionId, userId: this.ownerId }),
+      onRecord: (entry) => {
+        this.usage.calls++;
+        this.usage.cost += entry.cost;
+      }
+    }));
+    logger.debug("Using generation provider", { provider: this.provider.name });
   }
   
   /**
-   * Configure the FAL client with the API key
-   * This should be called before each API call to ensure proper authentication
+   * Check this session, its owner and the server against the generation budgets
+   * @returns {{ level: string, reasons: Array }} "ok", "text-only" (no images or narration) or "exhausted" (no new scenes)
    */
-  configureFalClient() {
-    // Configure FAL client with API key from environment
-    const falKey = process.env.FAL_KEY;
-    if (!falKey) {
-      console.error("FAL_KEY environment variable not set");
-      throw new Error("FAL_KEY environment variable not set");
+  checkBudget() {
+    return this.ledger.checkBudget(this.usage, this.ownerId);
+  }
+  
+  /**
+   * Refuse to generate a new scene once a budget is exhausted
+   * @throws {Error} With code BUDGET_EXHAUSTED
+   */
+  assertBudget() {
+    const budget = this.checkBudget();
+    if (budget.level === "exhausted") {
+      const error = new Error("The generation budget has run out. Please try again later.");
+      error.code = "BUDGET_EXHAUSTED";
+      error.reasons = budget.reasons;
+      throw error;
     }
+  }
+  
+  /**
+   * Scene data of the current node
+   * @returns {Object|null} The current scene
+   */
+  get currentScene() {
+    const node = this.nodes[this.currentNodeId];
+    return node ? node.scene : null;
+  }
+  
+  /**
+   * Scenes on the path from the opening scene to the current scene, excluding the current scene
+   * @returns {Array} Previous scenes of the active branch
+   */
+  get history() {
+    return this.getPath(this.currentNodeId).slice(0, -1).map(node => node.scene);
+  }
+  
+  /**
+   * Add a scene to the story tree and make it current
+   * @param {Object} scene - Scene data
+   * @param {number|null} parentId - Parent node ID, or null for the opening scene
+   * @param {string|null} choice - Choice taken from the parent to reach this scene
+   * @returns {Object} The new node
+   */
+  addNode(scene, parentId, choice) {
+    const node = {
+      id: this.nodes.length,
+      parentId,
+      choice,
+      scene,
+      // Keys are choices players may have typed, so the map has no prototype for "__proto__" to hit
+      children: Object.create(null)
+    };
     
-    fal.config({
-      credentials: falKey
+    this.nodes.push(node);
+    if (parentId !== null) {
+      this.nodes[parentId].children[choice] = node.id;
+    }
+    
+    this.currentNodeId = node.id;
+    return node;
+  }
+  
+  /**
+   * Nodes from the opening scene down to a node
+   * @param {number|null} nodeId - Target node ID
+   * @returns {Array} Nodes in story order
+   */
+  getPath(nodeId) {
+    const path = [];
+    let node = this.nodes[nodeId];
+    while (node) {
+      path.unshift(node);
+      node = node.parentId === null ? null : this.nodes[node.parentId];
+    }
+    return path;
+  }
+  
+  /**
+   * Choices the player can pick from in the current scene; scenes saved without choices offer the defaults
+   * @returns {Array} Choice objects
+   */
+  getAvailableChoices() {
+    const choices = normalizeChoices(this.currentScene.choices);
+    return choices.length > 0 ? choices : DEFAULT_CHOICES;
+  }
+  
+  /**
+   * Check whether a choice index can be played in the current scene
+   * @param {number} choiceIndex - Choice index
+   * @returns {boolean} True if the choice exists
+   */
+  hasChoice(choiceIndex) {
+    return Number.isInteger(choiceIndex) && choiceIndex >= 0 && choiceIndex < this.getAvailableChoices().length;
+  }
+  
+  /**
+   * Check whether a node ID exists in this session's tree
+   * @param {number} nodeId - Node ID
+   * @returns {boolean} True if the node exists
+   */
+  hasNode(nodeId) {
+    return Number.isInteger(nodeId) && nodeId >= 0 && nodeId < this.nodes.length;
+  }
+  
+  /**
+   * Serialize the game for session storage
+   * @returns {Object} Plain JSON data that GameState.fromJSON can restore
+   */
+  toJSON() {
+    return {
+      sessionId: this.sessionId,
+      ownerId: this.ownerId,
+      provider: this.provider.config,
+      setup: this.setup,
+      goal: this.goal,
+      scenario: this.scenario,
+      visualBible: this.visualBible,
+      useReferenceImage: this.useReferenceImage,
+      voices: this.voices,
+      promptVariants: this.promptVariants,
+      usage: this.usage,
+      nodes: this.nodes,
+      currentNodeId: this.currentNodeId
+    };
+  }
+  
+  /**
+   * Rehydrate a game from session storage
+   * Sessions saved before the story tree existed are converted into a single branch
+   * @param {Object} data - Data produced by toJSON
+   * @returns {GameState} The restored game
+   */
+  static fromJSON(data) {
+    const game = new GameState({
+      sessionId: data.sessionId,
+      ownerId: data.ownerId,
+      provider: data.provider,
+      setup: data.setup,
+      goal: data.goal,
+      scenario: data.scenario,
+      visualBible: data.visualBible,
+      useReferenceImage: data.useReferenceImage,
+      voices: data.voices,
+      promptVariants: data.promptVariants,
+      usage: data.usage
     });
     
-    console.log("FAL client configured successfully");
+    if (Array.isArray(data.nodes)) {
+      game.nodes = data.nodes.map(node => ({ ...node, children: Object.assign(Object.create(null), node.children) }));
+      game.currentNodeId = data.currentNodeId;
+    } else if (data.currentScene) {
+      const scenes = [...(data.history || []), data.currentScene];
+      scenes.forEach((scene, index) => {
+        if (index === 0) {
+          game.addNode(scene, null, null);
+        } else {
+          game.addNode(scene, index - 1, scene.choice || `Choice ${index}`);
+        }
+      });
+    }
+    
+    return game;
   }
   
   /**
@@ -53,19 +446,23 @@ class GameState {
    * @returns {Object} The initial scene data
    */
   async startNewGame() {
-    // Ensure client is configured
-    this.configureFalClient();
+    this.assertBudget();
     
     // Initial story setup
-    const initialContext = "You find yourself in a mysterious forest at dusk. The trees tower above you, their branches swaying gently in the breeze.";
+    const initialContext = this.setup.premise;
     
-    // Generate the opening text
-    const textResult = await this.generateStoryText(initialContext, "Game start");
-    console.log("Initial text generation complete");
+    // Decide what the player is working towards before the opening scene is narrated
+    this.goal = this.setup.goal || await this.generateGoal();
     
-    // Generate the opening image
-    const imageResult = await this.generateStoryImage(initialContext);
-    console.log("Initial image generation complete");
+    // Scenarios open on their authored first scene
+    const opening = this.scenario ? this.scenario.nodes[this.scenario.start] : null;
+    
+    // Generate the opening text
+    const initialPlayer = createPlayerSheet();
+    const textResult = opening
+      ? createAuthoredText(opening)
+      : await this.generateStoryText(initialContext, "Game start", createEmptyMemory(), initialPlayer);
+    logger.debug("Initial text generation complete");
     
     // Extract text for choices generation
     let storyText = "";
@@ -73,16 +470,38 @@ class GameState {
       storyText = textResult.data.output;
     }
     
-    // Generate initial choices
-    const choicesResult = await this.generateChoices(storyText);
-    console.log("Initial choices generation complete");
+    // Note the appearance of everyone in the opening scene before illustrating it
+    await this.updateVisualBible(storyText);
+    
+    // Generate the opening image
+    const imageResult = await this.generateStoryImage((opening && opening.image) || initialContext, { sceneText: storyText });
+    logger.debug("Initial image generation complete");
+    
+    // Start the story memory with the opening scene
+    const memory = await this.updateMemory(createEmptyMemory(), storyText, "Game start");
+    
+    // Apply anything the opening scene gives or takes from the player
+    const { sheet: player, applied } = await this.updatePlayerSheet(initialPlayer, storyText, "Game start");
+    
+    // Generate initial choices, or offer the opening scene's authored ones
+    const { choices, fallback, template } = opening
+      ? { choices: opening.choices, fallback: false, template: null }
+      : await this.generateChoices(storyText, memory, player);
+    logger.debug("Initial choices generation complete");
     
     // Store all raw API responses for debugging
-    this.currentScene = {
+    this.addNode({
       text: textResult,
       image: imageResult,
-      choices: choicesResult
-    };
+      choices,
+      choicesFallback: fallback,
+      prompts: describePrompts(textResult, template, imageResult),
+      memory,
+      player,
+      stateChanges: applied,
+      scenario: opening ? { nodeId: this.scenario.start, segmentScenes: 0 } : null
+    }, null, null);
+    metrics.scenes.inc({ action: "start" });
     
     return this.currentScene;
   }
@@ -91,41 +510,87 @@ class GameState {
    * Make a choice to advance the story
    * @param {number} choiceIndex - Index of the selected choice
    * @returns {Object} The next scene data
+   * @throws {Error} With code INVALID_CHOICE if the scene has no such choice
    */
   async makeChoice(choiceIndex) {
-    // Ensure client is configured
-    this.configureFalClient();
+    if (!this.hasChoice(choiceIndex)) {
+      const error = new Error("That choice isn't available in this scene.");
+      error.code = "INVALID_CHOICE";
+      throw error;
+    }
     
-    // Store current scene in history
-    this.history.push({...this.currentScene});
+    const selectedChoice = this.getAvailableChoices()[choiceIndex];
+    return this.advanceStory(selectedChoice.label, "choice", selectedChoice);
+  }
+  
+  /**
+   * Advance the story with an action the player typed themselves
+   * @param {string} action - Free-text player action
+   * @returns {Object} The next scene data
+   */
+  async takeAction(action) {
+    const result = validatePlayerAction(action);
+    if (result.error) {
+      throw new Error(result.error);
+    }
     
-    // Get the selected choice
-    let selectedChoice = "";
-    if (Array.isArray(this.currentScene.choices) && this.currentScene.choices[choiceIndex]) {
-      selectedChoice = this.currentScene.choices[choiceIndex];
-    } else {
-      selectedChoice = DEFAULT_CHOICES[choiceIndex % DEFAULT_CHOICES.length];
+    // Typed actions are checked against the content policy before anything is generated from them
+    const review = await this.moderator.review(result.action, "input", { sessionId: this.sessionId });
+    if (review.action === "block") {
+      const error = new Error("That action isn't allowed in this story. Try something else.");
+      error.code = "CONTENT_BLOCKED";
+      throw error;
     }
     
+    return this.advanceStory(review.text, "custom");
+  }
+  
+  /**
+   * Generate the scene that follows an action and add it to the story tree
+   * @param {string} selectedChoice - Generated choice label or free-text action taken
+   * @param {string} actionType - "choice" for generated choices, "custom" for typed actions
+   * @param {Object} [choiceDetails] - Full choice object (label, intent, risk) for generated choices
+   * @returns {Object} The next scene data
+   */
+  async advanceStory(selectedChoice, actionType, choiceDetails) {
+    const parentId = this.currentNodeId;
+    
+    // A finished story can only be continued by rewinding or forking from an earlier scene
+    if (this.currentScene.ending) {
+      const error = new Error("This story has ended. Rewind to an earlier scene or start a new adventure.");
+      error.code = "GAME_FINISHED";
+      throw error;
+    }
+    
+    // If this choice was already taken from this scene, return to that branch instead of overwriting it
+    const children = this.nodes[parentId].children;
+    if (Object.prototype.hasOwnProperty.call(children, selectedChoice)) {
+      logger.debug("Choice already explored, switching to existing branch");
+      this.currentNodeId = children[selectedChoice];
+      return this.currentScene;
+    }
+    
+    // In a scenario the choice decides which node comes next before anything is generated
+    const step = this.scenario ? this.resolveScenarioStep(choiceDetails) : null;
+    
+    this.assertBudget();
+    
     // Get current context text
     let currentContext = "";
     if (this.currentScene.text && this.currentScene.text.data && this.currentScene.text.data.output) {
       currentContext = this.currentScene.text.data.output;
     }
     
-    // Generate new text based on the choice
-    const textResult = await this.generateStoryText(currentContext, selectedChoice);
-    console.log("New text generation complete");
-    
-    // Generate description for image
-    let imagePrompt = selectedChoice;
-    if (textResult && textResult.data && textResult.data.output) {
-      imagePrompt += " - " + textResult.data.output.substring(0, 100);
-    }
+    // Memory of everything before this scene on the current branch
+    const previousMemory = this.currentScene.memory || createEmptyMemory();
+    const previousPlayer = this.currentScene.player || createPlayerSheet();
     
-    // Generate new image
-    const imageResult = await this.generateStoryImage(imagePrompt);
-    console.log("New image generation complete");
+    // Generate new text based on the choice, including its intent and risk; authored nodes bring their own
+    const choiceDescription = choiceDetails ? describeChoice(choiceDetails) : selectedChoice;
+    const textResult = step && step.node.type !== "improvise"
+      ? createAuthoredText(step.node)
+      : await this.generateStoryText(currentContext, choiceDescription, previousMemory, previousPlayer, step ? step.node.direction : null);
+    logger.debug("New text generation complete");
     
     // Extract text for choices generation
     let storyText = "";
@@ -133,196 +598,721 @@ class GameState {
       storyText = textResult.data.output;
     }
     
-    // Generate new choices
-    const choicesResult = await this.generateChoices(storyText);
-    console.log("New choices generation complete");
+    // Generate description for image, unless the scenario describes the picture itself
+    let imagePrompt = selectedChoice;
+    if (step && step.node.image) {
+      imagePrompt = step.node.image;
+    } else if (storyText) {
+      imagePrompt += " - " + storyText.substring(0, 100);
+    }
+    
+    // Add sheets for new characters, then illustrate the scene with the previous image as reference
+    await this.updateVisualBible(storyText);
+    const imageResult = await this.generateStoryImage(imagePrompt, {
+      sceneText: storyText,
+      referenceImageUrl: this.useReferenceImage ? getSceneImageUrl(this.currentScene) : null
+    });
+    logger.debug("New image generation complete");
+    
+    // Fold the new scene into the story memory
+    const memory = await this.updateMemory(previousMemory, storyText, selectedChoice);
+    
+    // Apply the scene's effects on inventory, stats and status effects
+    const { sheet: player, applied } = await this.updatePlayerSheet(previousPlayer, storyText, selectedChoice);
     
-    // Update current scene with all raw API responses
-    this.currentScene = {
+    // A scene that ends the story gets an epilogue instead of new choices
+    const ending = step
+      ? getScenarioEnding(step, player)
+      : await this.checkEnding(storyText, player, this.getPath(parentId).length + 1);
+    let choices = [];
+    let fallback = false;
+    let template = null;
+    if (ending) {
+      logger.info("Story reached an ending", { ending: ending.type });
+      ending.epilogue = ending.epilogue || await this.generateEpilogue(ending, storyText, memory);
+      if (!ending.epilogue) {
+        ending.epilogue = DEFAULT_EPILOGUE;
+        ending.epilogueFallback = true;
+      }
+    } else if (step) {
+      ({ choices, fallback, template } = await this.getScenarioChoices(step, storyText, memory, player));
+      logger.debug("New choices generation complete");
+    } else {
+      ({ choices, fallback, template } = await this.generateChoices(storyText, memory, player));
+      logger.debug("New choices generation complete");
+    }
+    
+    // Add the new scene as a child of the scene the choice was made from
+    this.addNode({
       text: textResult,
       image: imageResult,
-      choices: choicesResult
-    };
+      choices,
+      choicesFallback: fallback,
+      prompts: describePrompts(textResult, template, imageResult),
+      choice: selectedChoice,
+      choiceDetails: choiceDetails || null,
+      actionType,
+      memory,
+      player,
+      stateChanges: applied,
+      ending,
+      scenario: step ? { nodeId: step.nodeId, segmentScenes: step.segmentScenes } : null
+    }, parentId, selectedChoice);
+    metrics.scenes.inc({ action: actionType });
     
     return this.currentScene;
   }
   
+  /**
+   * Rewind the story to a previous scene on the active branch
+   * Later scenes stay in the tree as a branch that can be switched back to
+   * @param {number} historyIndex - Index into this.history
+   * @returns {Object} The restored scene data
+   */
+  rewind(historyIndex) {
+    if (!Number.isInteger(historyIndex) || historyIndex < 0 || historyIndex >= this.history.length) {
+      throw new RangeError(`Invalid history index: ${historyIndex}`);
+    }
+    
+    this.currentNodeId = this.getPath(this.currentNodeId)[historyIndex].id;
+    return this.currentScene;
+  }
+  
+  /**
+   * Move to any node in the story tree
+   * Making a choice from there forks a new branch
+   * @param {number} nodeId - Target node ID
+   * @returns {Object} The scene data of that node
+   */
+  goToNode(nodeId) {
+    if (!this.hasNode(nodeId)) {
+      throw new RangeError(`Invalid node ID: ${nodeId}`);
+    }
+    
+    this.currentNodeId = nodeId;
+    return this.currentScene;
+  }
+  
+  /**
+   * List the tip of every branch in the story tree
+   * @returns {Array} Branches ({ branchId, depth, choices, preview, current })
+   */
+  getBranches() {
+    return this.nodes
+      .filter(node => Object.keys(node.children).length === 0)
+      .map(node => {
+        const path = this.getPath(node.id);
+        return {
+          branchId: node.id,
+          depth: path.length,
+          choices: path.slice(1).map(step => step.choice),
+          preview: getScenePreview(node.scene),
+          current: path.some(step => step.id === this.currentNodeId)
+        };
+      });
+  }
+  
+  /**
+   * Summarize the whole story tree for the tree view
+   * @returns {Object} Tree ({ currentNodeId, nodes: [{ id, parentId, choice, preview, children }] })
+   */
+  getTree() {
+    return {
+      currentNodeId: this.currentNodeId,
+      nodes: this.nodes.map(node => ({
+        id: node.id,
+        parentId: node.parentId,
+        choice: node.choice,
+        preview: getScenePreview(node.scene),
+        children: Object.values(node.children)
+      }))
+    };
+  }
+  
+  /**
+   * Summarize the active branch for the timeline UI
+   * The last entry is the current scene; earlier indexes can be passed to rewind
+   * @returns {Array} Timeline entries ({ index, nodeId, choice, preview, current })
+   */
+  getTimeline() {
+    const path = this.getPath(this.currentNodeId);
+    
+    return path.map((node, index) => ({
+      index,
+      nodeId: node.id,
+      choice: node.choice,
+      preview: getScenePreview(node.scene),
+      current: index === path.length - 1
+    }));
+  }
+  
+  /**
+   * Summarize the game for a list of saved stories
+   * @returns {Object} Summary ({ genre, protagonistName, scenario, goal, ending, scenes, branches, preview })
+   */
+  getSummary() {
+    return {
+      genre: GENRE_PRESETS[this.setup.genre].label,
+      protagonistName: this.setup.protagonistName || null,
+      scenario: this.scenario ? this.scenario.title : null,
+      goal: this.goal,
+      ending: this.currentScene && this.currentScene.ending ? this.currentScene.ending.type : null,
+      scenes: this.getPath(this.currentNodeId).length,
+      branches: this.getBranches().length,
+      preview: getScenePreview(this.currentScene)
+    };
+  }
+  
+  /**
+   * Describe the story setup for prompts
+   * @returns {string} Genre, tone and protagonist lines
+   */
+  describeSetup() {
+    const preset = GENRE_PRESETS[this.setup.genre];
+    const lines = [
+      `Genre: ${preset.label}`,
+      `Tone: ${this.setup.tone}`
+    ];
+    
+    if (this.setup.protagonistName || this.setup.protagonistDescription) {
+      const protagonist = [this.setup.protagonistName, this.setup.protagonistDescription].filter(Boolean).join(", ");
+      lines.push(`Protagonist (the player, addressed as "you"): ${protagonist}`);
+    }
+    if (this.goal) {
+      lines.push(`The player's goal: ${this.goal}`);
+    }
+    
+    return lines.join("\n");
+  }
+  
+  /**
+   * Render one of the prompt templates with this session's variant
+   * @param {string} name - Prompt name ("narration", "choices" or "image")
+   * @param {Object} variables - Values for the template's placeholders
+   * @returns {{ text: string, template: Object }} Prompt text and the template it came from ({ variant, version })
+   */
+  renderPrompt(name, variables) {
+    const { text, variant, version } = this.prompts.render(name, this.promptVariants[name], variables);
+    return { text, template: { variant, version } };
+  }
+  
   /**
    * Generate story text using the LLM
    * @param {string} context - Current story context
    * @param {string} userChoice - User's selected choice
+   * @param {Object} [memory] - Story memory of the branch so far
+   * @param {Object} [player] - Player sheet before this scene
+   * @param {string} [direction] - Where a scenario wants the improvised story to go
    * @returns {Object} Raw API response
+   * @throws {Error} With code GENERATION_FAILED if no narration could be generated
    */
-  async generateStoryText(context, userChoice) {
-    // Ensure client is configured before API call
-    this.configureFalClient();
-    
-    const prompt = `
-      You are narrating an interactive story game. 
-      Current story context: ${context}
-      User just chose: ${userChoice}
-      Continue the story with 2-3 paragraphs based on this choice.
-    `;
+  async generateStoryText(context, userChoice, memory, player, direction) {
+    const { text: prompt, template } = this.renderPrompt("narration", {
+      setup: this.describeSetup(),
+      memory: formatMemory(memory),
+      player: formatPlayerSheet(player),
+      context,
+      choice: userChoice,
+      length: NARRATION_LENGTHS[this.setup.narrationLength],
+      direction: formatDirection(direction)
+    });
     
     try {
-      console.log("Generating story text...");
-      const result = await fal.subscribe("fal-ai/any-llm", {
-        input: {
-          prompt: prompt
-        },
-        logs: true,
-        onQueueUpdate: (update) => {
-          if (update.status === "IN_PROGRESS") {
-            if (update.logs && update.logs.length > 0) {
-              update.logs.map((log) => log.message).forEach(console.log);
-            }
-          }
-        },
-      });
+      logger.debug("Generating story text");
+      const result = await this.provider.generateText(prompt);
       
-      console.log("Text generation completed");
-      return result;
+      logger.debug("Text generation completed");
+      return { ...(await this.moderateNarration(result, prompt)), template };
     } catch (error) {
-      console.error("Error generating text:", error);
+      logger.error("Error generating text", { error });
       
       // Check for authentication errors
       if (error.status === 401) {
-        console.error("Authentication failed for story text generation. Please check your FAL_KEY.");
+        logger.error("Authentication failed for story text generation. Please check your FAL_KEY.");
+      }
+      
+      // Placeholder narration would pass for the story, so the scene fails and can be retried instead
+      const failure = new Error("The story couldn't be continued right now. Please try again in a moment.");
+      failure.code = "GENERATION_FAILED";
+      failure.retryAfterMs = error.retryAfterMs || null;
+      throw failure;
+    }
+  }
+  
+  /**
+   * Check generated narration against the content policy
+   * Flagged narration is regenerated with a reminder of the policy, softened or replaced
+   * @param {Object} result - Raw text generation response
+   * @param {string} prompt - Prompt the narration was generated from
+   * @returns {Promise<Object>} Response with moderated output
+   */
+  async moderateNarration(result, prompt) {
+    let current = result;
+    
+    for (let attempt = 0; ; attempt++) {
+      const output = current && current.data ? current.data.output : null;
+      const review = await this.moderator.review(output, "narration", { sessionId: this.sessionId, attempt });
+      
+      if (review.action === "allow") {
+        return current;
+      }
+      if (review.action === "soften") {
+        return { ...current, data: { ...current.data, output: review.text }, moderation: "soften" };
+      }
+      if (review.action === "regenerate" && attempt < this.moderator.policy.maxRegenerations) {
+        logger.info("Regenerating narration that broke the content policy");
+        current = await this.provider.generateText(`${prompt}
+The previous version was rejected for ${review.categories.join(", ")} content. Keep the story suitable for a general audience.`);
+        continue;
       }
       
       return {
-        data: {
-          output: "The adventure continues... (Error generating story text)"
-        },
-        error: error.message
+        ...current,
+        data: { ...(current && current.data), output: BLOCKED_NARRATION },
+        moderation: "block"
       };
     }
   }
   
   /**
-   * Generate image for the current scene
+   * Generate image for the current scene from the visual bible
    * @param {string} sceneDescription - Description of the scene
-   * @returns {Object} Raw API response
+   * @param {Object} [options]
+   * @param {string} [options.sceneText] - Full scene narration, used to pick character sheets
+   * @param {string} [options.referenceImageUrl] - Previous image to keep continuity with
+   * @returns {Object} Image data
    */
-  async generateStoryImage(sceneDescription) {
-    // Ensure client is configured before API call
-    this.configureFalClient();
+  async generateStoryImage(sceneDescription, options = {}) {
+    // Over budget, scenes carry on without illustrations
+    if (this.checkBudget().level !== "ok") {
+      logger.info("Generation budget reached, skipping image");
+      return { images: [], skipped: "budget" };
+    }
     
-    const imagePrompt = `
-      Scene from interactive story game: ${sceneDescription}
-      Detailed, dramatic lighting, cinematic composition, high quality
-    `;
+    // Image prompts are moderated before generation; a blocked description falls back to the setting
+    const review = await this.moderator.review(sceneDescription, "image", { sessionId: this.sessionId });
+    const { text: imagePrompt, template } = this.renderPrompt("image", buildImagePromptVariables(
+      this.visualBible,
+      GENRE_PRESETS[this.setup.genre].label,
+      review.action === "block" ? BLOCKED_IMAGE_DESCRIPTION : review.text,
+      options.sceneText
+    ));
     
     try {
-      console.log("Generating story image...");
-      const result = await fal.subscribe("fal-ai/flux-pro", {
-        input: {
-          prompt: imagePrompt
-        },
-        logs: true,
-        onQueueUpdate: (update) => {
-          if (update.status === "IN_PROGRESS") {
-            if (update.logs && update.logs.length > 0) {
-              update.logs.map((log) => log.message).forEach(console.log);
-            }
-          }
-        },
+      logger.debug("Generating story image");
+      const result = await this.provider.generateImage(imagePrompt, {
+        seed: this.visualBible.seed,
+        referenceImageUrl: options.referenceImageUrl || null
       });
       
-      console.log("Image generation completed");
-      return result.data;
+      logger.debug("Image generation completed");
+      return { ...result, template };
     } catch (error) {
-      console.error("Error generating image:", error);
+      logger.error("Error generating image", { error });
       
       // Check for authentication errors
       if (error.status === 401) {
-        console.error("Authentication failed for image generation. Please check your FAL_KEY.");
+        logger.error("Authentication failed for image generation. Please check your FAL_KEY.");
       }
       
       return {
         images: [],
-        error: error.message
+        error: error.message,
+        template
       };
     }
   }
   
   /**
    * Generate choices for the next step in the story
+   * The LLM must return JSON matching CHOICE_SCHEMA; invalid output is re-prompted with the
+   * validation error until this.choiceAttempts is used up
    * @param {string} sceneText - The story text
-   * @returns {Array} List of choices
+   * @param {Object} [memory] - Story memory including this scene
+   * @param {Object} [player] - Player sheet after this scene
+   * @returns {Promise<{ choices: Array, fallback: boolean, template: Object|null }>} Choice objects, whether they are the defaults, and the prompt template used
    */
-  async generateChoices(sceneText) {
-    // Ensure client is configured before API call
-    this.configureFalClient();
-    
-    // Default choices in case generation fails
-    const defaultChoices = [
-        "Continue exploring",
-        "Take a different path",
-        "Stop and observe your surroundings"
-    ];
-    
+  async generateChoices(sceneText, memory, player) {
     // If text isn't a string, use default choices
     if (typeof sceneText !== 'string') {
-        console.log("Scene text is not a string, using default choices");
-        return defaultChoices;
+      logger.debug("Scene text is not a string, using default choices");
+      return { choices: DEFAULT_CHOICES, fallback: true, template: null };
     }
     
     // Generate contextual choices based on the current scene
-    const choicePrompt = `
-Based on this scene in our story:
-  "${sceneText}"
-  Generate 3 interesting and distinct choices for what the player might do next.
-  Format your response EXACTLY as following:
-    [
-        "Choice 1",
-        "Choice 2",
-        "Choice 3"
-    ]
-  Do not include any explanation or additional text outside the code block list of choices above also never give like json.
-`;
+    const { text: choicePrompt, template } = this.renderPrompt("choices", {
+      scene: sceneText,
+      setup: this.describeSetup(),
+      memory: formatMemory(memory),
+      player: formatPlayerSheet(player),
+      count: CHOICE_COUNT,
+      schema: JSON.stringify(CHOICE_SCHEMA)
+    });
     
-    try {
-        const result = await fal.subscribe("fal-ai/any-llm", {
-            input: {
-                prompt: choicePrompt
-            }
-        });
+    // Each attempt is a single provider call; this loop already retries, so the provider must not retry as well
+    let prompt = choicePrompt;
+    for (let attempt = 1; attempt <= this.choiceAttempts; attempt++) {
+      try {
+        const result = await this.provider.generateChoices(prompt, { retries: 0 });
+        const output = result && result.data ? result.data.output : null;
         
-        console.log("Extracting choices from:", JSON.stringify(result).substring(0, 200) + "...");
-        
-        if (Array.isArray(result.data)) {
-            return result.data.length > 0 ? result.data : defaultChoices;
+        const { choices, error: parseError } = parseChoices(output);
+        const error = parseError || await this.findModeratedChoice(choices, attempt);
+        if (!error) {
+          logger.debug("Generated valid choices", { attempt });
+          return { choices, fallback: false, template };
         }
         
-        if (!result.data || typeof result.data !== 'object') {
-            console.warn("Invalid choices response, using defaults");
-            return defaultChoices;
-        }
-        
-        if (result.data.output) {
-            const output = result.data.output;
-            const manualExtract = output.match(/"(.*?)"/g);
-            if (manualExtract) {
-                const cleanedChoices = manualExtract.map(choice => choice.replace(/"/g, ''));
-                console.log("Successfully extracted choices manually");
-                return cleanedChoices.length > 0 ? cleanedChoices : defaultChoices;
-            }
-        }
-        
-        console.log("Could not extract valid choices, using defaults");
-        return defaultChoices;
-    } catch (error) {
-        console.error("Error generating choices:", error);
+        // Re-prompt with the validation error so the model can correct itself
+        logger.warn("Invalid choices", { attempt, reason: error });
+        prompt = `${choicePrompt}
+Your previous response was rejected because ${error}.
+Previous response: ${String(output).substring(0, 500)}
+Respond again with only the corrected JSON array.`;
+      } catch (error) {
+        logger.error("Error generating choices", { error });
         
         // Check for authentication errors
         if (error.status === 401) {
-            console.error("Authentication failed for choices generation. Please check your FAL_KEY.");
+          logger.error("Authentication failed for choices generation. Please check your FAL_KEY.");
+          break;
         }
-        
-        return defaultChoices;
+      }
+    }
+    
+    logger.warn("Could not generate valid choices, using defaults");
+    return { choices: DEFAULT_CHOICES, fallback: true, template };
+  }
+  
+  /**
+   * Check generated choices against the content policy
+   * Any flagged choice rejects the whole set so it is regenerated like invalid JSON
+   * @param {Array} choices - Validated choice objects
+   * @param {number} attempt - Generation attempt, for the audit log
+   * @returns {Promise<string|null>} Rejection reason, or null if every choice is allowed
+   */
+  async findModeratedChoice(choices, attempt) {
+    for (let i = 0; i < choices.length; i++) {
+      const text = `${choices[i].label}. ${choices[i].intent}`;
+      const review = await this.moderator.review(text, "choices", { sessionId: this.sessionId, attempt });
+      if (review.action !== "allow") {
+        return `choice ${i} breaks the content policy (${review.categories.join(", ")})`;
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Add appearance sheets for characters first seen in a scene
+   * Failures leave the bible unchanged; images are still generated from the existing sheets
+   * @param {string} sceneText - Narration of the scene
+   */
+  async updateVisualBible(sceneText) {
+    if (!sceneText) {
+      return;
+    }
+    
+    try {
+      logger.debug("Extracting character appearances");
+      const result = await this.provider.generateText(buildCharacterExtractionPrompt(this.visualBible, sceneText));
+      this.visualBible = mergeExtractedCharacters(this.visualBible, result && result.data ? result.data.output : null);
+    } catch (error) {
+      logger.error("Error updating visual bible", { error });
+    }
+  }
+  
+  /**
+   * Fold a new scene into the story memory, keeping it within the prompt budget
+   * Falls back to a simple local update if summarization fails
+   * @param {Object} memory - Memory before the scene
+   * @param {string} sceneText - Narration of the new scene
+   * @param {string} userChoice - Choice that led to the scene
+   * @returns {Promise<Object>} Updated memory ({ summary, facts })
+   */
+  async updateMemory(memory, sceneText, userChoice) {
+    let updated = null;
+    
+    try {
+      logger.debug("Updating story memory");
+      const prompt = buildMemoryUpdatePrompt(memory, sceneText, userChoice, this.memoryBudget);
+      const result = await this.provider.generateText(prompt);
+      
+      if (result && result.data) {
+        updated = parseMemoryUpdate(result.data.output);
+      }
+      if (!updated) {
+        logger.warn("Could not parse story memory update, appending scene instead");
+      }
+    } catch (error) {
+      logger.error("Error updating story memory", { error });
+    }
+    
+    if (!updated) {
+      updated = appendSceneToMemory(memory, sceneText, userChoice);
+    }
+    
+    return fitMemoryToBudget(updated, this.memoryBudget);
+  }
+  
+  /**
+   * Turn a scene's narration into validated changes to the player sheet and apply them
+   * If the changes can't be generated or parsed the sheet is left as it was
+   * @param {Object} sheet - Player sheet before the scene
+   * @param {string} sceneText - Narration of the scene
+   * @param {string} userChoice - Choice that led to the scene
+   * @returns {Promise<{ sheet: Object, applied: Array }>} New sheet and descriptions of applied changes
+   */
+  async updatePlayerSheet(sheet, sceneText, userChoice) {
+    try {
+      logger.debug("Extracting player state changes");
+      const prompt = buildStateChangePrompt(sheet, sceneText, userChoice);
+      const result = await this.provider.generateText(prompt);
+      
+      const changes = parseStateChanges(result && result.data ? result.data.output : null);
+      const { sheet: nextSheet, applied } = applyStateChanges(sheet, changes);
+      
+      return { sheet: nextSheet, applied: applied.map(describeStateChange) };
+    } catch (error) {
+      logger.error("Error updating player sheet", { error });
+      return { sheet, applied: [] };
+    }
+  }
+  
+  /**
+   * Invent an objective for a story whose setup didn't name one
+   * Falls back to the genre's default goal if generation fails
+   * @returns {Promise<string>} Goal
+   */
+  async generateGoal() {
+    try {
+      logger.debug("Generating story goal");
+      const result = await this.provider.generateText(buildGoalPrompt(this.describeSetup(), this.setup.premise));
+      const goal = parseGoal(result && result.data ? result.data.output : null);
+      if (goal) {
+        return goal;
+      }
+      logger.warn("Unusable goal response, using the genre's goal");
+    } catch (error) {
+      logger.error("Error generating goal", { error });
+    }
+    return GENRE_PRESETS[this.setup.genre].goal;
+  }
+  
+  /**
+   * Decide whether a scene ends the story
+   * Running out of health is always death; otherwise the LLM judges the scene against the goal,
+   * and a story that reaches the scene limit without an ending gets an open one
+   * @param {string} sceneText - Narration of the scene
+   * @param {Object} player - Player sheet after the scene
+   * @param {number} sceneCount - Scenes on the branch, including this one
+   * @returns {Promise<{ type: string, reason: string }|null>} Ending, or null if the story goes on
+   */
+  async checkEnding(sceneText, player, sceneCount) {
+    const ruleEnding = detectRuleEnding(player, sceneCount, this.maxScenes);
+    if (ruleEnding && ruleEnding.type === "death") {
+      return ruleEnding;
+    }
+    
+    if (sceneCount >= MIN_SCENES_BEFORE_ENDING && sceneText) {
+      try {
+        logger.debug("Checking for a story ending");
+        const goal = this.goal || GENRE_PRESETS[this.setup.genre].goal;
+        const result = await this.provider.generateText(buildEndingCheckPrompt(goal, sceneText, formatPlayerSheet(player)));
+        const ending = parseEndingCheck(result && result.data ? result.data.output : null);
+        if (ending) {
+          return ending;
+        }
+      } catch (error) {
+        logger.error("Error checking for an ending", { error });
+      }
+    }
+    
+    return ruleEnding;
+  }
+  
+  /**
+   * Generate the epilogue that closes a finished story
+   * @param {Object} ending - Ending ({ type, reason })
+   * @param {string} sceneText - Narration of the final scene
+   * @param {Object} memory - Story memory including the final scene
+   * @returns {Promise<string|null>} Epilogue text, or null if generation failed
+   */
+  async generateEpilogue(ending, sceneText, memory) {
+    const prompt = buildEpiloguePrompt(
+      this.describeSetup(),
+      this.goal || GENRE_PRESETS[this.setup.genre].goal,
+      formatMemory(memory),
+      ending,
+      sceneText
+    );
+    
+    try {
+      logger.debug("Generating epilogue");
+      const result = await this.moderateNarration(await this.provider.generateText(prompt), prompt);
+      if (result && result.data && result.data.output) {
+        return result.data.output;
+      }
+    } catch (error) {
+      logger.error("Error generating epilogue", { error });
+    }
+    return null;
+  }
+  
+  /**
+   * Work out which scenario node an action leads to
+   * Authored choices name their node; inside an improvised segment every other action continues the segment,
+   * and on an authored scene typed actions go to the scene's onAction segment if it has one
+   * @param {Object} [choiceDetails] - Choice taken, if it was one of the offered choices
+   * @returns {{ nodeId: string, node: Object, segmentScenes: number }} Next scenario step
+   * @throws {Error} With code ACTION_NOT_ALLOWED if the authored scene only accepts its own choices
+   */
+  resolveScenarioStep(choiceDetails) {
+    const position = this.currentScene.scenario || { nodeId: this.scenario.start, segmentScenes: 0 };
+    const current = this.scenario.nodes[position.nodeId];
+    
+    let nodeId = choiceDetails && choiceDetails.next;
+    if (!nodeId && current.type === "improvise") {
+      return { nodeId: position.nodeId, node: current, segmentScenes: position.segmentScenes + 1 };
+    }
+    if (!nodeId) {
+      nodeId = current.onAction;
+    }
+    if (!nodeId || !this.scenario.nodes[nodeId]) {
+      const error = new Error("This part of the story only allows the choices offered.");
+      error.code = "ACTION_NOT_ALLOWED";
+      throw error;
+    }
+    
+    const node = this.scenario.nodes[nodeId];
+    return { nodeId, node, segmentScenes: node.type === "improvise" ? 1 : 0 };
+  }
+  
+  /**
+   * Choices offered after a scenario step
+   * Authored scenes offer their own choices; improvised segments get generated choices until the segment
+   * is complete, then a single choice that moves the story on
+   * @param {Object} step - Scenario step ({ nodeId, node, segmentScenes })
+   * @param {string} sceneText - Narration of the scene
+   * @param {Object} memory - Story memory including this scene
+   * @param {Object} player - Player sheet after this scene
+   * @returns {Promise<{ choices: Array, fallback: boolean, template: Object|null }>} Choices, as from generateChoices
+   */
+  async getScenarioChoices(step, sceneText, memory, player) {
+    const { node } = step;
+    if (node.type === "scene") {
+      return { choices: node.choices, fallback: false, template: null };
+    }
+    
+    if (await this.isSegmentComplete(step, sceneText, memory, player)) {
+      logger.debug("Improvised segment complete");
+      return { choices: [{ label: node.exitLabel, intent: node.exitLabel, next: node.next }], fallback: false, template: null };
+    }
+    return this.generateChoices(sceneText, memory, player);
+  }
+  
+  /**
+   * Decide whether an improvised segment has run its course
+   * A segment always ends at its scene limit, and from its minimum length on once its condition holds;
+   * events are judged by the LLM, and a failed check lets the segment run on
+   * @param {Object} step - Scenario step of an improvise node
+   * @param {string} sceneText - Narration of the scene
+   * @param {Object} memory - Story memory including this scene
+   * @param {Object} player - Player sheet after this scene
+   * @returns {Promise<boolean>} True if the story should move on to the segment's next node
+   */
+  async isSegmentComplete(step, sceneText, memory, player) {
+    const { node, segmentScenes } = step;
+    if (segmentScenes >= node.maxScenes) {
+      return true;
+    }
+    if (segmentScenes < node.minScenes || !node.until) {
+      return false;
+    }
+    
+    const met = checkCondition(node.until, player);
+    if (met !== null) {
+      return met;
+    }
+    
+    try {
+      logger.debug("Checking scenario condition");
+      const result = await this.provider.generateText(buildConditionPrompt(node.until.event, sceneText, formatMemory(memory)));
+      return parseConditionCheck(result && result.data ? result.data.output : null);
+    } catch (error) {
+      logger.error("Error checking scenario condition", { error });
+      return false;
+    }
+  }
+  
+  /**
+   * Tag scene text with dia-tts speaker voices
+   * Quoted lines are attributed by the LLM, falling back to "said X" cues in the narration
+   * @param {string} text - Scene narration
+   * @returns {Promise<string>} Tagged TTS input
+   */
+  async tagDialogue(text) {
+    const segments = splitDialogue(text);
+    const quoteCount = segments.filter(segment => segment.type === "speech").length;
+    
+    let speakers = null;
+    if (quoteCount > 0) {
+      try {
+        logger.debug("Attributing dialogue", { lines: quoteCount });
+        const knownSpeakers = Object.keys(this.voices).filter(name => name !== NARRATOR && name !== UNKNOWN_SPEAKER);
+        const result = await this.provider.generateText(buildAttributionPrompt(text, segments, knownSpeakers));
+        speakers = parseAttribution(result && result.data ? result.data.output : null, quoteCount);
+      } catch (error) {
+        logger.error("Error attributing dialogue", { error });
+      }
+      
+      if (!speakers) {
+        logger.warn("Dialogue attribution failed, guessing speakers from the narration");
+        speakers = guessSpeakers(segments);
+      }
+    }
+    
+    const script = buildSpeechScript(segments, speakers || [], this.voices);
+    this.voices = script.voices;
+    return script.text;
+  }
+  
+  /**
+   * Generate speech from text using the session's speech model
+   * @param {string} text - The text to convert to speech
+   * @returns {Promise<string|null>} URL to the generated audio file or null if failed
+   */
+  async generateSpeech(text) {
+    // Over budget, scenes carry on without narration
+    if (this.checkBudget().level !== "ok") {
+      logger.info("Generation budget reached, skipping speech");
+      return null;
+    }
+    
+    try {
+      logger.debug("Generating speech", { characters: text.length });
+      
+      // Format the text for dia-tts, giving narration and each speaker their own voice
+      let formattedText = text;
+      
+      // Text that already contains speaker tags is used as is
+      if (!formattedText.includes('[S1]') && !formattedText.includes('[S2]')) {
+        formattedText = await this.tagDialogue(text);
+      }
+      
+      const result = await this.provider.generateSpeech(formattedText);
+      
+      // Return the audio URL from the response
+      if (result && result.audio && result.audio.url) {
+        return result.audio.url;
+      } else {
+        logger.warn("No audio URL found in the response");
+        return null;
+      }
+    } catch (error) {
+      logger.error("Error generating speech", { error });
+      return null;
     }
   }
 }
 
-module.exports = { GameState };
\ No newline at end of file
+module.exports = { GameState, validatePlayerAction, getDegradedParts, MIN_ACTION_LENGTH, MAX_ACTION_LENGTH };
\ No newline at end of file
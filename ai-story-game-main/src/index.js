@@ -3,13 +3,66 @@ const express = require('express');
 const path = require('path');
 const cors = require('cors');
 const fs = require('fs');
-const { fal } = require('@fal-ai/client');
-const { GameState } = require('./gameState');
+const { GameState, validatePlayerAction, getDegradedParts, MIN_ACTION_LENGTH, MAX_ACTION_LENGTH } = require('./gameState');
+const { getClientProviderNames } = require('./providers');
+const { normalizeChoices } = require('./choices');
+const { GENRE_PRESETS, NARRATION_LENGTHS, SETUP_FIELD_LIMITS, normalizeStorySetup } = require('./storySetup');
+const { ENDING_TYPES } = require('./endings');
+const {
+  createSessionStore,
+  createReplayStore,
+  createUserStore,
+  createMediaStore,
+  startSessionSweeper,
+  startMediaCollector
+} = require('./storage');
+const {
+  LOGIN_COOKIE,
+  validateCredentials,
+  hashPassword,
+  verifyPassword,
+  secretsMatch,
+  createSessionId,
+  parseCookies,
+  LoginSessions,
+  LoginAttempts,
+  startLoginSweeper
+} = require('./auth');
+const { EXPORT_FORMATS, exportStory } = require('./export');
+const { buildReplay, toPublicReplay } = require('./replay');
+const { RoomManager, normalizeRoomSettings } = require('./rooms');
+const { getUsageLedger } = require('./usage');
+const { getPromptLibrary, normalizePromptVariants } = require('./prompts');
+const { getScenarioLibrary } = require('./scenarios');
+const { logger, runWithContext, setContext, createRequestId, normalizeRequestId } = require('./logger');
+const { registry, metrics } = require('./metrics');
+const { listCircuits } = require('./providers/resilientProvider');
+const { releaseFixtureCursors } = require('./providers/fixtureProvider');
 
 // Create Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Give every request an ID that tags its log lines and provider calls, and log it once it is answered
+app.use((req, res, next) => {
+  const requestId = normalizeRequestId(req.get('X-Request-Id')) || createRequestId();
+  const start = Date.now();
+  res.set('X-Request-Id', requestId);
+  
+  res.on('finish', () => {
+    const level = req.path.startsWith('/api/') ? "info" : "debug";
+    logger[level]("Request completed", {
+      requestId,
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Date.now() - start
+    });
+  });
+  
+  runWithContext({ requestId }, next);
+});
+
 // Enable CORS
 app.use(cors());
 
@@ -19,487 +72,1685 @@ app.use(express.json());
 // Serve static files from the 'public' directory
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Configure FAL AI with API key
-fal.config({
-  credentials: process.env.FAL_KEY
-});
+// Load and validate the prompt templates now, so a broken template stops the server instead of a game
+const promptLibrary = getPromptLibrary();
+
+// Authored scenarios are validated at startup for the same reason
+const scenarioLibrary = getScenarioLibrary();
+
+// Persistent store for active game sessions, with idle sessions swept in the background;
+// a removed session's place in a replayed fixture is forgotten with it
+const sessionStore = createSessionStore({ onRemove: releaseFixtureCursors });
+startSessionSweeper(sessionStore);
 
-// Create a Map to store active game sessions
-const gameSessions = new Map();
+// Published replays never expire and are never modified
+const replayStore = createReplayStore();
 
-// Default choices if extraction fails
-const DEFAULT_CHOICES = [
-  "Continue exploring",
-  "Take a different path",
-  "Stop and observe your surroundings"
-];
+// Generated images and audio, served from this server once downloaded, with unused files collected in the background
+const mediaStore = createMediaStore();
+if (mediaStore) {
+  startMediaCollector(mediaStore, listReferencedMedia);
+}
+
+// Player accounts and their cookie login sessions
+const userStore = createUserStore();
+const loginSessions = new LoginSessions();
+const loginAttempts = new LoginAttempts();
+startLoginSweeper(loginSessions, loginAttempts);
+
+// Multiplayer rooms where viewers vote on the host session's choices
+const rooms = new RoomManager({ getScene: getSessionScene, playChoice: playRoomChoice });
 
 /**
- * Extract choices from the LLM response
- * This function handles various output formats and ensures we get valid choices
+ * Build the JSON response for the game's current scene
+ * Shared by every route that returns a scene so the frontend gets one shape
  * 
- * @param {Object} choicesResponse - The raw API response for choices generation
- * @returns {Array} - Array of string choices
+ * @param {string} sessionId - The session ID
+ * @param {GameState} game - The game instance
+ * @returns {Object} - Processed scene ({ sessionId, nodeId, setup, status, degraded, text, imageUrl, audioUrl, choices, choicesFallback, memory, player, stateChanges, goal, finished, ending, prompts, timeline, tree, usage })
  */
+function buildSceneResponse(sessionId, game) {
+  const scene = game.currentScene;
+  
+  // Process the scene data
+  let storyText = "";
+  if (scene.text && scene.text.data && scene.text.data.output) {
+    storyText = scene.text.data.output;
+  }
+  
+  // Extract image URL
+  let imageUrl = null;
+  if (scene.image && scene.image.images && scene.image.images.length > 0) {
+    imageUrl = scene.image.images[0].url;
+  }
+  
+  // Choice objects ({ label, intent, risk }), including choices stored as plain strings by older sessions;
+  // a finished story has none, and the scenario node a choice leads to stays on the server
+  const choices = scene.ending ? [] : normalizeChoices(scene.choices).map(({ next, ...choice }) => choice);
+  
+  // "degraded" when part of the scene is a stand-in for something that failed to generate
+  const degraded = getDegradedParts(scene);
+  
+  return {
+    sessionId,
+    nodeId: game.currentNodeId,
+    setup: game.setup,
+    status: degraded.length > 0 ? "degraded" : "ok",
+    degraded,
+    text: storyText,
+    imageUrl: imageUrl,
+    audioUrl: scene.audioUrl || null,
+    choices: choices,
+    choicesFallback: Boolean(scene.choicesFallback),
+    memory: scene.memory || null,
+    player: scene.player || null,
+    stateChanges: scene.stateChanges || [],
+    goal: game.goal,
+    scenario: game.scenario ? { id: game.scenario.id, title: game.scenario.title } : null,
+    finished: Boolean(scene.ending),
+    ending: scene.ending ? { ...scene.ending, label: ENDING_TYPES[scene.ending.type].label } : null,
+    prompts: scene.prompts || null,
+    timeline: game.getTimeline(),
+    tree: game.getTree(),
+    usage: {
+      session: game.usage,
+      budget: game.checkBudget()
+    }
+  };
+}
+
 /**
- * Extract choices from the LLM response
- * Simple and robust extraction using manual string matching
+ * Generate narration for the current scene and keep its URL on the scene
+ * so rewinding to it later doesn't need another TTS call
  * 
- * @param {Object} choicesResponse - The raw API response for choices generation
- * @returns {Array} - Array of string choices
+ * @param {GameState} game - The game instance
  */
-function extractChoices(choicesResponse) {
-  try {
-    console.log("Extracting choices from:", JSON.stringify(choicesResponse).substring(0, 200) + "...");
-    
-    // If the response is already an array, just return it
-    if (Array.isArray(choicesResponse)) {
-      return choicesResponse.length > 0 ? choicesResponse : DEFAULT_CHOICES;
-    }
-    
-    // If no response or invalid response, return defaults
-    if (!choicesResponse || typeof choicesResponse !== 'object') {
-      console.warn("Invalid choices response, using defaults");
-      return DEFAULT_CHOICES;
-    }
-    
-    // Check if response has data.output property (common format from API)
-    if (choicesResponse.data && choicesResponse.data.output) {
-      const output = choicesResponse.data.output;
-      
-      // Extract quoted strings using simple regex
-      const manualExtract = output.match(/"(.*?)"/g);
-      if (manualExtract) {
-        const cleanedChoices = manualExtract.map(choice => choice.replace(/"/g, ''));
-        console.log("Successfully extracted choices manually");
-        
-        // Make sure we have at least 3 choices, pad with defaults if needed
-        if (cleanedChoices.length < 3) {
-          const neededDefaults = 3 - cleanedChoices.length;
-          return [...cleanedChoices, ...DEFAULT_CHOICES.slice(0, neededDefaults)];
+async function narrateCurrentScene(game) {
+  const scene = game.currentScene;
+  
+  let storyText = "";
+  if (scene.text && scene.text.data && scene.text.data.output) {
+    storyText = scene.text.data.output;
+  }
+  
+  // The epilogue of a finished story is read after its final scene
+  if (scene.ending && scene.ending.epilogue) {
+    storyText += "\n\n" + scene.ending.epilogue;
+  }
+  
+  // Generate speech from the story text
+  scene.audioUrl = await game.generateSpeech(storyText);
+}
+
+/**
+ * Download the current scene's image and narration into the media store and point the scene at the local copies
+ * The original image URL is kept as sourceUrl, since the provider needs a URL it can reach for reference images
+ * 
+ * @param {GameState} game - The game instance
+ */
+async function cacheSceneMedia(game) {
+  if (!mediaStore) {
+    return;
+  }
+  
+  const scene = game.currentScene;
+  if (scene.image && Array.isArray(scene.image.images)) {
+    for (const image of scene.image.images) {
+      const url = await mediaStore.cache(image.url);
+      if (url !== image.url) {
+        if (/^https?:/.test(image.url)) {
+          image.sourceUrl = image.url;
         }
-        
-        // Return the first 3 choices
-        return cleanedChoices.slice(0, 3);
+        image.url = url;
       }
     }
-    
-    // If all extraction attempts fail, return defaults
-    console.warn("Could not extract valid choices, using defaults");
-    return DEFAULT_CHOICES;
-  } catch (error) {
-    console.error("Error extracting choices:", error);
-    return DEFAULT_CHOICES;
   }
+  
+  if (scene.audioUrl) {
+    scene.audioUrl = await mediaStore.cache(scene.audioUrl);
+  }
+}
+
+/**
+ * Collect the media files that sessions and published replays still refer to
+ * 
+ * @returns {Promise<Set<string>>} Stored file names in use
+ */
+async function listReferencedMedia() {
+  const referenced = new Set();
+  const add = (url) => {
+    const fileName = mediaStore.fileNameFromUrl(url);
+    if (fileName) {
+      referenced.add(fileName);
+    }
+  };
+  
+  for (const session of await sessionStore.list()) {
+    const game = await sessionStore.get(session.sessionId);
+    for (const node of game ? game.nodes : []) {
+      ((node.scene.image && node.scene.image.images) || []).forEach(image => add(image.url));
+      add(node.scene.audioUrl);
+    }
+  }
+  
+  for (const token of await replayStore.list()) {
+    const replay = await replayStore.get(token);
+    for (const scene of replay ? replay.scenes : []) {
+      add(scene.imageUrl);
+      add(scene.audioUrl);
+    }
+  }
+  
+  return referenced;
+}
+
+/**
+ * Username of the signed-in player, from the login cookie
+ * 
+ * @param {Object} req - Express request
+ * @returns {string|null} Username, or null if not signed in
+ */
+function getCurrentUser(req) {
+  return loginSessions.get(parseCookies(req.headers.cookie)[LOGIN_COOKIE]);
+}
+
+/**
+ * Reject requests from players who aren't signed in
+ * The username is available to routes as req.user
+ * 
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requireUser(req, res, next) {
+  const username = getCurrentUser(req);
+  if (!username) {
+    return res.status(401).json({ error: "Please sign in to play" });
+  }
+  
+  req.user = username;
+  next();
+}
+
+/**
+ * Reject requests from players who aren't administrators
+ * Administrators are the usernames listed in ADMIN_USERS (comma-separated)
+ * 
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requireAdmin(req, res, next) {
+  const admins = (process.env.ADMIN_USERS || "").split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  const username = getCurrentUser(req);
+  if (!username || !admins.includes(username)) {
+    return res.status(403).json({ error: "Admin access required" });
+  }
+  
+  req.user = username;
+  next();
+}
+
+/**
+ * Sign a player in by starting a login session and setting its cookie
+ * 
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} username - Player to sign in
+ */
+function startLogin(req, res, username) {
+  res.cookie(LOGIN_COOKIE, loginSessions.create(username), {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    maxAge: loginSessions.ttlMs
+  });
+}
+
+/**
+ * Load a game the signed-in player owns
+ * Games of other players are treated as missing, so session IDs can't be probed
+ * 
+ * @param {Object} req - Express request with req.user
+ * @param {string} sessionId - The session ID
+ * @returns {Promise<GameState|null>} The game, or null if missing or owned by someone else
+ */
+async function getOwnedGame(req, sessionId) {
+  setContext({ sessionId });
+  const game = await sessionStore.get(sessionId);
+  if (!game || game.ownerId !== req.user) {
+    return null;
+  }
+  return game;
+}
+
+/**
+ * Send the current scene, and push it to the session's multiplayer room if it has one
+ * 
+ * @param {Object} res - Express response
+ * @param {string} sessionId - The session ID
+ * @param {GameState} game - The game instance
+ */
+function sendScene(res, sessionId, game) {
+  const scene = buildSceneResponse(sessionId, game);
+  rooms.sceneChanged(sessionId, scene);
+  res.json(scene);
+}
+
+/**
+ * Get the current scene of a stored session
+ * 
+ * @param {string} sessionId - The session ID
+ * @returns {Promise<Object|null>} Scene response, or null if the session is gone
+ */
+async function getSessionScene(sessionId) {
+  const game = await sessionStore.get(sessionId);
+  return game ? buildSceneResponse(sessionId, game) : null;
+}
+
+/**
+ * Play the choice a room voted for
+ * 
+ * @param {string} sessionId - The host session ID
+ * @param {number} choiceIndex - Winning choice
+ * @returns {Promise<Object|null>} Scene response after the choice, or null if the session is gone
+ */
+async function playRoomChoice(sessionId, choiceIndex) {
+  // Votes arrive over WebSockets, so each played choice gets its own request ID
+  return runWithContext({ requestId: createRequestId(), sessionId }, async () => {
+    const game = await sessionStore.get(sessionId);
+    if (!game) {
+      return null;
+    }
+    
+    await game.makeChoice(choiceIndex);
+    await narrateCurrentScene(game);
+    await cacheSceneMedia(game);
+    await sessionStore.save(sessionId, game);
+    return buildSceneResponse(sessionId, game);
+  });
 }
 
 /**
- * Generate speech from text using dia-tts
+ * Close the multiplayer room streaming a session, if it has one
  * 
- * @param {string} text - The text to convert to speech
- * @returns {Promise<string|null>} - URL to the generated audio file or null if failed
+ * @param {string} sessionId - The session ID
  */
-async function generateSpeech(text) {
+function closeSessionRoom(sessionId) {
+  const room = rooms.findBySession(sessionId);
+  if (room) {
+    rooms.closeRoom(room.roomId);
+  }
+}
+
+// Account routes: register, sign in, sign out and who am I
+app.post('/api/auth/register', async (req, res) => {
   try {
-    console.log("Generating speech for:", text.substring(0, 100) + "...");
-    
-    // Format the text for dia-tts using [S1] for narrator
-    let formattedText = text;
-    
-    // If the text doesn't already contain speaker tags, add [S1] as narrator
-    if (!formattedText.includes('[S1]') && !formattedText.includes('[S2]')) {
-      formattedText = `[S1] ${formattedText}`;
-    }
-    
-    // Call the dia-tts API
-    const result = await fal.subscribe("fal-ai/dia-tts", {
-      input: {
-        text: formattedText
-      },
-      logs: true,
-      onQueueUpdate: (update) => {
-        if (update.status === "IN_PROGRESS") {
-          if (update.logs && update.logs.length > 0) {
-            update.logs.map((log) => log.message).forEach(console.log);
-          }
-        }
-      },
+    const { credentials, error } = validateCredentials(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const created = await userStore.create({
+      username: credentials.username,
+      password: await hashPassword(credentials.password),
+      createdAt: Date.now()
     });
+    if (!created) {
+      return res.status(409).json({ error: "That username is already taken" });
+    }
     
-    console.log("Speech generation completed, requestId:", result.requestId);
+    startLogin(req, res, credentials.username);
+    res.status(201).json({ username: credentials.username });
+  } catch (error) {
+    logger.error("Error registering user", { error });
+    res.status(500).json({ error: "Failed to create account" });
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { credentials, error } = validateCredentials(req.body);
+    
+    // Failures count against both the username and the client, so neither can keep guessing
+    const attemptKeys = [`ip:${req.ip}`].concat(error ? [] : [`user:${credentials.username}`]);
+    const retryAfterMs = loginAttempts.retryAfter(attemptKeys);
+    if (retryAfterMs > 0) {
+      res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+      return res.status(429).json({ error: "Too many failed sign-ins, try again later", retryAfterMs });
+    }
     
-    // Return the audio URL from the response
-    if (result.data && result.data.audio.url) {
-      return result.data.audio.url;
-    } else {
-      console.warn("No audio URL found in the response");
-      return null;
+    const user = error ? null : await userStore.get(credentials.username);
+    if (!user || !(await verifyPassword(credentials.password, user.password))) {
+      loginAttempts.fail(attemptKeys);
+      return res.status(401).json({ error: "Wrong username or password" });
     }
+    
+    loginAttempts.clear(`user:${user.username}`);
+    startLogin(req, res, user.username);
+    res.json({ username: user.username });
   } catch (error) {
-    console.error("Error generating speech:", error);
-    return null;
+    logger.error("Error signing in", { error });
+    res.status(500).json({ error: "Failed to sign in" });
   }
-}
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  loginSessions.delete(parseCookies(req.headers.cookie)[LOGIN_COOKIE]);
+  res.clearCookie(LOGIN_COOKIE);
+  res.json({ signedOut: true });
+});
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({ username: getCurrentUser(req) });
+});
+
+// List the signed-in player's saved games ("My stories")
+app.get('/api/stories', requireUser, async (req, res) => {
+  try {
+    const sessions = (await sessionStore.list())
+      .filter(session => session.ownerId === req.user)
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+    
+    const stories = [];
+    for (const session of sessions) {
+      const game = await sessionStore.get(session.sessionId);
+      if (game) {
+        stories.push({ sessionId: session.sessionId, createdAt: session.createdAt, updatedAt: session.updatedAt, ...game.getSummary() });
+      }
+    }
+    
+    res.json({ stories });
+  } catch (error) {
+    logger.error("Error listing stories", { error });
+    res.status(500).json({ error: "Failed to list stories" });
+  }
+});
+
+// List the authored scenarios a game can be started from
+app.get('/api/scenarios', (req, res) => {
+  res.json({ scenarios: scenarioLibrary.list() });
+});
+
+// Every game route needs a signed-in player, who may only touch their own games
+app.use('/api/game', requireUser);
 
 // Initialize a new game session
 app.post('/api/game/start', async (req, res) => {
   try {
-    const sessionId = Date.now().toString();
-    const game = new GameState();
+    const sessionId = createSessionId();
+    setContext({ sessionId });
+    const { provider, setup, prompts, scenario: scenarioId } = req.body || {};
     
-    // Start a new game
-    const initialScene = await game.startNewGame();
-    console.log("Initial scene retrieved");
-    
-    // Store the game instance
-    gameSessions.set(sessionId, game);
-    
-    // Process the scene data
-    let storyText = "";
-    if (initialScene.text && initialScene.text.data && initialScene.text.data.output) {
-      storyText = initialScene.text.data.output;
+    // Clients may only pick from the allowed providers; the rest are server config
+    if (provider && !getClientProviderNames().includes(provider)) {
+      return res.status(400).json({ error: `Unknown provider: ${provider}` });
     }
     
-    // Generate speech from the story text
-    const audioUrl = await generateSpeech(storyText);
+    // An authored scenario brings its own setup in place of the one from the form
+    const scenario = scenarioId ? scenarioLibrary.get(scenarioId) : null;
+    if (scenarioId && !scenario) {
+      return res.status(400).json({ error: `Unknown scenario: ${scenarioId}` });
+    }
     
-    // Extract image URL
-    let imageUrl = null;
-    if (initialScene.image && initialScene.image.images && initialScene.image.images.length > 0) {
-      imageUrl = initialScene.image.images[0].url;
+    // Validate the story setup (genre, premise, protagonist, tone, narration length)
+    const setupResult = normalizeStorySetup(scenario ? scenario.setup : setup);
+    if (setupResult.error) {
+      return res.status(400).json({ error: setupResult.error });
     }
     
-    // Extract choices with our robust function
-    const choices = extractChoices(initialScene.choices);
+    // Prompt variants to use instead of the defaults, e.g. { narration: "terse" }
+    const promptResult = normalizePromptVariants(prompts, promptLibrary);
+    if (promptResult.error) {
+      return res.status(400).json({ error: promptResult.error });
+    }
     
-    // Send the processed scene
-    res.json({
+    const game = new GameState({
       sessionId,
-      text: storyText,
-      imageUrl: imageUrl,
-      audioUrl: audioUrl,
-      choices: choices
+      ownerId: req.user,
+      provider,
+      setup: setupResult.setup,
+      promptVariants: promptLibrary.assignVariants(promptResult.variants),
+      scenario
     });
+    
+    // Start a new game
+    await game.startNewGame();
+    logger.debug("Initial scene retrieved");
+    
+    await narrateCurrentScene(game);
+    await cacheSceneMedia(game);
+    
+    // Store the game instance
+    await sessionStore.save(sessionId, game);
+    
+    // Send the processed scene
+    res.json(buildSceneResponse(sessionId, game));
   } catch (error) {
-    console.error("Error starting game:", error);
+    // Budgets are checked before anything is generated
+    if (error.code === "BUDGET_EXHAUSTED") {
+      return res.status(429).json({ error: error.message, reasons: error.reasons });
+    }
+    if (error.code === "GENERATION_FAILED") {
+      return res.status(503).json({ error: error.message, status: "error", retryAfterMs: error.retryAfterMs });
+    }
+    
+    logger.error("Error starting game", { error });
     res.status(500).json({ error: "Failed to start game" });
   }
 });
 
-// Make a choice in the game
+// Make a choice in the game, either a generated choice (choiceIndex) or a typed action (action)
 app.post('/api/game/choice', async (req, res) => {
   try {
-    const { sessionId, choiceIndex } = req.body;
+    const { sessionId, choiceIndex, action } = req.body;
+    
+    // Validate a free-text action before touching the session
+    let playerAction = null;
+    if (action !== undefined) {
+      const result = validatePlayerAction(action);
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      playerAction = result.action;
+    }
     
     // Get the game instance
-    const game = gameSessions.get(sessionId);
+    const game = await getOwnedGame(req, sessionId);
     if (!game) {
       return res.status(404).json({ error: "Game session not found" });
     }
     
-    // Make the choice
-    const nextScene = await game.makeChoice(parseInt(choiceIndex, 10));
-    console.log("Next scene retrieved");
-    
-    // Process the scene data
-    let storyText = "";
-    if (nextScene.text && nextScene.text.data && nextScene.text.data.output) {
-      storyText = nextScene.text.data.output;
+    // A generated choice must be one of the scene's choices, sent as a number or a string of digits
+    const index = typeof choiceIndex === 'string' && /^\d+$/.test(choiceIndex) ? Number(choiceIndex) : choiceIndex;
+    if (!playerAction && !game.hasChoice(index)) {
+      return res.status(400).json({ error: "Invalid choice index" });
     }
     
-    // Generate speech from the story text
-    const audioUrl = await generateSpeech(storyText);
-    
-    // Extract image URL
-    let imageUrl = null;
-    if (nextScene.image && nextScene.image.images && nextScene.image.images.length > 0) {
-      imageUrl = nextScene.image.images[0].url;
+    // Make the choice or take the typed action
+    if (playerAction) {
+      await game.takeAction(playerAction);
+    } else {
+      await game.makeChoice(index);
     }
+    logger.debug("Next scene retrieved");
+    
+    await narrateCurrentScene(game);
+    await cacheSceneMedia(game);
     
-    // Extract choices with our robust function
-    const choices = extractChoices(nextScene.choices);
+    // Persist the advanced game
+    await sessionStore.save(sessionId, game);
     
     // Send the processed scene
-    res.json({
-      sessionId,
-      text: storyText,
-      imageUrl: imageUrl,
-      audioUrl: audioUrl,
-      choices: choices
-    });
+    sendScene(res, sessionId, game);
   } catch (error) {
-    console.error("Error processing choice:", error);
+    // Typed actions the moderation policy blocks are the player's to rephrase
+    if (error.code === "CONTENT_BLOCKED") {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.code === "BUDGET_EXHAUSTED") {
+      return res.status(429).json({ error: error.message, reasons: error.reasons });
+    }
+    if (error.code === "GAME_FINISHED") {
+      return res.status(409).json({ error: error.message });
+    }
+    if (error.code === "ACTION_NOT_ALLOWED" || error.code === "INVALID_CHOICE") {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.code === "GENERATION_FAILED") {
+      return res.status(503).json({ error: error.message, status: "error", retryAfterMs: error.retryAfterMs });
+    }
+    
+    logger.error("Error processing choice", { error });
     res.status(500).json({ error: "Failed to process choice" });
   }
 });
 
-// HTML content for the frontend
-// HTML content for the frontend with proper escaping
-const htmlContent = `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>AI Story Adventure</title>
-  <style>
-    body {
-      font-family: 'Bookman Old Style', Georgia, serif;
-      background-color: #1a1a1a;
-      color: #f0f0f0;
-      margin: 0;
-      padding: 0;
-      display: flex;
-      justify-content: center;
-      align-items: center;
-      min-height: 100vh;
-    }
+// Rewind the game to a previous scene
+app.post('/api/game/rewind', async (req, res) => {
+  try {
+    const { sessionId, historyIndex } = req.body;
     
-    .game-container {
-      max-width: 800px;
-      width: 100%;
-      background-color: #2a2a2a;
-      border-radius: 10px;
-      box-shadow: 0 0 20px rgba(0, 0, 0, 0.5);
-      overflow: hidden;
-      margin: 20px;
+    // Get the game instance
+    const game = await getOwnedGame(req, sessionId);
+    if (!game) {
+      return res.status(404).json({ error: "Game session not found" });
     }
     
-    .image-container {
-      width: 100%;
-      height: 400px;
-      overflow: hidden;
-      position: relative;
+    // Validate the history index
+    const index = parseInt(historyIndex, 10);
+    if (!Number.isInteger(index) || index < 0 || index >= game.history.length) {
+      return res.status(400).json({ error: "Invalid history index" });
     }
     
-    .story-image {
-      width: 100%;
-      height: 100%;
-      object-fit: cover;
-      transition: transform 1s ease;
-    }
+    // Restore the scene
+    game.rewind(index);
+    logger.info("Rewound session", { sessionId, scene: index });
     
-    .loading-overlay {
-      position: absolute;
-      top: 0;
-      left: 0;
-      width: 100%;
-      height: 100%;
-      background-color: rgba(0, 0, 0, 0.7);
-      display: flex;
-      justify-content: center;
-      align-items: center;
-      z-index: 10;
-    }
+    // Persist the rewound game
+    await sessionStore.save(sessionId, game);
     
-    .spinner {
-      width: 50px;
-      height: 50px;
-      border: 5px solid rgba(255, 255, 255, 0.3);
-      border-radius: 50%;
-      border-top-color: #fff;
-      animation: spin 1s ease-in-out infinite;
-    }
+    // Send the processed scene
+    sendScene(res, sessionId, game);
+  } catch (error) {
+    logger.error("Error rewinding game", { error });
+    res.status(500).json({ error: "Failed to rewind game" });
+  }
+});
+
+// Fork the story from any scene in the tree
+app.post('/api/game/fork', async (req, res) => {
+  try {
+    const { sessionId, nodeId } = req.body;
     
-    @keyframes spin {
-      to { transform: rotate(360deg); }
+    // Get the game instance
+    const game = await getOwnedGame(req, sessionId);
+    if (!game) {
+      return res.status(404).json({ error: "Game session not found" });
     }
     
-    .story-content {
-      padding: 20px;
+    // Validate the node
+    const id = parseInt(nodeId, 10);
+    if (!game.hasNode(id)) {
+      return res.status(400).json({ error: "Invalid node ID" });
     }
     
-    .story-text {
-      line-height: 1.6;
-      font-size: 18px;
+    // Move to the node; the next choice starts a new branch from there
+    game.goToNode(id);
+    logger.info("Forking session", { sessionId, scene: id });
+    
+    // Persist the moved game
+    await sessionStore.save(sessionId, game);
+    
+    // Send the processed scene
+    sendScene(res, sessionId, game);
+  } catch (error) {
+    logger.error("Error forking game", { error });
+    res.status(500).json({ error: "Failed to fork game" });
+  }
+});
+
+// List the branches of a game's story tree
+app.get('/api/game/:sessionId/branches', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    
+    // Get the game instance
+    const game = await getOwnedGame(req, sessionId);
+    if (!game) {
+      return res.status(404).json({ error: "Game session not found" });
+    }
+    
+    res.json({
+      sessionId,
+      currentNodeId: game.currentNodeId,
+      branches: game.getBranches()
+    });
+  } catch (error) {
+    logger.error("Error listing branches", { error });
+    res.status(500).json({ error: "Failed to list branches" });
+  }
+});
+
+// Get the current scene of a game, e.g. after a room vote moved it on
+app.get('/api/game/:sessionId', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    
+    // Get the game instance
+    const game = await getOwnedGame(req, sessionId);
+    if (!game) {
+      return res.status(404).json({ error: "Game session not found" });
+    }
+    
+    res.json(buildSceneResponse(sessionId, game));
+  } catch (error) {
+    logger.error("Error getting scene", { error });
+    res.status(500).json({ error: "Failed to get scene" });
+  }
+});
+
+// Get the whole story tree of a game
+app.get('/api/game/:sessionId/tree', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    
+    // Get the game instance
+    const game = await getOwnedGame(req, sessionId);
+    if (!game) {
+      return res.status(404).json({ error: "Game session not found" });
+    }
+    
+    res.json({ sessionId, ...game.getTree() });
+  } catch (error) {
+    logger.error("Error getting story tree", { error });
+    res.status(500).json({ error: "Failed to get story tree" });
+  }
+});
+
+// Export the active branch as an illustrated book (?format=html|markdown|epub, html by default)
+app.get('/api/game/:sessionId/export', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const format = req.query.format || "html";
+    
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `Unknown export format: ${format}` });
+    }
+    
+    // Get the game instance
+    const game = await getOwnedGame(req, sessionId);
+    if (!game) {
+      return res.status(404).json({ error: "Game session not found" });
+    }
+    
+    const file = await exportStory(game, format, { mediaStore, baseUrl: `${req.protocol}://${req.get('host')}` });
+    res.set('Content-Type', file.contentType);
+    res.attachment(`story-${sessionId}.${file.extension}`);
+    res.send(file.body);
+  } catch (error) {
+    logger.error("Error exporting story", { error });
+    res.status(500).json({ error: "Failed to export story" });
+  }
+});
+
+// Publish the active branch as a read-only replay with a public token
+app.post('/api/game/publish', async (req, res) => {
+  try {
+    const { sessionId } = req.body;
+    
+    // Get the game instance
+    const game = await getOwnedGame(req, sessionId);
+    if (!game) {
+      return res.status(404).json({ error: "Game session not found" });
+    }
+    
+    const replay = buildReplay(game);
+    await replayStore.create(replay);
+    logger.info("Published replay", { scenes: replay.scenes.length });
+    
+    res.json({ token: replay.token, url: `/replay/${replay.token}` });
+  } catch (error) {
+    logger.error("Error publishing replay", { error });
+    res.status(500).json({ error: "Failed to publish replay" });
+  }
+});
+
+// Open a multiplayer room for a session; the host key lets the creator join as host
+app.post('/api/game/room', async (req, res) => {
+  try {
+    const { sessionId, voteSeconds, tieBreak } = req.body;
+    
+    const { settings, error } = normalizeRoomSettings({ voteSeconds, tieBreak });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    // Get the game instance
+    const game = await getOwnedGame(req, sessionId);
+    if (!game) {
+      return res.status(404).json({ error: "Game session not found" });
+    }
+    
+    // A session is streamed to at most one room
+    const existing = rooms.findBySession(sessionId);
+    if (existing) {
+      rooms.closeRoom(existing.roomId);
+    }
+    
+    const room = rooms.createRoom(sessionId, settings);
+    res.json({ roomId: room.roomId, hostKey: room.hostKey, url: `/room/${room.roomId}`, settings });
+  } catch (error) {
+    logger.error("Error creating room", { error });
+    res.status(500).json({ error: "Failed to create room" });
+  }
+});
+
+// Close the multiplayer room of a session
+app.post('/api/game/room/close', async (req, res) => {
+  try {
+    const { sessionId } = req.body;
+    
+    const game = await getOwnedGame(req, sessionId);
+    const room = game ? rooms.findBySession(sessionId) : null;
+    if (!room) {
+      return res.status(404).json({ error: "Room not found" });
+    }
+    
+    rooms.closeRoom(room.roomId);
+    res.json({ closed: true });
+  } catch (error) {
+    logger.error("Error closing room", { error });
+    res.status(500).json({ error: "Failed to close room" });
+  }
+});
+
+// Serve cached media; files are named by their content hash, so they never change and can be cached forever
+app.get('/media/:fileName', (req, res) => {
+  const file = mediaStore ? mediaStore.filePath(req.params.fileName) : null;
+  if (!file) {
+    return res.status(404).json({ error: "Media not found" });
+  }
+  
+  // Generated SVGs are served from our own origin, so they must never run scripts
+  res.set('X-Content-Type-Options', 'nosniff');
+  res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'");
+  res.sendFile(file, { maxAge: '365d', immutable: true }, (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({ error: "Media not found" });
+    }
+  });
+});
+
+// Today's provider usage across all sessions, for administrators
+app.get('/api/admin/usage', requireAdmin, (req, res) => {
+  try {
+    res.json(getUsageLedger().getSummary());
+  } catch (error) {
+    logger.error("Error summarizing usage", { error });
+    res.status(500).json({ error: "Failed to summarize usage" });
+  }
+});
+
+// Recent failed provider calls, optionally of one kind or model, for administrators
+app.get('/api/admin/errors', requireAdmin, (req, res) => {
+  try {
+    const { kind, model } = req.query;
+    res.json({ errors: getUsageLedger().getRecentErrors({ kind, model }), circuits: listCircuits() });
+  } catch (error) {
+    logger.error("Error listing generation errors", { error });
+    res.status(500).json({ error: "Failed to list generation errors" });
+  }
+});
+
+// Every stored session, most recently active first, for administrators
+app.get('/api/admin/sessions', requireAdmin, async (req, res) => {
+  try {
+    const sessions = (await sessionStore.list()).sort((a, b) => b.updatedAt - a.updatedAt);
+    
+    const results = [];
+    for (const session of sessions) {
+      // Expired sessions are listed until the sweeper removes them, but loading one would remove it now
+      if (sessionStore.isExpired(session)) {
+        results.push({ ...session, expired: true });
+        continue;
+      }
+      
+      const game = await sessionStore.get(session.sessionId);
+      if (game) {
+        results.push({
+          ...session,
+          expired: false,
+          ...game.getSummary(),
+          usage: game.usage,
+          room: Boolean(rooms.findBySession(session.sessionId))
+        });
+      }
+    }
+    
+    res.json({ sessions: results });
+  } catch (error) {
+    logger.error("Error listing sessions", { error });
+    res.status(500).json({ error: "Failed to list sessions" });
+  }
+});
+
+// A session's full story tree, with the raw generation responses of every scene, for administrators
+app.get('/api/admin/sessions/:sessionId', requireAdmin, async (req, res) => {
+  try {
+    const game = await sessionStore.get(req.params.sessionId);
+    if (!game) {
+      return res.status(404).json({ error: "Game session not found" });
+    }
+    
+    res.json({ sessionId: req.params.sessionId, ...game.getSummary(), state: game.toJSON() });
+  } catch (error) {
+    logger.error("Error inspecting session", { error });
+    res.status(500).json({ error: "Failed to inspect session" });
+  }
+});
+
+// End a session as if it had been idle too long; its room, if any, is closed
+app.post('/api/admin/sessions/:sessionId/expire', requireAdmin, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!await sessionStore.expire(sessionId)) {
+      return res.status(404).json({ error: "Game session not found" });
+    }
+    
+    closeSessionRoom(sessionId);
+    logger.info("Admin expired session", { admin: req.user, sessionId });
+    res.json({ expired: true });
+  } catch (error) {
+    logger.error("Error expiring session", { error });
+    res.status(500).json({ error: "Failed to expire session" });
+  }
+});
+
+// Remove a session for good; published replays of it are kept
+app.post('/api/admin/sessions/:sessionId/delete', requireAdmin, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!await sessionStore.delete(sessionId)) {
+      return res.status(404).json({ error: "Game session not found" });
+    }
+    
+    closeSessionRoom(sessionId);
+    logger.info("Admin deleted session", { admin: req.user, sessionId });
+    res.json({ deleted: true });
+  } catch (error) {
+    logger.error("Error deleting session", { error });
+    res.status(500).json({ error: "Failed to delete session" });
+  }
+});
+
+// Gauges counted fresh for every scrape
+registry.onCollect(async () => {
+  metrics.activeSessions.set({}, await sessionStore.countActive());
+  metrics.activeRooms.set({}, rooms.size);
+});
+
+// Prometheus metrics; when METRICS_TOKEN is set, scrapers must send it as a bearer token
+app.get('/metrics', async (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && !secretsMatch(`Bearer ${token}`, req.get('Authorization'))) {
+    return res.status(401).json({ error: "Metrics token required" });
+  }
+  
+  try {
+    res.type('text/plain; version=0.0.4').send(await registry.render());
+  } catch (error) {
+    logger.error("Error rendering metrics", { error });
+    res.status(500).json({ error: "Failed to render metrics" });
+  }
+});
+
+// The admin dashboard is the game page, which switches to the dashboard for /admin; the API checks access
+app.get('/admin', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// Room links open the game page, which joins the room as a viewer
+app.get('/room/:roomId', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// Get a published replay
+app.get('/api/replay/:token', async (req, res) => {
+  try {
+    const replay = await replayStore.get(req.params.token);
+    if (!replay) {
+      return res.status(404).json({ error: "Replay not found" });
+    }
+    
+    res.json(toPublicReplay(replay));
+  } catch (error) {
+    logger.error("Error getting replay", { error });
+    res.status(500).json({ error: "Failed to get replay" });
+  }
+});
+
+// The replay viewer is the game page, which switches to replay mode for /replay/ URLs
+app.get('/replay/:token', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// Switch to the latest scene of another branch
+app.post('/api/game/switch', async (req, res) => {
+  try {
+    const { sessionId, branchId } = req.body;
+    
+    // Get the game instance
+    const game = await getOwnedGame(req, sessionId);
+    if (!game) {
+      return res.status(404).json({ error: "Game session not found" });
+    }
+    
+    // Validate the branch
+    const id = parseInt(branchId, 10);
+    const branch = game.getBranches().find(candidate => candidate.branchId === id);
+    if (!branch) {
+      return res.status(400).json({ error: "Invalid branch ID" });
+    }
+    
+    // Jump to the tip of the branch
+    game.goToNode(id);
+    logger.info("Switched branch", { sessionId, branchId: id });
+    
+    // Persist the moved game
+    await sessionStore.save(sessionId, game);
+    
+    // Send the processed scene
+    sendScene(res, sessionId, game);
+  } catch (error) {
+    logger.error("Error switching branch", { error });
+    res.status(500).json({ error: "Failed to switch branch" });
+  }
+});
+
+// HTML content for the frontend
+// HTML content for the frontend with proper escaping
+const htmlContent = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>AI Story Adventure</title>
+  <style>
+    body {
+      font-family: 'Bookman Old Style', Georgia, serif;
+      background-color: #1a1a1a;
+      color: #f0f0f0;
+      margin: 0;
+      padding: 0;
+      display: flex;
+      justify-content: center;
+      align-items: center;
+      flex-wrap: wrap;
+      min-height: 100vh;
+    }
+    
+    .game-container {
+      max-width: 800px;
+      width: 100%;
+      background-color: #2a2a2a;
+      border-radius: 10px;
+      box-shadow: 0 0 20px rgba(0, 0, 0, 0.5);
+      overflow: hidden;
+      margin: 20px;
+    }
+    
+    .image-container {
+      width: 100%;
+      height: 400px;
+      overflow: hidden;
+      position: relative;
+    }
+    
+    .story-image {
+      width: 100%;
+      height: 100%;
+      object-fit: cover;
+      transition: transform 1s ease;
+    }
+    
+    .loading-overlay {
+      position: absolute;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background-color: rgba(0, 0, 0, 0.7);
+      display: flex;
+      justify-content: center;
+      align-items: center;
+      z-index: 10;
+    }
+    
+    .spinner {
+      width: 50px;
+      height: 50px;
+      border: 5px solid rgba(255, 255, 255, 0.3);
+      border-radius: 50%;
+      border-top-color: #fff;
+      animation: spin 1s ease-in-out infinite;
+    }
+    
+    @keyframes spin {
+      to { transform: rotate(360deg); }
+    }
+    
+    .story-content {
+      padding: 20px;
+    }
+    
+    .story-text {
+      line-height: 1.6;
+      font-size: 18px;
       white-space: pre-line;
       margin-bottom: 30px;
     }
     
-    .choices-container {
+    .choices-container {
+      display: flex;
+      flex-direction: column;
+      gap: 10px;
+      margin-top: 20px;
+    }
+    
+    .choice-button {
+      background-color: #3a3a3a;
+      border: 2px solid #5a5a5a;
+      color: #f0f0f0;
+      padding: 15px 20px;
+      font-size: 16px;
+      border-radius: 5px;
+      cursor: pointer;
+      transition: all 0.3s ease;
+      text-align: left;
+      font-family: 'Bookman Old Style', Georgia, serif;
+    }
+    
+    .choice-button:hover {
+      background-color: #4a4a4a;
+      border-color: #888;
+      transform: translateY(-2px);
+    }
+    
+    .choice-risk {
+      float: right;
+      font-size: 12px;
+      padding: 2px 8px;
+      border-radius: 10px;
+      margin-left: 10px;
+      text-transform: uppercase;
+    }
+    
+    .choice-risk.low {
+      background-color: #2e5e3a;
+    }
+    
+    .choice-risk.medium {
+      background-color: #7a5c1e;
+    }
+    
+    .choice-risk.high {
+      background-color: #7a2a2a;
+    }
+    
+    .choice-button:disabled {
+      opacity: 0.5;
+      cursor: not-allowed;
+      transform: none;
+    }
+    
+    .title-container {
+      text-align: center;
+      padding: 20px;
+      background-color: #222;
+      border-bottom: 1px solid #444;
+    }
+    
+    .game-title {
+      margin: 0;
+      font-size: 32px;
+      color: #d4af37;
+      text-shadow: 0 2px 4px rgba(0, 0, 0, 0.5);
+    }
+    
+    .start-button {
+      background-color: #d4af37;
+      color: #222;
+      border: none;
+      padding: 15px 30px;
+      font-size: 18px;
+      border-radius: 5px;
+      cursor: pointer;
+      transition: all 0.3s ease;
+      font-family: 'Bookman Old Style', Georgia, serif;
+      margin-top: 20px;
+      font-weight: bold;
+    }
+    
+    .start-button:hover {
+      background-color: #e5c158;
+      transform: translateY(-2px);
+    }
+    
+    .setup-form {
+      display: flex;
+      flex-direction: column;
+      gap: 15px;
+      max-width: 500px;
+      margin: 30px auto 0;
+      text-align: left;
+    }
+    
+    .setup-form label {
+      display: flex;
+      flex-direction: column;
+      gap: 5px;
+      font-size: 14px;
+      color: #aaa;
+    }
+    
+    .setup-form input,
+    .setup-form select,
+    .setup-form textarea {
+      background-color: #333;
+      border: 2px solid #5a5a5a;
+      color: #f0f0f0;
+      padding: 10px;
+      font-size: 15px;
+      border-radius: 5px;
+      font-family: 'Bookman Old Style', Georgia, serif;
+    }
+    
+    .setup-form textarea {
+      resize: vertical;
+      min-height: 70px;
+    }
+    
+    .setup-form input:focus,
+    .setup-form select:focus,
+    .setup-form textarea:focus {
+      outline: none;
+      border-color: #d4af37;
+    }
+    
+    .setup-form .start-button {
+      align-self: center;
+    }
+    
+    .fade-in {
+      animation: fadeIn 0.5s ease-in;
+    }
+    
+    @keyframes fadeIn {
+      from { opacity: 0; }
+      to { opacity: 1; }
+    }
+    
+    .debug-button {
+      position: fixed;
+      bottom: 10px;
+      right: 10px;
+      background-color: #333;
+      color: #888;
+      border: 1px solid #555;
+      padding: 5px 10px;
+      border-radius: 3px;
+      font-size: 12px;
+      cursor: pointer;
+    }
+    
+    .audio-controls {
+      display: flex;
+      align-items: center;
+      margin-bottom: 20px;
+      gap: 10px;
+      background-color: #333;
+      padding: 15px;
+      border-radius: 8px;
+      position: relative;
+    }
+    
+    .audio-button {
+      background-color: #d4af37;
+      color: #222;
+      border: none;
+      width: 50px;
+      height: 50px;
+      border-radius: 50%;
+      display: flex;
+      justify-content: center;
+      align-items: center;
+      cursor: pointer;
+      transition: all 0.3s ease;
+      font-size: 20px;
+    }
+    
+    .audio-button:hover {
+      background-color: #e5c158;
+      transform: scale(1.05);
+    }
+    
+    .audio-button:disabled {
+      opacity: 0.5;
+      cursor: not-allowed;
+      transform: none;
+    }
+    
+    .audio-status {
+      font-size: 14px;
+      color: #aaa;
+      flex-grow: 1;
+    }
+    
+    .progress-container {
+      width: 100%;
+      height: 4px;
+      background-color: #444;
+      position: absolute;
+      bottom: 0;
+      left: 0;
+      border-radius: 0 0 8px 8px;
+      overflow: hidden;
+    }
+    
+    .progress-bar {
+      height: 100%;
+      background-color: #d4af37;
+      width: 0%;
+      transition: width 0.3s linear;
+    }
+    
+    .volume-control {
+      display: flex;
+      align-items: center;
+      gap: 5px;
+    }
+    
+    .volume-icon {
+      color: #888;
+      font-size: 18px;
+      cursor: pointer;
+    }
+    
+    .volume-slider {
+      -webkit-appearance: none;
+      width: 80px;
+      height: 4px;
+      border-radius: 2px;
+      background: #444;
+      outline: none;
+    }
+    
+    .volume-slider::-webkit-slider-thumb {
+      -webkit-appearance: none;
+      appearance: none;
+      width: 10px;
+      height: 10px;
+      border-radius: 50%;
+      background: #d4af37;
+      cursor: pointer;
+    }
+    
+    .volume-slider::-moz-range-thumb {
+      width: 10px;
+      height: 10px;
+      border-radius: 50%;
+      background: #d4af37;
+      cursor: pointer;
+    }
+    
+    .action-form {
       display: flex;
-      flex-direction: column;
       gap: 10px;
-      margin-top: 20px;
+      margin-top: 15px;
     }
     
-    .choice-button {
-      background-color: #3a3a3a;
+    .action-input {
+      flex-grow: 1;
+      background-color: #333;
       border: 2px solid #5a5a5a;
       color: #f0f0f0;
-      padding: 15px 20px;
+      padding: 12px 15px;
+      font-size: 16px;
+      border-radius: 5px;
+      font-family: 'Bookman Old Style', Georgia, serif;
+    }
+    
+    .action-input:focus {
+      outline: none;
+      border-color: #d4af37;
+    }
+    
+    .action-submit {
+      background-color: #d4af37;
+      color: #222;
+      border: none;
+      padding: 12px 20px;
       font-size: 16px;
       border-radius: 5px;
       cursor: pointer;
-      transition: all 0.3s ease;
-      text-align: left;
       font-family: 'Bookman Old Style', Georgia, serif;
+      font-weight: bold;
     }
     
-    .choice-button:hover {
-      background-color: #4a4a4a;
-      border-color: #888;
-      transform: translateY(-2px);
+    .action-submit:hover {
+      background-color: #e5c158;
     }
     
-    .choice-button:disabled {
+    .action-input:disabled,
+    .action-submit:disabled {
       opacity: 0.5;
       cursor: not-allowed;
-      transform: none;
     }
     
-    .title-container {
+    .action-hint {
+      font-size: 12px;
+      color: #888;
+      margin-top: 5px;
+    }
+    
+    .budget-notice {
+      font-size: 13px;
+      color: #e0b050;
+      margin-bottom: 15px;
+    }
+    
+    .degraded-notice {
+      font-size: 13px;
+      color: #ff6b6b;
+      margin-bottom: 15px;
+    }
+    
+    .usage-summary {
+      margin-bottom: 10px;
+      color: #ccc;
+    }
+    
+    .player-panel {
+      width: 220px;
+      align-self: flex-start;
+      margin: 20px 20px 20px 0;
+      padding: 20px;
+      background-color: #2a2a2a;
+      border-radius: 10px;
+      box-shadow: 0 0 20px rgba(0, 0, 0, 0.5);
+      font-size: 14px;
+    }
+    
+    .player-panel h3 {
+      margin: 0 0 10px;
+      color: #d4af37;
+      font-size: 16px;
+    }
+    
+    .player-panel ul {
+      margin: 0 0 20px;
+      padding-left: 18px;
+      color: #ccc;
+    }
+    
+    .stat-row {
+      display: flex;
+      justify-content: space-between;
+      margin-bottom: 5px;
+    }
+    
+    .health-bar {
+      height: 6px;
+      background-color: #444;
+      border-radius: 3px;
+      overflow: hidden;
+      margin-bottom: 12px;
+    }
+    
+    .health-bar-fill {
+      height: 100%;
+      background-color: #c0392b;
+    }
+    
+    .story-goal {
+      font-size: 14px;
+      font-style: italic;
+      color: #aaa;
+      margin-bottom: 15px;
+    }
+    
+    .end-screen {
       text-align: center;
+      border: 1px solid #d4af37;
+      border-radius: 8px;
       padding: 20px;
-      background-color: #222;
-      border-bottom: 1px solid #444;
+      margin: 20px 0;
     }
     
-    .game-title {
-      margin: 0;
-      font-size: 32px;
+    .end-screen h2 {
       color: #d4af37;
-      text-shadow: 0 2px 4px rgba(0, 0, 0, 0.5);
+      margin-top: 0;
     }
     
-    .start-button {
-      background-color: #d4af37;
-      color: #222;
-      border: none;
-      padding: 15px 30px;
-      font-size: 18px;
+    .end-screen.ending-death h2 {
+      color: #ff6b6b;
+    }
+    
+    .end-screen .story-text {
+      text-align: left;
+    }
+    
+    .end-summary {
+      color: #ccc;
+      font-size: 14px;
+      margin-bottom: 20px;
+    }
+    
+    .state-changes {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 8px;
+      margin: -15px 0 20px;
+    }
+    
+    .state-change {
+      background-color: #333;
+      border: 1px solid #d4af37;
+      color: #d4af37;
+      padding: 3px 10px;
+      border-radius: 12px;
+      font-size: 13px;
+    }
+    
+    .history-controls {
+      margin-top: 30px;
+      padding-top: 20px;
+      border-top: 1px solid #444;
+    }
+    
+    .export-links {
+      margin-top: 20px;
+      font-size: 14px;
+      color: #888;
+    }
+    
+    .export-link {
+      color: #d4af37;
+      margin-left: 12px;
+    }
+    
+    .share-button {
+      background: none;
+      border: 1px solid #5a5a5a;
+      color: #d4af37;
+      margin-left: 12px;
+      padding: 4px 10px;
       border-radius: 5px;
       cursor: pointer;
-      transition: all 0.3s ease;
       font-family: 'Bookman Old Style', Georgia, serif;
-      margin-top: 20px;
-      font-weight: bold;
     }
     
-    .start-button:hover {
-      background-color: #e5c158;
-      transform: translateY(-2px);
+    .share-link {
+      width: 100%;
+      margin-top: 10px;
+      padding: 8px;
+      background: #2a2a2a;
+      border: 1px solid #5a5a5a;
+      color: #e0e0e0;
+      border-radius: 5px;
     }
     
-    .fade-in {
-      animation: fadeIn 0.5s ease-in;
+    .account-bar {
+      color: #aaa;
+      font-size: 14px;
     }
     
-    @keyframes fadeIn {
-      from { opacity: 0; }
-      to { opacity: 1; }
+    .my-stories {
+      max-width: 500px;
+      margin: 30px auto 0;
+      text-align: left;
     }
     
-    .debug-button {
-      position: fixed;
-      bottom: 10px;
-      right: 10px;
-      background-color: #333;
-      color: #888;
-      border: 1px solid #555;
-      padding: 5px 10px;
-      border-radius: 3px;
-      font-size: 12px;
+    .story-entry {
+      display: block;
+      width: 100%;
+      margin-bottom: 10px;
+      padding: 12px;
+      background-color: #2a2a2a;
+      border: 1px solid #5a5a5a;
+      border-radius: 5px;
+      color: #e0e0e0;
+      text-align: left;
       cursor: pointer;
+      font-family: 'Bookman Old Style', Georgia, serif;
     }
     
-    .audio-controls {
+    .story-preview {
+      display: block;
+      margin-top: 5px;
+      color: #888;
+      font-size: 13px;
+    }
+    
+    .vote-panel {
       display: flex;
       align-items: center;
-      margin-bottom: 20px;
-      gap: 10px;
-      background-color: #333;
-      padding: 15px;
-      border-radius: 8px;
-      position: relative;
+      justify-content: space-between;
+      margin-top: 10px;
+      color: #aaa;
+      font-size: 14px;
+    }
+    
+    .vote-count {
+      float: right;
+      color: #d4af37;
+      font-size: 13px;
+    }
+    
+    .choice-button.voted {
+      border-color: #d4af37;
+    }
+    
+    .replay-path {
+      font-style: italic;
+      color: #aaa;
+    }
+    
+    .replay-controls {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 15px;
+      margin-top: 30px;
+    }
+    
+    .undo-button {
+      background-color: transparent;
+      border: 1px solid #5a5a5a;
+      color: #aaa;
+      padding: 8px 15px;
+      font-size: 14px;
+      border-radius: 5px;
+      cursor: pointer;
+      font-family: 'Bookman Old Style', Georgia, serif;
+      margin-bottom: 15px;
+    }
+    
+    .undo-button:hover {
+      border-color: #888;
+      color: #f0f0f0;
+    }
+    
+    .timeline {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 8px;
     }
     
-    .audio-button {
-      background-color: #d4af37;
-      color: #222;
-      border: none;
-      width: 50px;
-      height: 50px;
+    .timeline-step {
+      background-color: #333;
+      border: 1px solid #555;
+      color: #aaa;
+      width: 32px;
+      height: 32px;
       border-radius: 50%;
-      display: flex;
-      justify-content: center;
-      align-items: center;
       cursor: pointer;
-      transition: all 0.3s ease;
-      font-size: 20px;
+      font-size: 13px;
     }
     
-    .audio-button:hover {
-      background-color: #e5c158;
-      transform: scale(1.05);
+    .timeline-step:hover {
+      border-color: #d4af37;
+      color: #f0f0f0;
     }
     
-    .audio-button:disabled {
-      opacity: 0.5;
-      cursor: not-allowed;
-      transform: none;
+    .timeline-step.current {
+      background-color: #d4af37;
+      border-color: #d4af37;
+      color: #222;
+      cursor: default;
     }
     
-    .audio-status {
+    .story-tree {
+      margin-top: 15px;
       font-size: 14px;
       color: #aaa;
-      flex-grow: 1;
     }
     
-    .progress-container {
-      width: 100%;
-      height: 4px;
-      background-color: #444;
-      position: absolute;
-      bottom: 0;
-      left: 0;
-      border-radius: 0 0 8px 8px;
-      overflow: hidden;
+    .story-tree summary {
+      cursor: pointer;
+      margin-bottom: 10px;
     }
     
-    .progress-bar {
-      height: 100%;
-      background-color: #d4af37;
-      width: 0%;
-      transition: width 0.3s linear;
+    .story-tree ul {
+      list-style: none;
+      margin: 0;
+      padding-left: 20px;
+      border-left: 1px dashed #555;
     }
     
-    .volume-control {
-      display: flex;
-      align-items: center;
-      gap: 5px;
+    .story-tree > ul {
+      padding-left: 0;
+      border-left: none;
     }
     
-    .volume-icon {
-      color: #888;
-      font-size: 18px;
+    .tree-node {
+      background: none;
+      border: none;
+      color: #aaa;
+      padding: 4px 0;
       cursor: pointer;
+      text-align: left;
+      font-family: 'Bookman Old Style', Georgia, serif;
+      font-size: 14px;
     }
     
-    .volume-slider {
-      -webkit-appearance: none;
-      width: 80px;
-      height: 4px;
-      border-radius: 2px;
-      background: #444;
-      outline: none;
+    .tree-node:hover {
+      color: #f0f0f0;
     }
     
-    .volume-slider::-webkit-slider-thumb {
-      -webkit-appearance: none;
-      appearance: none;
-      width: 10px;
-      height: 10px;
-      border-radius: 50%;
-      background: #d4af37;
-      cursor: pointer;
+    .tree-node.current {
+      color: #d4af37;
+      font-weight: bold;
+      cursor: default;
     }
     
-    .volume-slider::-moz-range-thumb {
-      width: 10px;
-      height: 10px;
-      border-radius: 50%;
-      background: #d4af37;
-      cursor: pointer;
+    .undo-button:disabled,
+    .timeline-step:disabled,
+    .tree-node:disabled {
+      opacity: 0.5;
+      cursor: not-allowed;
+    }
+    
+    .admin-table {
+      width: 100%;
+      border-collapse: collapse;
+      margin-bottom: 25px;
+      font-size: 13px;
+    }
+    
+    .admin-table th,
+    .admin-table td {
+      padding: 6px 8px;
+      border-bottom: 1px solid #444;
+      text-align: left;
+      vertical-align: top;
+    }
+    
+    .admin-table th {
+      color: #d4af37;
+    }
+    
+    .admin-error {
+      color: #ff6b6b;
+    }
+    
+    .admin-scene {
+      margin-bottom: 15px;
+      padding: 10px;
+      background-color: #333;
+      border-radius: 5px;
+      font-size: 14px;
     }
   </style>
 </head>
@@ -507,6 +1758,7 @@ const htmlContent = `<!DOCTYPE html>
   <div class="game-container">
     <div class="title-container">
       <h1 class="game-title">Mystic Paths</h1>
+      <div id="account-bar" class="account-bar"></div>
     </div>
     
     <div id="game-content">
@@ -515,11 +1767,58 @@ const htmlContent = `<!DOCTYPE html>
         <h2>Welcome to the Mystical Adventure</h2>
         <p>Embark on an AI-generated adventure where every choice shapes your unique story.</p>
         <p>The path you choose will lead to wonders or perils unknown.</p>
-        <button id="start-game" class="start-button">Begin Your Journey</button>
+        <form id="auth-form" class="setup-form" style="display: none;">
+          <label>Username
+            <input type="text" id="auth-username" maxlength="32" autocomplete="username">
+          </label>
+          <label>Password
+            <input type="password" id="auth-password" maxlength="200" autocomplete="current-password">
+          </label>
+          <div id="auth-error" class="action-hint"></div>
+          <button type="submit" class="start-button">Sign In</button>
+          <button type="button" class="share-button" onclick="submitAuth(event, 'register')">Create an account</button>
+        </form>
+        <form id="setup-form" class="setup-form" style="display: none;">
+          <label>Scenario
+            <select id="setup-scenario">
+              <option value="">Free play (use the settings below)</option>
+              ${scenarioLibrary.list().map(scenario => `<option value="${scenario.id}" title="${scenario.description}">${scenario.title}</option>`).join('')}
+            </select>
+          </label>
+          <label>Genre
+            <select id="setup-genre">
+              ${Object.entries(GENRE_PRESETS).map(([genre, preset]) => `<option value="${genre}">${preset.label}</option>`).join('')}
+            </select>
+          </label>
+          <label>Opening premise
+            <textarea id="setup-premise" maxlength="${SETUP_FIELD_LIMITS.premise}" placeholder="Leave blank for the genre's default opening"></textarea>
+          </label>
+          <label>Protagonist name
+            <input type="text" id="setup-name" maxlength="${SETUP_FIELD_LIMITS.protagonistName}" placeholder="Optional">
+          </label>
+          <label>Protagonist description
+            <input type="text" id="setup-description" maxlength="${SETUP_FIELD_LIMITS.protagonistDescription}" placeholder="Optional, e.g. a retired smuggler with a bad knee">
+          </label>
+          <label>Tone
+            <input type="text" id="setup-tone" maxlength="${SETUP_FIELD_LIMITS.tone}" placeholder="Leave blank for the genre's default tone">
+          </label>
+          <label>Goal
+            <input type="text" id="setup-goal" maxlength="${SETUP_FIELD_LIMITS.goal}" placeholder="Optional, e.g. find the lost crown; leave blank for a surprise">
+          </label>
+          <label>Narration length
+            <select id="setup-length">
+              ${Object.entries(NARRATION_LENGTHS).map(([length, description]) => `<option value="${length}"${length === 'medium' ? ' selected' : ''}>${length} (${description})</option>`).join('')}
+            </select>
+          </label>
+          <button type="submit" id="start-game" class="start-button">Begin Your Journey</button>
+        </form>
+        <div id="my-stories" class="my-stories"></div>
       </div>
     </div>
   </div>
   
+  <aside id="player-panel" class="player-panel" style="display: none;"></aside>
+  
   <button id="debug-button" class="debug-button">Debug Mode</button>
 
   <script>
@@ -530,12 +1829,17 @@ const htmlContent = `<!DOCTYPE html>
       debugMode: false,
       audio: null,
       isPlaying: false,
-      volume: 0.8
+      volume: 0.8,
+      treeOpen: false,
+      setup: null,
+      replay: null,
+      replayIndex: 0,
+      room: null
     };
     
     // DOM Elements
     const gameContent = document.getElementById('game-content');
-    const startButton = document.getElementById('start-game');
+    const setupForm = document.getElementById('setup-form');
     const debugButton = document.getElementById('debug-button');
     
     // Toggle debug mode
@@ -615,6 +1919,16 @@ const htmlContent = `<!DOCTYPE html>
       }
     }
     
+    // Escape text written by players or returned by providers before it goes into innerHTML or an attribute
+    function escapeHtml(text) {
+      return String(text === undefined || text === null ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+    }
+    
     // Format time function (converts seconds to MM:SS format)
     function formatTime(seconds) {
       if (isNaN(seconds)) return '00:00';
@@ -688,29 +2002,292 @@ const htmlContent = `<!DOCTYPE html>
         const totalTime = formatTime(gameState.audio.duration);
         timeDisplay.textContent = currentTime + ' / ' + totalTime;
       }
-    }
-    
-    // Start a new game
-    async function startGame() {
+    }
+    
+    // Check who is signed in and show the sign-in form or the story setup
+    async function checkAccount() {
+      try {
+        const response = await fetch('/api/auth/me');
+        const data = await response.json();
+        if (data.username) {
+          showSignedIn(data.username);
+        } else {
+          showSignedOut();
+        }
+      } catch (error) {
+        console.error('Error checking account:', error);
+        showSignedOut();
+      }
+    }
+    
+    // Sign in, or create an account when mode is 'register'
+    async function submitAuth(event, mode) {
+      event.preventDefault();
+      
+      try {
+        const response = await fetch('/api/auth/' + (mode === 'register' ? 'register' : 'login'), {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            username: document.getElementById('auth-username').value,
+            password: document.getElementById('auth-password').value
+          })
+        });
+        
+        const data = await response.json();
+        if (!response.ok) {
+          document.getElementById('auth-error').textContent = data.error || 'Failed to sign in';
+          return;
+        }
+        
+        showSignedIn(data.username);
+      } catch (error) {
+        console.error('Error signing in:', error);
+        document.getElementById('auth-error').textContent = 'Failed to sign in. Please try again.';
+      }
+    }
+    
+    // Sign out and go back to the sign-in form
+    async function signOut() {
+      await fetch('/api/auth/logout', { method: 'POST' });
+      window.location.href = '/';
+    }
+    
+    // Show the sign-in form
+    function showSignedOut() {
+      document.getElementById('account-bar').innerHTML = '';
+      const authForm = document.getElementById('auth-form');
+      if (!authForm) {
+        window.location.href = '/';
+        return;
+      }
+      authForm.style.display = 'flex';
+      setupForm.style.display = 'none';
+      document.getElementById('my-stories').innerHTML = '';
+    }
+    
+    // Show the story setup and the player's saved stories
+    function showSignedIn(username) {
+      document.getElementById('account-bar').innerHTML =
+        'Signed in as ' + username + ' <button class="share-button" onclick="signOut()">Sign out</button>';
+      const authForm = document.getElementById('auth-form');
+      if (authForm) {
+        authForm.style.display = 'none';
+        setupForm.style.display = 'flex';
+        loadMyStories();
+      }
+    }
+    
+    // List the player's saved stories so they can pick one up again
+    async function loadMyStories() {
+      try {
+        const response = await fetch('/api/stories');
+        if (!response.ok) {
+          throw new Error('Failed to list stories');
+        }
+        
+        const data = await response.json();
+        if (data.stories.length === 0) return;
+        
+        document.getElementById('my-stories').innerHTML =
+          '<h3>My stories</h3>' +
+          data.stories.map(function(story) {
+            return '<button class="story-entry" onclick="resumeStory(' + "'" + escapeHtml(story.sessionId) + "'" + ')">' +
+                '<strong>' + escapeHtml((story.protagonistName ? story.protagonistName + ' · ' : '') + (story.scenario || story.genre)) + '</strong>' +
+                ' · ' + story.scenes + (story.scenes === 1 ? ' scene' : ' scenes') +
+                (story.ending ? ' · Finished' : '') +
+                ' · ' + new Date(story.updatedAt).toLocaleString() +
+                '<span class="story-preview">' + escapeHtml(story.preview) + '...</span>' +
+              '</button>';
+          }).join('');
+      } catch (error) {
+        console.error('Error listing stories:', error);
+      }
+    }
+    
+    // Continue a saved story where it was left
+    async function resumeStory(sessionId) {
+      setLoading(true);
+      
+      try {
+        const response = await fetch('/api/game/' + encodeURIComponent(sessionId));
+        if (!response.ok) {
+          throw new Error('Failed to load story');
+        }
+        
+        const data = await response.json();
+        gameState.sessionId = data.sessionId;
+        gameState.currentScene = data;
+        updateGameScene(data);
+        loadAudio(data.audioUrl);
+      } catch (error) {
+        console.error('Error resuming story:', error);
+        showError('Failed to load that story. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    }
+    
+    // Read the story setup from the welcome form, or reuse the last one when retrying
+    function readSetup() {
+      if (!document.getElementById('setup-form')) {
+        return gameState.setup || {};
+      }
+      
+      return {
+        genre: document.getElementById('setup-genre').value,
+        premise: document.getElementById('setup-premise').value,
+        protagonistName: document.getElementById('setup-name').value,
+        protagonistDescription: document.getElementById('setup-description').value,
+        tone: document.getElementById('setup-tone').value,
+        goal: document.getElementById('setup-goal').value,
+        narrationLength: document.getElementById('setup-length').value
+      };
+    }
+    
+    // Read the authored scenario picked on the welcome form; an empty value means free play
+    function readScenario() {
+      const select = document.getElementById('setup-scenario');
+      return select ? select.value : gameState.scenario;
+    }
+    
+    // Start a new game
+    async function startGame(event) {
+      if (event) {
+        event.preventDefault();
+      }
+      
+      gameState.setup = readSetup();
+      gameState.scenario = readScenario();
+      setLoading(true);
+      
+      try {
+        const response = await fetch('/api/game/start', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            setup: gameState.setup,
+            scenario: gameState.scenario || undefined
+          })
+        });
+        
+        if (response.status === 401) {
+          showSignedOut();
+          return;
+        }
+        if (response.status === 400 || response.status === 429 || response.status === 503) {
+          showError((await response.json()).error);
+          return;
+        }
+        if (!response.ok) {
+          throw new Error('Failed to start game');
+        }
+        
+        const data = await response.json();
+        gameState.sessionId = data.sessionId;
+        gameState.currentScene = data;
+        
+        // Update the UI with the first scene
+        updateGameScene(data);
+        
+        // Load and play audio if available
+        if (data.audioUrl) {
+          loadAudio(data.audioUrl);
+        }
+      } catch (error) {
+        console.error('Error starting game:', error);
+        showError('Failed to start the game. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    }
+    
+    // Make a choice in the game
+    async function makeChoice(choiceIndex) {
+      // In a multiplayer room the host's choice is a vote like everyone else's
+      if (gameState.room) {
+        castVote(choiceIndex);
+        return;
+      }
+      
+      setLoading(true);
+      
+      try {
+        const response = await fetch('/api/game/choice', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            sessionId: gameState.sessionId,
+            choiceIndex: choiceIndex
+          })
+        });
+        
+        if (response.status === 429 || response.status === 503) {
+          showError((await response.json()).error);
+          return;
+        }
+        if (!response.ok) {
+          throw new Error('Failed to process choice');
+        }
+        
+        const data = await response.json();
+        gameState.currentScene = data;
+        
+        // Update the UI with the new scene
+        updateGameScene(data);
+        
+        // Load and play audio if available
+        if (data.audioUrl) {
+          loadAudio(data.audioUrl);
+        }
+      } catch (error) {
+        console.error('Error making choice:', error);
+        showError('Failed to process your choice. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    }
+    
+    // Take an action the player typed themselves
+    async function submitAction(event) {
+      event.preventDefault();
+      
+      const input = document.getElementById('action-input');
+      const action = input.value.trim();
+      if (action.length < ${MIN_ACTION_LENGTH}) {
+        document.getElementById('action-hint').textContent = 'Describe your action in a few more words.';
+        return;
+      }
+      
       setLoading(true);
       
       try {
-        const response = await fetch('/api/game/start', {
+        const response = await fetch('/api/game/choice', {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json'
-          }
+          },
+          body: JSON.stringify({
+            sessionId: gameState.sessionId,
+            action: action
+          })
         });
         
         if (!response.ok) {
-          throw new Error('Failed to start game');
+          const errorData = await response.json().catch(function() { return {}; });
+          throw new Error(errorData.error || 'Failed to process action');
         }
         
         const data = await response.json();
-        gameState.sessionId = data.sessionId;
         gameState.currentScene = data;
         
-        // Update the UI with the first scene
+        // Update the UI with the new scene
         updateGameScene(data);
         
         // Load and play audio if available
@@ -718,37 +2295,35 @@ const htmlContent = `<!DOCTYPE html>
           loadAudio(data.audioUrl);
         }
       } catch (error) {
-        console.error('Error starting game:', error);
-        showError('Failed to start the game. Please try again.');
+        console.error('Error taking action:', error);
+        showError('Failed to process your action: ' + error.message);
       } finally {
         setLoading(false);
       }
     }
     
-    // Make a choice in the game
-    async function makeChoice(choiceIndex) {
+    // Move to another scene of the story tree (rewind, fork or branch switch)
+    async function navigateTo(endpoint, body, errorMessage) {
       setLoading(true);
       
       try {
-        const response = await fetch('/api/game/choice', {
+        body.sessionId = gameState.sessionId;
+        const response = await fetch(endpoint, {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json'
           },
-          body: JSON.stringify({
-            sessionId: gameState.sessionId,
-            choiceIndex: choiceIndex
-          })
+          body: JSON.stringify(body)
         });
         
         if (!response.ok) {
-          throw new Error('Failed to process choice');
+          throw new Error(errorMessage);
         }
         
         const data = await response.json();
         gameState.currentScene = data;
         
-        // Update the UI with the new scene
+        // Update the UI with the restored scene
         updateGameScene(data);
         
         // Load and play audio if available
@@ -756,17 +2331,489 @@ const htmlContent = `<!DOCTYPE html>
           loadAudio(data.audioUrl);
         }
       } catch (error) {
-        console.error('Error making choice:', error);
-        showError('Failed to process your choice. Please try again.');
+        console.error('Error navigating story:', error);
+        showError(errorMessage + '. Please try again.');
       } finally {
         setLoading(false);
       }
     }
     
-    // Update the game scene in the UI
-    function updateGameScene(scene) {
-      // Audio controls
-      const audioControlsHtml = scene.audioUrl ? 
+    // Rewind the game to a previous scene
+    function rewindTo(historyIndex) {
+      return navigateTo('/api/game/rewind', { historyIndex: historyIndex }, 'Failed to go back');
+    }
+    
+    // Fork the story from any scene in the tree
+    function forkFrom(nodeId) {
+      return navigateTo('/api/game/fork', { nodeId: nodeId }, 'Failed to open that scene');
+    }
+    
+    // Switch to the latest scene of another branch
+    function switchBranch(branchId) {
+      return navigateTo('/api/game/switch', { branchId: branchId }, 'Failed to switch branch');
+    }
+    
+    // Build a nested list of the story tree starting at one node
+    function buildTreeNodeHtml(tree, nodeId) {
+      const node = tree.nodes[nodeId];
+      const isCurrent = node.id === tree.currentNodeId;
+      const isBranchTip = node.children.length === 0;
+      const label = (node.choice || 'Opening scene') + (isBranchTip ? ' ◆' : '');
+      const action = isBranchTip ? 'switchBranch(' + node.id + ')' : 'forkFrom(' + node.id + ')';
+      
+      return '<li>' +
+          '<button class="tree-node' + (isCurrent ? ' current' : '') + '"' +
+            ' title="' + escapeHtml(node.preview) + '"' +
+            (isCurrent ? '' : ' onclick="' + action + '"') + '>' +
+            escapeHtml(label) +
+          '</button>' +
+          (isBranchTip ? '' : '<ul>' + node.children.map(function(childId) {
+            return buildTreeNodeHtml(tree, childId);
+          }).join('') + '</ul>') +
+        '</li>';
+    }
+    
+    // Build the collapsible story tree view
+    function buildTreeHtml(tree) {
+      if (!tree || tree.nodes.length < 2) return '';
+      
+      const branchCount = tree.nodes.filter(function(node) {
+        return node.children.length === 0;
+      }).length;
+      
+      return '<details class="story-tree"' + (gameState.treeOpen ? ' open' : '') +
+          ' ontoggle="gameState.treeOpen = this.open">' +
+          '<summary>Story tree (' + branchCount + (branchCount === 1 ? ' branch' : ' branches') + ')</summary>' +
+          '<ul>' + buildTreeNodeHtml(tree, 0) + '</ul>' +
+        '</details>';
+    }
+    
+    // Build the undo button and clickable timeline of previous scenes
+    function buildHistoryHtml(timeline) {
+      if (!timeline || timeline.length < 2) return '';
+      
+      return '<div class="history-controls">' +
+          '<button class="undo-button" onclick="rewindTo(' + (timeline.length - 2) + ')">↶ Undo last choice</button>' +
+          '<div class="timeline">' +
+            timeline.map(function(step) {
+              const title = (step.choice ? step.choice + ': ' : '') + step.preview;
+              return '<button class="timeline-step' + (step.current ? ' current' : '') + '"' +
+                ' title="' + escapeHtml(title) + '"' +
+                (step.current ? '' : ' onclick="rewindTo(' + step.index + ')"') + '>' +
+                (step.index + 1) +
+              '</button>';
+            }).join('') +
+          '</div>' +
+        '</div>';
+    }
+    
+    // Build the download links for exporting the story so far
+    function buildExportHtml(sessionId) {
+      const exportUrl = '/api/game/' + encodeURIComponent(sessionId) + '/export?format=';
+      return '<div class="export-links">' +
+          '<span>Keep your story:</span>' +
+          '<a class="export-link" href="' + exportUrl + 'html" download>HTML book</a>' +
+          '<a class="export-link" href="' + exportUrl + 'epub" download>EPUB</a>' +
+          '<a class="export-link" href="' + exportUrl + 'markdown" download>Markdown</a>' +
+          '<button class="share-button" onclick="publishReplay()">Share replay</button>' +
+          '<button class="share-button" onclick="hostRoom()">Host a room</button>' +
+          '<input type="text" id="share-link" class="share-link" readonly style="display: none;" onclick="this.select()">' +
+        '</div>';
+    }
+    
+    // Publish the story so far as a read-only replay and show its link
+    async function publishReplay() {
+      try {
+        const response = await fetch('/api/game/publish', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            sessionId: gameState.sessionId
+          })
+        });
+        
+        if (!response.ok) {
+          throw new Error('Failed to publish replay');
+        }
+        
+        const data = await response.json();
+        const shareLink = document.getElementById('share-link');
+        shareLink.value = window.location.origin + data.url;
+        shareLink.style.display = 'block';
+        shareLink.select();
+      } catch (error) {
+        console.error('Error publishing replay:', error);
+        showError('Failed to publish the replay. Please try again.');
+      }
+    }
+    
+    // Load a published replay and show its first scene
+    async function loadReplay(token) {
+      try {
+        const response = await fetch('/api/replay/' + encodeURIComponent(token));
+        if (!response.ok) {
+          throw new Error('Replay not found');
+        }
+        
+        gameState.replay = await response.json();
+        showReplayScene(0);
+      } catch (error) {
+        console.error('Error loading replay:', error);
+        gameContent.innerHTML =
+          '<div style="text-align: center; padding: 20px; color: #ff6b6b;">' +
+            '<p>This replay could not be found.</p>' +
+            '<a href="/" class="start-button">Start your own adventure</a>' +
+          '</div>';
+      }
+    }
+    
+    // Show one scene of the loaded replay, with the choice that led to it
+    function showReplayScene(index) {
+      const scenes = gameState.replay.scenes;
+      const scene = scenes[index];
+      gameState.replayIndex = index;
+      
+      const html =
+        '<div class="image-container">' +
+          (scene.imageUrl ? '<img src="' + escapeHtml(scene.imageUrl) + '" alt="Story scene" class="story-image fade-in">' : '') +
+        '</div>' +
+        '<div class="story-content">' +
+          buildAudioControlsHtml(scene.audioUrl) +
+          (scene.choice ? '<p class="replay-path">' + (scene.actionType === 'custom' ? 'They decided: ' : 'They chose: ') + escapeHtml(scene.choice) + '</p>' : '') +
+          '<div class="story-text fade-in">' + escapeHtml(scene.text) + '</div>' +
+          (scene.ending ?
+            '<div class="end-screen ending-' + escapeHtml(scene.ending.type) + ' fade-in">' +
+              '<div class="story-text">' + escapeHtml(scene.ending.epilogue) + '</div>' +
+            '</div>' : '') +
+          (scene.stateChanges.length > 0 ?
+            '<div class="state-changes fade-in">' +
+              scene.stateChanges.map(function(change) {
+                return '<span class="state-change">' + escapeHtml(change) + '</span>';
+              }).join('') +
+            '</div>' : '') +
+          '<div class="replay-controls">' +
+            '<button class="choice-button" onclick="showReplayScene(' + (index - 1) + ')"' + (index === 0 ? ' disabled' : '') + '>← Previous</button>' +
+            '<span>Scene ' + (index + 1) + ' of ' + scenes.length + '</span>' +
+            '<button class="choice-button" onclick="showReplayScene(' + (index + 1) + ')"' + (index === scenes.length - 1 ? ' disabled' : '') + '>Next →</button>' +
+          '</div>' +
+          '<p style="text-align: center;"><a href="/" class="export-link">Start your own adventure</a></p>' +
+        '</div>';
+      
+      gameContent.innerHTML = html;
+      window.scrollTo(0, 0);
+      
+      loadAudio(scene.audioUrl);
+    }
+    
+    // Render the inventory, stats and status effects side panel
+    function updatePlayerPanel(player) {
+      const panel = document.getElementById('player-panel');
+      if (!player) {
+        panel.style.display = 'none';
+        return;
+      }
+      
+      const health = player.stats.health;
+      const listHtml = function(items) {
+        return items.length > 0 ?
+          '<ul>' + items.map(function(item) { return '<li>' + escapeHtml(item) + '</li>'; }).join('') + '</ul>' :
+          '<ul><li>None</li></ul>';
+      };
+      
+      panel.innerHTML =
+        '<h3>Stats</h3>' +
+        Object.keys(player.stats).map(function(name) {
+          return '<div class="stat-row"><span>' + escapeHtml(name) + '</span><span>' + escapeHtml(player.stats[name]) + '</span></div>';
+        }).join('') +
+        '<div class="health-bar"><div class="health-bar-fill" style="width: ' + Math.max(0, Math.min(100, Number(health) || 0)) + '%;"></div></div>' +
+        '<h3>Inventory</h3>' +
+        listHtml(player.inventory.map(function(item) {
+          return item.name + (item.quantity > 1 ? ' ×' + item.quantity : '');
+        })) +
+        '<h3>Status</h3>' +
+        listHtml(player.statusEffects);
+      panel.style.display = 'block';
+    }
+    
+    // Build the choice buttons; vote counts are filled in while a room vote is open
+    function buildChoicesHtml(choices, onclickName) {
+      return '<div class="choices-container">' +
+          choices.map(function(choice, index) {
+            return '<button class="choice-button fade-in" id="choice-' + index + '" onclick="' + onclickName + '(' + index + ')"' +
+              ' title="' + escapeHtml(choice.intent) + '">' +
+              escapeHtml(choice.label) +
+              (choice.risk ? '<span class="choice-risk ' + escapeHtml(choice.risk) + '">' + escapeHtml(choice.risk) + ' risk</span>' : '') +
+              '<span class="vote-count" id="vote-count-' + index + '"></span>' +
+            '</button>';
+          }).join('') +
+        '</div>';
+    }
+    
+    // Build the vote status bar shown in multiplayer rooms
+    function buildVoteHtml() {
+      if (!gameState.room) return '';
+      
+      return '<div class="vote-panel">' +
+          '<span id="vote-status" class="vote-status">Connecting to the room...</span>' +
+          (gameState.room.host ? '<button class="share-button" onclick="closeVote()">Close vote now</button>' : '') +
+        '</div>';
+    }
+    
+    // Open a multiplayer room for this session and join it as the host
+    async function hostRoom() {
+      try {
+        const response = await fetch('/api/game/room', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            sessionId: gameState.sessionId
+          })
+        });
+        
+        if (!response.ok) {
+          throw new Error('Failed to create room');
+        }
+        
+        const data = await response.json();
+        connectRoom(data.roomId, data.hostKey);
+        updateGameScene(gameState.currentScene);
+        
+        const shareLink = document.getElementById('share-link');
+        shareLink.value = window.location.origin + data.url;
+        shareLink.style.display = 'block';
+        shareLink.select();
+      } catch (error) {
+        console.error('Error creating room:', error);
+        showError('Failed to open a room. Please try again.');
+      }
+    }
+    
+    // Connect to a multiplayer room as a viewer, or as the host with its host key
+    function connectRoom(roomId, hostKey) {
+      const protocol = window.location.protocol === 'https:' ? 'wss://' : 'ws://';
+      const socket = new WebSocket(protocol + window.location.host + '/ws');
+      
+      gameState.room = {
+        roomId: roomId,
+        host: Boolean(hostKey),
+        socket: socket,
+        tally: [],
+        endsAt: null,
+        viewers: 0,
+        myVote: null,
+        status: 'Connecting to the room...'
+      };
+      
+      socket.addEventListener('open', function() {
+        socket.send(JSON.stringify({ type: 'join', roomId: roomId, hostKey: hostKey }));
+      });
+      socket.addEventListener('message', function(event) {
+        handleRoomMessage(JSON.parse(event.data));
+      });
+      socket.addEventListener('close', function() {
+        if (gameState.room && gameState.room.socket === socket) {
+          gameState.room.endsAt = null;
+          gameState.room.status = 'Disconnected from the room';
+          updateVoteDisplay();
+        }
+      });
+      
+      // Tick the countdown once a second
+      if (!gameState.roomTimer) {
+        gameState.roomTimer = setInterval(updateVoteDisplay, 1000);
+      }
+    }
+    
+    // React to a message from the room
+    function handleRoomMessage(message) {
+      const room = gameState.room;
+      
+      if (message.type === 'scene') {
+        room.tally = [];
+        room.endsAt = null;
+        room.myVote = null;
+        if (room.host) {
+          refreshHostScene(message.scene.nodeId);
+        } else {
+          showRoomScene(message.scene);
+          setLoading(false);
+        }
+      } else if (message.type === 'vote-open') {
+        room.tally = message.tally;
+        room.endsAt = message.endsAt;
+        room.status = null;
+      } else if (message.type === 'vote-closed') {
+        room.tally = message.tally;
+        room.endsAt = null;
+        room.status = 'Vote closed, the story continues...';
+        setLoading(true);
+      } else if (message.type === 'presence') {
+        room.viewers = message.viewers;
+      } else if (message.type === 'closed') {
+        room.endsAt = null;
+        room.status = 'The host closed the room';
+      } else if (message.type === 'stopped') {
+        room.endsAt = null;
+        room.status = message.error;
+        setLoading(false);
+      } else if (message.type === 'error') {
+        room.status = message.error;
+        setLoading(false);
+      }
+      
+      updateVoteDisplay();
+    }
+    
+    // Bring the host's view up to date after a vote moved the story on
+    async function refreshHostScene(nodeId) {
+      if (gameState.currentScene && gameState.currentScene.nodeId === nodeId) {
+        setLoading(false);
+        return;
+      }
+      
+      try {
+        const response = await fetch('/api/game/' + encodeURIComponent(gameState.sessionId));
+        if (!response.ok) {
+          throw new Error('Failed to load scene');
+        }
+        
+        const data = await response.json();
+        gameState.currentScene = data;
+        updateGameScene(data);
+        loadAudio(data.audioUrl);
+      } catch (error) {
+        console.error('Error refreshing scene:', error);
+        showError('Lost track of the story. Please reload the page.');
+      } finally {
+        setLoading(false);
+      }
+    }
+    
+    // Show the room's scene to a viewer, with the choices as vote buttons
+    function showRoomScene(scene) {
+      const html =
+        '<div class="image-container">' +
+          (scene.imageUrl ? '<img src="' + escapeHtml(scene.imageUrl) + '" alt="Story scene" class="story-image fade-in">' : '') +
+        '</div>' +
+        '<div class="story-content">' +
+          buildAudioControlsHtml(scene.audioUrl) +
+          '<div class="story-text fade-in">' + escapeHtml(scene.text) + '</div>' +
+          (scene.finished ?
+            '<div class="end-screen ending-' + escapeHtml(scene.ending.type) + ' fade-in">' +
+              '<h2>' + escapeHtml(scene.ending.label) + '</h2>' +
+              '<div class="story-text">' + escapeHtml(scene.ending.epilogue) + '</div>' +
+            '</div>' :
+            buildChoicesHtml(scene.choices, 'castVote') +
+            buildVoteHtml()) +
+        '</div>';
+      
+      gameContent.innerHTML = html;
+      updatePlayerPanel(scene.player);
+      window.scrollTo(0, 0);
+      
+      loadAudio(scene.audioUrl);
+    }
+    
+    // Vote for a choice; votes can be changed until the countdown ends
+    function castVote(choiceIndex) {
+      const room = gameState.room;
+      if (!room || room.socket.readyState !== WebSocket.OPEN) return;
+      
+      room.myVote = choiceIndex;
+      room.socket.send(JSON.stringify({ type: 'vote', choiceIndex: choiceIndex }));
+      updateVoteDisplay();
+    }
+    
+    // End the vote early (host only)
+    function closeVote() {
+      if (gameState.room && gameState.room.host) {
+        gameState.room.socket.send(JSON.stringify({ type: 'close-vote' }));
+      }
+    }
+    
+    // Show the vote counts, the player's own vote and the countdown
+    function updateVoteDisplay() {
+      const room = gameState.room;
+      if (!room) return;
+      
+      document.querySelectorAll('.vote-count').forEach(function(element, index) {
+        const votes = room.tally[index] || 0;
+        element.textContent = votes > 0 ? votes + (votes === 1 ? ' vote' : ' votes') : '';
+      });
+      document.querySelectorAll('.choice-button').forEach(function(button, index) {
+        button.classList.toggle('voted', index === room.myVote);
+      });
+      
+      const status = document.getElementById('vote-status');
+      if (!status) return;
+      
+      const people = room.viewers + (room.viewers === 1 ? ' person' : ' people') + ' in the room';
+      if (room.endsAt) {
+        const seconds = Math.max(0, Math.ceil((room.endsAt - Date.now()) / 1000));
+        status.textContent = 'Vote closes in ' + seconds + 's · ' + people;
+      } else {
+        status.textContent = (room.status || 'Waiting for the next vote') + ' · ' + people;
+      }
+    }
+    
+    // Parts of a scene that can fall back to stand-ins, as the player is told about them
+    const DEGRADED_PARTS = { text: 'the narration', image: 'the picture', choices: 'the choices', epilogue: 'the epilogue' };
+    
+    // Tell the player which parts of a degraded scene are stand-ins for failed generations
+    function buildDegradedHtml(parts) {
+      const names = (parts || []).map(function(part) { return DEGRADED_PARTS[part] || part; });
+      return '<div class="degraded-notice">Some of this scene could not be generated, so ' + names.join(', ') +
+        (names.length === 1 ? ' is' : ' are') + ' missing or a stand-in.</div>';
+    }
+    
+    // Build the end screen of a finished story: the ending, its epilogue and a summary of the run
+    function buildEndingHtml(scene) {
+      const ending = scene.ending;
+      const player = scene.player;
+      
+      return '<div class="end-screen ending-' + escapeHtml(ending.type) + ' fade-in">' +
+        '<h2>' + escapeHtml(ending.label) + '</h2>' +
+        (ending.reason ? '<p><em>' + escapeHtml(ending.reason) + '</em></p>' : '') +
+        '<div class="story-text">' + escapeHtml(ending.epilogue) + '</div>' +
+        '<div class="end-summary">' +
+          (scene.goal ? '<p>Your goal: ' + escapeHtml(scene.goal) + '</p>' : '') +
+          '<p>' + scene.timeline.length + (scene.timeline.length === 1 ? ' scene' : ' scenes') +
+            (player ? ' · Health ' + player.stats.health + ' · Gold ' + player.stats.gold : '') +
+            (player && player.inventory.length > 0 ? ' · ' + player.inventory.length + (player.inventory.length === 1 ? ' item' : ' items') + ' carried' : '') +
+          '</p>' +
+          '<p>Rewind to an earlier scene below to try another path, or start over.</p>' +
+        '</div>' +
+        '<button class="start-button" onclick="playAgain()">Play Again</button>' +
+      '</div>';
+    }
+    
+    // Start a new game with the same setup as the finished one
+    function playAgain() {
+      if (!gameState.setup && gameState.currentScene) {
+        gameState.setup = gameState.currentScene.setup;
+      }
+      startGame();
+    }
+    
+    // Summarize the session's provider usage and budget for the debug panel
+    function buildUsageHtml(usage) {
+      if (!usage) return '';
+      
+      const budget = usage.budget || { level: 'ok', reasons: [] };
+      return '<div class="usage-summary">' +
+        usage.session.calls + ' provider calls · est. $' + usage.session.cost.toFixed(3) +
+        ' · budget: ' + budget.level +
+        (budget.reasons.length > 0 ? ' (' + budget.reasons.join(', ') + ')' : '') +
+      '</div>';
+    }
+    
+    // Build the narration player controls
+    function buildAudioControlsHtml(audioUrl) {
+      return audioUrl ?
         '<div class="audio-controls">' +
           '<button id="play-button" class="audio-button" onclick="toggleAudio()">▶</button>' +
           '<div class="audio-status" id="audio-status">Loading narration...</div>' +
@@ -779,11 +2826,18 @@ const htmlContent = `<!DOCTYPE html>
             '<div id="progress-bar" class="progress-bar"></div>' +
           '</div>' +
         '</div>' : '';
+    }
+    
+    // Update the game scene in the UI
+    function updateGameScene(scene) {
+      // Audio controls
+      const audioControlsHtml = buildAudioControlsHtml(scene.audioUrl);
       
       // Debug information
       const debugHtml = gameState.debugMode ? 
         '<div id="debug-info" style="margin-top: 30px; padding: 15px; background: #333; border-radius: 5px; font-family: monospace; font-size: 12px; color: #aaa;">' +
           '<h4 style="margin-top: 0;">Debug Information</h4>' +
+          buildUsageHtml(scene.usage) +
           '<pre>' + JSON.stringify(scene, null, 2) + '</pre>' +
         '</div>' : 
         '<div id="debug-info" style="display: none;"></div>';
@@ -791,23 +2845,38 @@ const htmlContent = `<!DOCTYPE html>
       // Create the HTML for the scene
       const html = 
         '<div class="image-container">' +
-          (scene.imageUrl ? '<img src="' + scene.imageUrl + '" alt="Story scene" class="story-image fade-in">' : '') +
+          (scene.imageUrl ? '<img src="' + escapeHtml(scene.imageUrl) + '" alt="Story scene" class="story-image fade-in">' : '') +
         '</div>' +
         '<div class="story-content">' +
+          (scene.usage && scene.usage.budget.level !== 'ok' ?
+            '<div class="budget-notice">The generation budget has been reached, so the story continues without pictures or narration.</div>' : '') +
+          (scene.status === 'degraded' ? buildDegradedHtml(scene.degraded) : '') +
           audioControlsHtml +
-          '<div class="story-text fade-in">' + scene.text + '</div>' +
-          '<div class="choices-container">' +
-            scene.choices.map(function(choice, index) {
-              return '<button class="choice-button fade-in" onclick="makeChoice(' + index + ')">' +
-                choice +
-              '</button>';
-            }).join('') +
-          '</div>' +
+          (scene.goal && !scene.finished ? '<div class="story-goal">Your goal: ' + escapeHtml(scene.goal) + '</div>' : '') +
+          '<div class="story-text fade-in">' + escapeHtml(scene.text) + '</div>' +
+          (scene.stateChanges && scene.stateChanges.length > 0 ?
+            '<div class="state-changes fade-in">' +
+              scene.stateChanges.map(function(change) {
+                return '<span class="state-change">' + escapeHtml(change) + '</span>';
+              }).join('') +
+            '</div>' : '') +
+          (scene.finished ? buildEndingHtml(scene) :
+            buildChoicesHtml(scene.choices, 'makeChoice') +
+            buildVoteHtml() +
+            '<form class="action-form" onsubmit="submitAction(event)">' +
+              '<input type="text" id="action-input" class="action-input" maxlength="${MAX_ACTION_LENGTH}" placeholder="Or describe your own action...">' +
+              '<button type="submit" class="action-submit">Act</button>' +
+            '</form>' +
+            '<div id="action-hint" class="action-hint">Up to ${MAX_ACTION_LENGTH} characters, e.g. "I climb the tallest tree"</div>') +
+          buildHistoryHtml(scene.timeline) +
+          buildTreeHtml(scene.tree) +
+          buildExportHtml(scene.sessionId) +
           debugHtml +
         '</div>';
       
       // Update the game content
       gameContent.innerHTML = html;
+      updatePlayerPanel(scene.player);
       
       // Scroll to the top
       window.scrollTo(0, 0);
@@ -827,8 +2896,8 @@ const htmlContent = `<!DOCTYPE html>
           imageContainer.appendChild(loadingOverlay);
         }
         
-        // Disable choice buttons
-        const buttons = document.querySelectorAll('.choice-button');
+        // Disable choice, action, history and tree controls
+        const buttons = document.querySelectorAll('.choice-button, .undo-button, .timeline-step, .tree-node, .action-input, .action-submit');
         buttons.forEach(button => {
           button.disabled = true;
         });
@@ -845,8 +2914,8 @@ const htmlContent = `<!DOCTYPE html>
           loadingOverlay.remove();
         }
         
-        // Enable choice buttons
-        const buttons = document.querySelectorAll('.choice-button');
+        // Enable choice, action, history and tree controls
+        const buttons = document.querySelectorAll('.choice-button, .undo-button, .timeline-step, .tree-node, .action-input, .action-submit');
         buttons.forEach(button => {
           button.disabled = false;
         });
@@ -871,9 +2940,227 @@ const htmlContent = `<!DOCTYPE html>
       gameContent.innerHTML += errorHtml;
     }
     
-    // Add event listener to start button
-    if (startButton) {
-      startButton.addEventListener('click', startGame);
+    // Provider call kinds, as the admin dashboard names them
+    const ADMIN_CALL_KINDS = { text: 'Text', choices: 'Choices', image: 'Image', speech: 'TTS' };
+    
+    // Load the admin dashboard: today's usage, recent generation errors and every session
+    async function loadAdmin() {
+      try {
+        const responses = await Promise.all([
+          fetch('/api/admin/usage'),
+          fetch('/api/admin/errors'),
+          fetch('/api/admin/sessions')
+        ]);
+        
+        if (responses.some(function(response) { return response.status === 403; })) {
+          gameContent.innerHTML =
+            '<div style="text-align: center; padding: 20px;">' +
+              '<p>The dashboard needs an admin account. Sign in first, then come back to /admin.</p>' +
+              '<a href="/" class="start-button">Go to the game</a>' +
+            '</div>';
+          return;
+        }
+        if (!responses.every(function(response) { return response.ok; })) {
+          throw new Error('Failed to load the dashboard');
+        }
+        
+        const data = await Promise.all(responses.map(function(response) { return response.json(); }));
+        gameContent.innerHTML =
+          '<div class="story-content">' +
+            '<h2>Admin dashboard</h2>' +
+            buildAdminUsageHtml(data[0]) +
+            buildAdminCircuitsHtml(data[1].circuits) +
+            buildAdminErrorsHtml(data[1].errors) +
+            buildAdminSessionsHtml(data[2].sessions) +
+            '<div id="admin-session"></div>' +
+          '</div>';
+        bindAdminSessionButtons(gameContent);
+      } catch (error) {
+        console.error('Error loading dashboard:', error);
+        gameContent.innerHTML = '<div style="text-align: center; padding: 20px; color: #ff6b6b;"><p>The dashboard could not be loaded.</p></div>';
+      }
+    }
+    
+    // Build today's usage totals with a row per model
+    function buildAdminUsageHtml(usage) {
+      return '<h3>Usage today (' + usage.day + ')</h3>' +
+        '<p>' + usage.total.calls + ' provider calls · ' + usage.total.errors + ' errors · est. $' + usage.total.cost.toFixed(3) + '</p>' +
+        '<table class="admin-table">' +
+          '<tr><th>Model</th><th>Calls</th><th>Errors</th><th>Avg. latency</th><th>Est. cost</th></tr>' +
+          Object.keys(usage.byModel).map(function(model) {
+            const totals = usage.byModel[model];
+            return '<tr>' +
+                '<td>' + escapeHtml(model) + '</td>' +
+                '<td>' + totals.calls + '</td>' +
+                '<td' + (totals.errors > 0 ? ' class="admin-error"' : '') + '>' + totals.errors + '</td>' +
+                '<td>' + Math.round(totals.latencyMs / Math.max(totals.calls, 1)) + ' ms</td>' +
+                '<td>$' + totals.cost.toFixed(3) + '</td>' +
+              '</tr>';
+          }).join('') +
+        '</table>';
+    }
+    
+    // Build the recent failed provider calls, grouped by kind of call
+    function buildAdminErrorsHtml(errors) {
+      if (errors.length === 0) {
+        return '<h3>Recent generation errors</h3><p>None.</p>';
+      }
+      
+      return '<h3>Recent generation errors</h3>' +
+        Object.keys(ADMIN_CALL_KINDS).map(function(kind) {
+          const entries = errors.filter(function(entry) { return entry.kind === kind; });
+          if (entries.length === 0) return '';
+          
+          return '<h4>' + ADMIN_CALL_KINDS[kind] + ' (' + entries.length + ')</h4>' +
+            '<table class="admin-table">' +
+              '<tr><th>Time</th><th>Model</th><th>Session</th><th>Error</th></tr>' +
+              entries.map(function(entry) {
+                return '<tr>' +
+                    '<td>' + new Date(entry.timestamp).toLocaleString() + '</td>' +
+                    '<td>' + escapeHtml(entry.model) + '</td>' +
+                    '<td>' + escapeHtml(entry.sessionId || '') + '</td>' +
+                    '<td class="admin-error">' + escapeHtml(entry.error || 'Unknown error') + '</td>' +
+                  '</tr>';
+              }).join('') +
+            '</table>';
+        }).join('');
+    }
+    
+    // Build the provider circuit breakers, if any model has failed since the server started
+    function buildAdminCircuitsHtml(circuits) {
+      const tripped = circuits.filter(function(circuit) { return circuit.state !== 'closed' || circuit.failures > 0; });
+      if (tripped.length === 0) {
+        return '';
+      }
+      
+      return '<h3>Provider circuits</h3>' +
+        '<table class="admin-table">' +
+          '<tr><th>Provider</th><th>Model</th><th>State</th><th>Failures</th><th>Retry in</th></tr>' +
+          tripped.map(function(circuit) {
+            return '<tr>' +
+                '<td>' + escapeHtml(circuit.provider) + '</td>' +
+                '<td>' + escapeHtml(circuit.model) + '</td>' +
+                '<td' + (circuit.state === 'open' ? ' class="admin-error"' : '') + '>' + circuit.state + '</td>' +
+                '<td>' + circuit.failures + '</td>' +
+                '<td>' + (circuit.retryAfterMs > 0 ? Math.ceil(circuit.retryAfterMs / 1000) + 's' : '') + '</td>' +
+              '</tr>';
+          }).join('') +
+        '</table>';
+    }
+    
+    // Build the session list with its inspect, expire and delete buttons
+    function buildAdminSessionsHtml(sessions) {
+      return '<h3>Sessions (' + sessions.length + ')</h3>' +
+        '<table class="admin-table">' +
+          '<tr><th>Session</th><th>Story</th><th>Scenes</th><th>Last activity</th><th>Current scene</th><th></th></tr>' +
+          sessions.map(function(session) {
+            const sessionId = escapeHtml(session.sessionId);
+            const status = session.expired ? 'Expired' : session.ending ? 'Finished' : session.room ? 'In a room' : 'Playing';
+            return '<tr>' +
+                '<td>' + sessionId + '<br>' + escapeHtml(session.ownerId || 'no owner') + '</td>' +
+                '<td>' + escapeHtml(session.scenario || session.genre || '') + '<br>' + status + '</td>' +
+                '<td>' + (session.expired ? '' : session.scenes) + '</td>' +
+                '<td>' + new Date(session.updatedAt).toLocaleString() + '</td>' +
+                '<td>' + escapeHtml(session.preview || '') + '</td>' +
+                '<td>' +
+                  (session.expired ? '' :
+                    '<button class="share-button" data-session-action="inspect" data-session-id="' + sessionId + '">Inspect</button>' +
+                    '<button class="share-button" data-session-action="expire" data-session-id="' + sessionId + '">Expire</button>') +
+                  '<button class="share-button" data-session-action="delete" data-session-id="' + sessionId + '">Delete</button>' +
+                '</td>' +
+              '</tr>';
+          }).join('') +
+        '</table>';
+    }
+    
+    // Attach the session table buttons to their actions; session IDs are read from data attributes
+    function bindAdminSessionButtons(container) {
+      container.querySelectorAll('[data-session-action]').forEach(function(button) {
+        button.addEventListener('click', function() {
+          const sessionId = button.getAttribute('data-session-id');
+          const action = button.getAttribute('data-session-action');
+          if (action === 'inspect') {
+            inspectSession(sessionId);
+          } else {
+            adminSessionAction(sessionId, action);
+          }
+        });
+      });
+    }
+    
+    // Show every scene of a session, including branches the player left, with its raw data
+    async function inspectSession(sessionId) {
+      try {
+        const response = await fetch('/api/admin/sessions/' + encodeURIComponent(sessionId));
+        if (!response.ok) {
+          throw new Error('Failed to inspect session');
+        }
+        
+        const session = await response.json();
+        document.getElementById('admin-session').innerHTML =
+          '<h3>Session ' + escapeHtml(session.sessionId) + '</h3>' +
+          '<p>' + escapeHtml(session.goal || 'No goal') + ' · ' + session.state.usage.calls + ' provider calls · est. $' + session.state.usage.cost.toFixed(3) + '</p>' +
+          session.state.nodes.map(function(node) {
+            const scene = node.scene;
+            const errors = [scene.text && scene.text.error, scene.image && scene.image.error].filter(Boolean);
+            return '<div class="admin-scene">' +
+                '<strong>Scene ' + node.id + (node.id === session.state.currentNodeId ? ' (current)' : '') + '</strong>' +
+                (node.parentId === null ? '' : ' · from scene ' + node.parentId + ': ' + escapeHtml(node.choice)) +
+                (scene.choicesFallback ? ' · default choices' : '') +
+                (scene.ending ? ' · ending: ' + escapeHtml(scene.ending.type) : '') +
+                '<p>' + escapeHtml(scene.text && scene.text.data ? scene.text.data.output : '') + '</p>' +
+                errors.map(function(error) { return '<div class="admin-error">' + escapeHtml(error) + '</div>'; }).join('') +
+              '</div>';
+          }).join('') +
+          '<details><summary>Raw session data</summary><pre>' + escapeHtml(JSON.stringify(session.state, null, 2)) + '</pre></details>';
+        document.getElementById('admin-session').scrollIntoView();
+      } catch (error) {
+        console.error('Error inspecting session:', error);
+        document.getElementById('admin-session').innerHTML = '<p class="admin-error">This session could not be loaded.</p>';
+      }
+    }
+    
+    // Expire or delete a session, then reload the dashboard
+    async function adminSessionAction(sessionId, action) {
+      if (!confirm((action === 'delete' ? 'Delete' : 'Expire') + ' session ' + sessionId + '? The player will lose it.')) {
+        return;
+      }
+      
+      try {
+        const response = await fetch('/api/admin/sessions/' + encodeURIComponent(sessionId) + '/' + action, { method: 'POST' });
+        if (!response.ok) {
+          throw new Error('Failed to ' + action + ' session');
+        }
+        loadAdmin();
+      } catch (error) {
+        console.error('Error updating session:', error);
+        alert('The session could not be updated.');
+      }
+    }
+    
+    // Start the game when the setup form is submitted
+    if (setupForm) {
+      setupForm.addEventListener('submit', startGame);
+    }
+    
+    // Sign in when the account form is submitted
+    document.getElementById('auth-form').addEventListener('submit', function(event) {
+      submitAuth(event, 'login');
+    });
+    
+    // Replay links (/replay/<token>) open the read-only viewer and /admin the dashboard instead of a new game
+    if (window.location.pathname.indexOf('/replay/') === 0) {
+      loadReplay(window.location.pathname.split('/')[2]);
+    } else if (window.location.pathname === '/admin') {
+      loadAdmin();
+    } else if (window.location.pathname.indexOf('/room/') !== 0) {
+      checkAccount();
+    }
+    
+    // Room links (/room/<roomId>) join a multiplayer room as a viewer
+    if (window.location.pathname.indexOf('/room/') === 0) {
+      gameContent.innerHTML = '<div class="story-content" style="text-align: center;"><p>Joining the room...</p></div>';
+      connectRoom(window.location.pathname.split('/')[2], null);
     }
   </script>
 </body>
@@ -888,8 +3175,13 @@ if (!fs.existsSync(publicDir)) {
 // Write the HTML file to the public directory
 fs.writeFileSync(path.join(publicDir, 'index.html'), htmlContent);
 
-// Start the server
-app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-  console.log(`Open http://localhost:${PORT} in your browser to play the game`);
-});
\ No newline at end of file
+// Start the server, with room WebSockets on the same port
+const server = app.listen(PORT, () => {
+  logger.info(`Server running on http://localhost:${PORT}`);
+  logger.info(`Storing sessions in the "${sessionStore.name}" session store`);
+  logger.info(`Storing replays in the "${replayStore.name}" replay store`);
+  logger.info(mediaStore ? `Caching generated media in ${mediaStore.directory}` : "Media caching is off; scenes link to provider URLs");
+  logger.info(`Multiplayer rooms connect over ws://localhost:${PORT}/ws`);
+  logger.info(`Open http://localhost:${PORT} in your browser to play the game`);
+});
+rooms.attach(server);
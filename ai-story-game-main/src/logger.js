@@ -0,0 +1,238 @@
+// Structured logging: one JSON object per line, tagged with the request being handled
+// The request ID follows a request through GameState and every provider call via AsyncLocalStorage
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Log levels from most to least severe; LOG_LEVEL picks the least severe level written
+const LEVELS = {
+  error: 0,
+  warn: 1,
+  info: 2,
+  debug: 3
+};
+
+const DEFAULT_LEVEL = "info";
+
+// Fields whose values are never written, wherever they appear in a log entry
+const SECRET_FIELD_PATTERN = /key|secret|token|password|authorization|cookie|credential/i;
+
+// Environment variables whose values are scrubbed from every logged string
+const SECRET_ENV_PATTERN = /KEY|SECRET|TOKEN|PASSWORD/;
+
+// Shorter values are too likely to appear by chance to be scrubbed
+const MIN_SECRET_LENGTH = 8;
+
+const REDACTED = "[redacted]";
+
+// Nested objects deeper than this are cut off
+const MAX_DEPTH = 6;
+
+// Request IDs accepted from the X-Request-Id header
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+// Context ({ requestId, sessionId }) of the request or room vote being handled
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Run a function with a request context that every log line written during it carries
+ * @param {Object} context - Context fields ({ requestId, sessionId })
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+function runWithContext(context, fn) {
+  return requestContext.run({ ...context }, fn);
+}
+
+/**
+ * Context of the request being handled
+ * @returns {Object} Context fields, empty outside a request
+ */
+function getContext() {
+  return requestContext.getStore() || {};
+}
+
+/**
+ * Add fields to the current request's context, e.g. the session once it is known
+ * @param {Object} fields - Fields to add
+ */
+function setContext(fields) {
+  const store = requestContext.getStore();
+  if (store) {
+    Object.assign(store, fields);
+  }
+}
+
+/**
+ * Create a new request ID
+ * @returns {string} Random ID
+ */
+function createRequestId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Accept a request ID from a client or proxy, if it is safe to log
+ * @param {*} value - Header value
+ * @returns {string|null} Request ID, or null if missing or malformed
+ */
+function normalizeRequestId(value) {
+  return typeof value === 'string' && REQUEST_ID_PATTERN.test(value) ? value : null;
+}
+
+/**
+ * Values of secret environment variables
+ * @returns {Array} Secret values
+ */
+function getSecretValues() {
+  return Object.entries(process.env)
+    .filter(([name, value]) => SECRET_ENV_PATTERN.test(name) && value && value.length >= MIN_SECRET_LENGTH)
+    .map(([, value]) => value);
+}
+
+/**
+ * Turn an error into plain fields
+ * @param {Error} error - Error to serialize
+ * @returns {Object} Error fields ({ message, name, code, status, stack })
+ */
+function serializeError(error) {
+  const fields = { name: error.name, message: error.message };
+  if (error.code !== undefined) {
+    fields.code = error.code;
+  }
+  if (error.status !== undefined) {
+    fields.status = error.status;
+  }
+  fields.stack = error.stack;
+  return fields;
+}
+
+/**
+ * Copy a value for logging with secret fields and secret values removed
+ * @param {*} value - Value to log
+ * @param {Array} secrets - Secret values to scrub from strings
+ * @param {number} [depth] - Current nesting depth
+ * @returns {*} Safe copy
+ */
+function redact(value, secrets, depth = 0) {
+  if (typeof value === 'string') {
+    return secrets.reduce((text, secret) => text.split(secret).join(REDACTED), value);
+  }
+  if (value instanceof Error) {
+    return redact(serializeError(value), secrets, depth);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return "[truncated]";
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, secrets, depth + 1));
+  }
+
+  const copy = {};
+  for (const [field, fieldValue] of Object.entries(value)) {
+    copy[field] = SECRET_FIELD_PATTERN.test(field) ? REDACTED : redact(fieldValue, secrets, depth + 1);
+  }
+  return copy;
+}
+
+/**
+ * Logger that writes JSON lines to stdout
+ */
+class Logger {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.level] - Least severe level to write; LOG_LEVEL when omitted
+   * @param {Object} [options.fields] - Fields added to every entry
+   * @param {Object} [options.stream] - Writable stream for the entries
+   */
+  constructor(options = {}) {
+    this.fixedLevel = options.level || null;
+    this.fields = options.fields || {};
+    this.stream = options.stream || process.stdout;
+  }
+
+  /**
+   * Least severe level written
+   * Read from LOG_LEVEL on every call so it can be set after this module is loaded (e.g. by dotenv)
+   * @returns {string} Level name
+   */
+  get level() {
+    const level = this.fixedLevel || (process.env.LOG_LEVEL || "").toLowerCase();
+    return Object.prototype.hasOwnProperty.call(LEVELS, level) ? level : DEFAULT_LEVEL;
+  }
+
+  /**
+   * Create a logger that adds fields to every entry
+   * @param {Object} fields - Fields such as { component: "rooms" }
+   * @returns {Logger} Child logger
+   */
+  child(fields) {
+    return new Logger({ level: this.fixedLevel, fields: { ...this.fields, ...fields }, stream: this.stream });
+  }
+
+  /**
+   * Check whether entries of a level are written
+   * @param {string} level - Level name
+   * @returns {boolean} True if enabled
+   */
+  isEnabled(level) {
+    return LEVELS[level] <= LEVELS[this.level];
+  }
+
+  /**
+   * Write an entry
+   * @param {string} level - Level name
+   * @param {string} message - What happened
+   * @param {Object|Error} [details] - Extra fields, or an error
+   */
+  write(level, message, details) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+
+    const fields = details instanceof Error ? { error: details } : details;
+    const entry = redact({
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...getContext(),
+      ...this.fields,
+      ...(fields || {})
+    }, getSecretValues());
+
+    this.stream.write(JSON.stringify(entry) + "\n");
+  }
+
+  error(message, details) {
+    this.write("error", message, details);
+  }
+
+  warn(message, details) {
+    this.write("warn", message, details);
+  }
+
+  info(message, details) {
+    this.write("info", message, details);
+  }
+
+  debug(message, details) {
+    this.write("debug", message, details);
+  }
+}
+
+// Logger shared by the whole server
+const logger = new Logger();
+
+module.exports = {
+  LEVELS,
+  Logger,
+  logger,
+  redact,
+  runWithContext,
+  getContext,
+  setContext,
+  createRequestId,
+  normalizeRequestId
+};
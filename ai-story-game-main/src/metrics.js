@@ -0,0 +1,261 @@
+// Metrics for Prometheus: provider latency, errors and circuits by model, sessions and scene throughput
+// Rendered in the Prometheus text exposition format at /metrics
+const { logger } = require('./logger');
+
+// Provider calls take from under a second (text) to a minute or more (images and speech)
+const LATENCY_BUCKETS = [0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120];
+
+/**
+ * Escape a label value for the exposition format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a label set
+ * @param {Object} labels - Label values keyed by name
+ * @returns {string} e.g. {kind="text",model="fal-ai/any-llm"}, or an empty string without labels
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+/**
+ * Base class for metrics whose series are keyed by their label values
+ */
+class Metric {
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {Array} [labelNames] - Label names, in output order
+   */
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  /**
+   * Get or create the series for a label set
+   * Labels that aren't declared are ignored and missing ones are empty, so callers can't explode cardinality
+   * @param {Object} labels - Label values
+   * @param {Function} create - Creates the initial series value
+   * @returns {Object} Series ({ labels, value })
+   */
+  getSeries(labels, create) {
+    const values = {};
+    for (const name of this.labelNames) {
+      values[name] = labels && labels[name] !== undefined && labels[name] !== null ? String(labels[name]) : "";
+    }
+
+    const key = JSON.stringify(values);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: values, value: create() });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * Header lines of the metric
+   * @param {string} type - Metric type
+   * @returns {Array} HELP and TYPE lines
+   */
+  header(type) {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${type}`];
+  }
+}
+
+/**
+ * Counter that only goes up
+ */
+class Counter extends Metric {
+  /**
+   * @param {Object} [labels] - Label values
+   * @param {number} [amount=1] - Increment
+   */
+  inc(labels, amount = 1) {
+    this.getSeries(labels, () => 0).value += amount;
+  }
+
+  /**
+   * @returns {Array} Exposition lines
+   */
+  render() {
+    const lines = this.header("counter");
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Gauge holding the latest value, usually set when metrics are scraped
+ */
+class Gauge extends Metric {
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - New value
+   */
+  set(labels, value) {
+    this.getSeries(labels, () => 0).value = value;
+  }
+
+  /**
+   * @returns {Array} Exposition lines
+   */
+  render() {
+    const lines = this.header("gauge");
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Histogram with fixed buckets
+ */
+class Histogram extends Metric {
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {Array} labelNames - Label names
+   * @param {Array} buckets - Upper bounds, ascending
+   */
+  constructor(name, help, labelNames, buckets) {
+    super(name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  /**
+   * Record an observation
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value
+   */
+  observe(labels, value) {
+    const series = this.getSeries(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 })).value;
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * @returns {Array} Exposition lines
+   */
+  render() {
+    const lines = this.header("histogram");
+    for (const { labels, value } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${value.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${value.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${value.sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Set of metrics rendered together, with collectors that refresh gauges before each scrape
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+    this.collectors = [];
+  }
+
+  /**
+   * Add a metric
+   * @param {Metric} metric - Metric to render
+   * @returns {Metric} The metric
+   */
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Run a function before every scrape, e.g. to count active sessions
+   * @param {Function} collector - Sync or async function
+   */
+  onCollect(collector) {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * Render every metric
+   * A failing collector is logged and leaves its gauges at their last values
+   * @returns {Promise<string>} Exposition text
+   */
+  async render() {
+    for (const collector of this.collectors) {
+      try {
+        await collector();
+      } catch (error) {
+        logger.error("Error collecting metrics", { error });
+      }
+    }
+    return this.metrics.map(metric => metric.render().join("\n")).join("\n") + "\n";
+  }
+}
+
+// Registry and metrics shared by the whole server
+const registry = new MetricsRegistry();
+
+const metrics = {
+  providerLatency: registry.register(new Histogram(
+    "story_provider_request_duration_seconds",
+    "Duration of generation provider calls",
+    ["provider", "kind", "model"],
+    LATENCY_BUCKETS
+  )),
+  providerErrors: registry.register(new Counter(
+    "story_provider_errors_total",
+    "Failed generation provider calls",
+    ["provider", "kind", "model"]
+  )),
+  providerRetries: registry.register(new Counter(
+    "story_provider_retries_total",
+    "Provider calls retried after a timeout or a retryable error",
+    ["provider", "kind", "model"]
+  )),
+  circuitState: registry.register(new Gauge(
+    "story_provider_circuit_state",
+    "Circuit breaker state of each provider model (0 closed, 1 half-open, 2 open)",
+    ["provider", "model"]
+  )),
+  scenes: registry.register(new Counter(
+    "story_scenes_generated_total",
+    "Scenes generated, by the action that led to them (start, choice or custom)",
+    ["action"]
+  )),
+  activeSessions: registry.register(new Gauge(
+    "story_active_sessions",
+    "Stored game sessions that have not expired"
+  )),
+  activeRooms: registry.register(new Gauge(
+    "story_active_rooms",
+    "Open multiplayer rooms"
+  ))
+};
+
+module.exports = {
+  LATENCY_BUCKETS,
+  Counter,
+  Gauge,
+  Histogram,
+  MetricsRegistry,
+  registry,
+  metrics
+};
@@ -0,0 +1,232 @@
+// Moderation pipeline for player input and generated content
+// Content is classified against a configurable policy, then allowed, softened, regenerated or blocked
+const fs = require('fs');
+const path = require('path');
+const { classifyWithRules, softenText } = require('./rules');
+const { logger } = require('../logger');
+
+// Actions from least to most severe; the most severe action of any flagged category wins
+const ACTIONS = ["allow", "soften", "regenerate", "block"];
+
+// Policy used unless MODERATION_POLICY points to a JSON file that overrides it
+const DEFAULT_POLICY = {
+  enabled: true,
+  maxRegenerations: 2,
+  // Action for categories the external classifier reports that aren't listed below
+  defaultAction: "regenerate",
+  actions: {
+    sexual_minors: "block",
+    sexual: "regenerate",
+    hate: "regenerate",
+    self_harm: "regenerate",
+    graphic_violence: "soften"
+  },
+  // Extra words to flag, keyed by category
+  terms: {}
+};
+
+// Content kinds that can't be regenerated, and what happens instead
+const REGENERATE_FALLBACK = {
+  input: "block",
+  image: "soften"
+};
+
+/**
+ * Load the moderation policy, merging a JSON file over the defaults
+ * @param {string} [file] - Policy file (defaults to MODERATION_POLICY)
+ * @returns {Object} Policy
+ */
+function loadPolicy(file = process.env.MODERATION_POLICY) {
+  if (!file) {
+    return DEFAULT_POLICY;
+  }
+
+  const overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return {
+    ...DEFAULT_POLICY,
+    ...overrides,
+    actions: { ...DEFAULT_POLICY.actions, ...(overrides.actions || {}) },
+    terms: { ...DEFAULT_POLICY.terms, ...(overrides.terms || {}) }
+  };
+}
+
+/**
+ * Create a classifier that asks an external HTTP service for categories
+ * The service receives { text, kind } and must answer { categories: [...] }
+ * @param {string} url - Classifier endpoint
+ * @param {number} [timeoutMs=5000] - Request timeout
+ * @returns {Function} async (text, kind) => categories
+ */
+function createHttpClassifier(url, timeoutMs = 5000) {
+  return async (text, kind) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text, kind }),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    if (!response.ok) {
+      throw new Error(`Classifier responded with status ${response.status}`);
+    }
+
+    const result = await response.json();
+    return Array.isArray(result.categories) ? result.categories : [];
+  };
+}
+
+/**
+ * Classifies content against the policy and records every intervention in the audit log
+ */
+class Moderator {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.policy] - Moderation policy
+   * @param {Function} [options.classifier] - External classifier hook: async (text, kind) => categories
+   * @param {string} [options.auditLogPath] - JSON lines file for audit entries
+   */
+  constructor(options = {}) {
+    this.policy = options.policy || DEFAULT_POLICY;
+    this.classifier = options.classifier || null;
+    this.auditLogPath = options.auditLogPath || null;
+  }
+
+  /**
+   * Classify text with the local rules and, if configured, the external classifier
+   * If the external classifier fails, the rule-based result is used on its own
+   * @param {string} text - Text to check
+   * @param {string} kind - Content kind ("input", "narration", "choices", "image")
+   * @returns {Promise<Array>} Flagged categories
+   */
+  async classify(text, kind) {
+    const categories = classifyWithRules(text, this.policy.terms);
+
+    if (this.classifier) {
+      try {
+        for (const category of await this.classifier(text, kind)) {
+          if (typeof category === 'string' && !categories.includes(category)) {
+            categories.push(category);
+          }
+        }
+      } catch (error) {
+        logger.error("Error calling moderation classifier", { error: error.message });
+      }
+    }
+
+    return categories;
+  }
+
+  /**
+   * Decide what to do with content in the given categories
+   * @param {Array} categories - Flagged categories
+   * @param {string} kind - Content kind
+   * @returns {string} One of ACTIONS
+   */
+  resolveAction(categories, kind) {
+    let action = "allow";
+    for (const category of categories) {
+      const categoryAction = this.policy.actions[category] || this.policy.defaultAction;
+      if (ACTIONS.indexOf(categoryAction) > ACTIONS.indexOf(action)) {
+        action = categoryAction;
+      }
+    }
+
+    if (action === "regenerate" && REGENERATE_FALLBACK[kind]) {
+      action = REGENERATE_FALLBACK[kind];
+    }
+    return action;
+  }
+
+  /**
+   * Review a piece of content
+   * Softened text has the flagged sentences removed; if nothing is left the content is blocked
+   * @param {string} text - Content to review
+   * @param {string} kind - Content kind ("input", "narration", "choices", "image")
+   * @param {Object} [context] - Extra audit fields, e.g. { sessionId, attempt }
+   * @returns {Promise<{ action: string, categories: Array, text: string }>} Decision and the text to use
+   */
+  async review(text, kind, context = {}) {
+    if (!this.policy.enabled || typeof text !== 'string' || !text.trim()) {
+      return { action: "allow", categories: [], text };
+    }
+
+    const categories = await this.classify(text, kind);
+    let action = this.resolveAction(categories, kind);
+    let reviewedText = text;
+
+    if (action === "soften") {
+      reviewedText = softenText(text, this.policy.terms);
+      if (!reviewedText || reviewedText === text.trim()) {
+        // Nothing flagged by the rules to drop (e.g. only the external classifier objected)
+        action = "block";
+      }
+    }
+
+    if (action !== "allow") {
+      await this.audit({ ...context, kind, action, categories, excerpt: text.substring(0, 120) });
+    }
+
+    return { action, categories, text: action === "block" ? "" : reviewedText };
+  }
+
+  /**
+   * Append an entry to the audit log
+   * @param {Object} entry - Audit fields
+   */
+  async audit(entry) {
+    const record = { timestamp: new Date().toISOString(), ...entry };
+    logger.warn("Moderation action", { action: record.action, kind: record.kind, categories: record.categories });
+
+    if (!this.auditLogPath) {
+      return;
+    }
+
+    try {
+      await fs.promises.mkdir(path.dirname(this.auditLogPath), { recursive: true });
+      await fs.promises.appendFile(this.auditLogPath, JSON.stringify(record) + "\n");
+    } catch (error) {
+      logger.error("Error writing moderation audit log", { error });
+    }
+  }
+}
+
+/**
+ * Create a moderator from environment config
+ * MODERATION_POLICY is a JSON policy file, MODERATION_CLASSIFIER_URL an external classifier
+ * and MODERATION_AUDIT_LOG the audit file (data/moderation-audit.jsonl by default)
+ * @param {Object} [options] - Overrides for the environment config
+ * @returns {Moderator} Moderator
+ */
+function createModerator(options = {}) {
+  const classifierUrl = process.env.MODERATION_CLASSIFIER_URL;
+
+  return new Moderator({
+    policy: loadPolicy(),
+    classifier: classifierUrl ? createHttpClassifier(classifierUrl) : null,
+    auditLogPath: process.env.MODERATION_AUDIT_LOG || path.join(__dirname, '..', '..', 'data', 'moderation-audit.jsonl'),
+    ...options
+  });
+}
+
+// Moderator shared by every game unless one is passed in explicitly
+let defaultModerator = null;
+
+/**
+ * Get the shared moderator, creating it from environment config on first use
+ * @returns {Moderator} Moderator
+ */
+function getDefaultModerator() {
+  if (!defaultModerator) {
+    defaultModerator = createModerator();
+  }
+  return defaultModerator;
+}
+
+module.exports = {
+  ACTIONS,
+  DEFAULT_POLICY,
+  Moderator,
+  loadPolicy,
+  createHttpClassifier,
+  createModerator,
+  getDefaultModerator
+};
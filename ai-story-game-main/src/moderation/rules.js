@@ -0,0 +1,86 @@
+// Local rule-based content classifier
+// Works offline; an external classifier can add categories on top of it
+
+// Patterns for each policy category; a rule with several patterns only matches when all of them match
+// the same sentence. Word forms are listed out so words like "sexton" or "grapes" don't match
+const RULES = {
+  sexual_minors: [
+    /\b(sex|sexy|sexual|sexually|sexuali[sz]ed|nude|nudity|erotic\w*|porn\w*|molest\w*)\b/i,
+    /\b(child|children|kids?|minors?|underage|little (girl|boy)s?|teens?|toddlers?)\b/i
+  ],
+  sexual: [
+    /\b(porn\w*|nude|nudity|sex|sexual|sexually|orgasm\w*|erotic\w*|genitals?|rape|raped|rapes|raping|rapists?)\b/i
+  ],
+  hate: [
+    /\b(subhumans?|inferior races?|master race|ethnic cleansing|racial purity)\b/i
+  ],
+  self_harm: [
+    /\b(kill (myself|yourself)|suicid\w*|self[- ]harm\w*|cut (myself|yourself)|end (my|your) (own )?life)\b/i
+  ],
+  graphic_violence: [
+    /\b(disembowel\w*|dismember\w*|decapitat\w*|entrails|mutilat\w*|tortur\w*|eviscerat\w*)\b/i
+  ]
+};
+
+/**
+ * Split text into sentences, keeping their punctuation and the whitespace after them
+ * @param {string} text - Text to split
+ * @returns {Array} Sentences and line breaks, which join back into the text
+ */
+function splitSentences(text) {
+  return String(text || "").match(/[^.!?\n]+[.!?]*["”]?\s*|\n+/g) || [];
+}
+
+/**
+ * Build a word-list pattern from extra policy terms
+ * @param {Array} terms - Words or phrases
+ * @returns {RegExp|null} Case-insensitive whole-word pattern, or null if there are no terms
+ */
+function termsPattern(terms) {
+  const escaped = (terms || [])
+    .filter(term => typeof term === 'string' && term.trim())
+    .map(term => term.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return escaped.length > 0 ? new RegExp(`\\b(${escaped.join('|')})\\b`, 'i') : null;
+}
+
+/**
+ * Classify text with the built-in rules plus any extra terms from the policy
+ * @param {string} text - Text to check
+ * @param {Object} [extraTerms] - Additional words keyed by category
+ * @returns {Array} Categories the text falls into
+ */
+function classifyWithRules(text, extraTerms = {}) {
+  const categories = [];
+  const value = String(text || "");
+  const sentences = splitSentences(value);
+
+  for (const [category, patterns] of Object.entries(RULES)) {
+    if (sentences.some(sentence => patterns.every(pattern => pattern.test(sentence)))) {
+      categories.push(category);
+    }
+  }
+
+  for (const [category, terms] of Object.entries(extraTerms)) {
+    const pattern = termsPattern(terms);
+    if (pattern && pattern.test(value) && !categories.includes(category)) {
+      categories.push(category);
+    }
+  }
+
+  return categories;
+}
+
+/**
+ * Soften text by dropping the sentences the rules flag
+ * @param {string} text - Text to soften
+ * @param {Object} [extraTerms] - Additional words keyed by category
+ * @returns {string} Remaining text (empty if every sentence was flagged)
+ */
+function softenText(text, extraTerms = {}) {
+  return splitSentences(text)
+    .filter(sentence => classifyWithRules(sentence, extraTerms).length === 0)
+    .join("")
+    .trim();
+}
+
+module.exports = { RULES, classifyWithRules, softenText };
@@ -0,0 +1,223 @@
+// Structured player state: stats, inventory and status effects
+// The LLM proposes state changes from each scene's narration; only validated changes are applied
+
+// Stats every player sheet tracks, with their bounds
+const STATS = {
+  health: { initial: 100, min: 0, max: 100 },
+  gold: { initial: 10, min: 0, max: 100000 }
+};
+
+// Limits that keep LLM-proposed changes sane
+const MAX_DELTA = 100;
+const MAX_ITEM_QUANTITY = 99;
+const MAX_NAME_LENGTH = 40;
+const MAX_STATUS_EFFECTS = 5;
+const MAX_CHANGES_PER_SCENE = 8;
+
+/**
+ * Player sheet at the start of an adventure
+ * @returns {Object} Sheet ({ stats, inventory, statusEffects })
+ */
+function createPlayerSheet() {
+  const stats = {};
+  for (const [name, stat] of Object.entries(STATS)) {
+    stats[name] = stat.initial;
+  }
+
+  return { stats, inventory: [], statusEffects: [] };
+}
+
+/**
+ * Format the sheet for inclusion in a prompt
+ * @param {Object} sheet - Player sheet
+ * @returns {string} Sheet description
+ */
+function formatPlayerSheet(sheet) {
+  if (!sheet) {
+    return "";
+  }
+
+  const stats = Object.entries(sheet.stats).map(([name, value]) => `${name} ${value}`).join(", ");
+  const inventory = sheet.inventory.length > 0
+    ? sheet.inventory.map(item => `${item.quantity} x ${item.name}`).join(", ")
+    : "nothing";
+  const effects = sheet.statusEffects.length > 0 ? sheet.statusEffects.join(", ") : "none";
+
+  return `Player state: ${stats}. Carrying: ${inventory}. Status effects: ${effects}.\n` +
+    "The story must respect this state: the player cannot use items they don't carry or spend gold they don't have.";
+}
+
+/**
+ * Build the prompt that asks the LLM for the state changes caused by a scene
+ * @param {Object} sheet - Sheet before the scene
+ * @param {string} sceneText - Narration of the scene
+ * @param {string} userChoice - Choice that led to the scene
+ * @returns {string} State change prompt
+ */
+function buildStateChangePrompt(sheet, sceneText, userChoice) {
+  return `
+You track the player's inventory and stats in an interactive story game.
+${formatPlayerSheet(sheet)}
+The player chose: ${userChoice}
+Scene: "${sceneText}"
+
+List only the changes this scene clearly caused: items gained or lost, damage taken or healed, gold earned or spent, status effects gained or lost.
+Stats are: ${Object.keys(STATS).join(", ")}. If nothing changed, return an empty list.
+Respond with only JSON in this exact format:
+{"changes": [
+  {"type": "item", "name": "rusty key", "delta": 1},
+  {"type": "stat", "name": "health", "delta": -10},
+  {"type": "effect", "name": "poisoned", "active": true}
+]}
+`;
+}
+
+/**
+ * Clean an item or effect name proposed by the LLM
+ * @param {*} name - Raw name
+ * @returns {string|null} Lowercase trimmed name, or null if unusable
+ */
+function cleanName(name) {
+  if (typeof name !== 'string') {
+    return null;
+  }
+  const cleaned = name.replace(/\s+/g, ' ').trim().toLowerCase();
+  return cleaned && cleaned.length <= MAX_NAME_LENGTH ? cleaned : null;
+}
+
+/**
+ * Check that a delta is a non-zero integer within limits
+ * @param {*} delta - Raw delta
+ * @returns {boolean} True if usable
+ */
+function isValidDelta(delta) {
+  return Number.isInteger(delta) && delta !== 0 && Math.abs(delta) <= MAX_DELTA;
+}
+
+/**
+ * Parse and validate the LLM's proposed state changes
+ * Anything malformed or out of range is dropped
+ * @param {string} output - Raw LLM output
+ * @returns {Array} Valid changes
+ */
+function parseStateChanges(output) {
+  if (typeof output !== 'string') {
+    return [];
+  }
+
+  const jsonMatch = output.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    return [];
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonMatch[0]);
+  } catch (error) {
+    return [];
+  }
+  if (!parsed || !Array.isArray(parsed.changes)) {
+    return [];
+  }
+
+  const changes = [];
+  for (const change of parsed.changes.slice(0, MAX_CHANGES_PER_SCENE)) {
+    if (!change || typeof change !== 'object') {
+      continue;
+    }
+
+    if (change.type === "item") {
+      const name = cleanName(change.name);
+      if (name && isValidDelta(change.delta)) {
+        changes.push({ type: "item", name, delta: change.delta });
+      }
+    } else if (change.type === "stat") {
+      if (Object.prototype.hasOwnProperty.call(STATS, change.name) && isValidDelta(change.delta)) {
+        changes.push({ type: "stat", name: change.name, delta: change.delta });
+      }
+    } else if (change.type === "effect") {
+      const name = cleanName(change.name);
+      if (name && typeof change.active === 'boolean') {
+        changes.push({ type: "effect", name, active: change.active });
+      }
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Apply validated changes to a sheet
+ * Stats are clamped to their bounds and items can't drop below zero
+ * @param {Object} sheet - Sheet before the changes
+ * @param {Array} changes - Changes from parseStateChanges
+ * @returns {{ sheet: Object, applied: Array }} New sheet and the changes that actually took effect
+ */
+function applyStateChanges(sheet, changes) {
+  const next = {
+    stats: { ...sheet.stats },
+    inventory: sheet.inventory.map(item => ({ ...item })),
+    statusEffects: [...sheet.statusEffects]
+  };
+  const applied = [];
+
+  for (const change of changes) {
+    if (change.type === "stat") {
+      const bounds = STATS[change.name];
+      const before = next.stats[change.name];
+      const after = Math.min(bounds.max, Math.max(bounds.min, before + change.delta));
+      if (after !== before) {
+        next.stats[change.name] = after;
+        applied.push({ ...change, delta: after - before });
+      }
+    } else if (change.type === "item") {
+      const item = next.inventory.find(candidate => candidate.name === change.name);
+      const before = item ? item.quantity : 0;
+      const after = Math.min(MAX_ITEM_QUANTITY, Math.max(0, before + change.delta));
+      if (after === before) {
+        continue;
+      }
+
+      if (item) {
+        item.quantity = after;
+      } else {
+        next.inventory.push({ name: change.name, quantity: after });
+      }
+      applied.push({ ...change, delta: after - before });
+    } else if (change.type === "effect") {
+      const index = next.statusEffects.indexOf(change.name);
+      if (change.active && index === -1 && next.statusEffects.length < MAX_STATUS_EFFECTS) {
+        next.statusEffects.push(change.name);
+        applied.push(change);
+      } else if (!change.active && index !== -1) {
+        next.statusEffects.splice(index, 1);
+        applied.push(change);
+      }
+    }
+  }
+
+  next.inventory = next.inventory.filter(item => item.quantity > 0);
+  return { sheet: next, applied };
+}
+
+/**
+ * Describe a change for the player, e.g. "+1 rusty key" or "-10 health"
+ * @param {Object} change - Applied change
+ * @returns {string} Short description
+ */
+function describeStateChange(change) {
+  if (change.type === "effect") {
+    return change.active ? `Now ${change.name}` : `No longer ${change.name}`;
+  }
+  return `${change.delta > 0 ? "+" : ""}${change.delta} ${change.name}`;
+}
+
+module.exports = {
+  STATS,
+  createPlayerSheet,
+  formatPlayerSheet,
+  buildStateChangePrompt,
+  parseStateChanges,
+  applyStateChanges,
+  describeStateChange
+};
@@ -0,0 +1,265 @@
+// Prompt templates: the narration, choice and image prompts live in text files writers can edit
+// Each prompt has one file per variant (templates/<prompt>/<variant>.txt) with a version in its front matter
+const fs = require('fs');
+const path = require('path');
+
+// Variables each prompt is rendered with; templates must use the required ones and may use the rest
+const PROMPTS = {
+  narration: {
+    variables: ["setup", "memory", "player", "context", "choice", "length", "direction"],
+    required: ["context", "choice"]
+  },
+  choices: {
+    variables: ["scene", "setup", "memory", "player", "count", "schema"],
+    required: ["scene", "schema"]
+  },
+  image: {
+    variables: ["genre", "description", "characters", "style"],
+    required: ["description"]
+  }
+};
+
+// Variant used when a session has no override
+const DEFAULT_VARIANT = "default";
+
+// Variant names double as file names
+const VARIANT_PATTERN = /^[a-z0-9_-]{1,40}$/;
+
+// {{variable}} placeholders
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g;
+
+/**
+ * Split a template file into its front matter and body
+ * @param {string} content - File content
+ * @returns {{ meta: Object, body: string }} Front matter fields and template body
+ */
+function parseTemplateFile(content) {
+  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/);
+  if (!match) {
+    return { meta: {}, body: content };
+  }
+
+  const meta = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const index = line.indexOf(':');
+    if (index > 0) {
+      meta[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+    }
+  }
+  return { meta, body: match[2] };
+}
+
+/**
+ * Check a template against the variables its prompt is rendered with
+ * @param {string} name - Prompt name
+ * @param {Object} template - Parsed template ({ variant, version, body })
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateTemplate(name, template) {
+  const { variables, required } = PROMPTS[name];
+  const used = new Set(Array.from(template.body.matchAll(PLACEHOLDER_PATTERN), match => match[1]));
+
+  if (!Number.isInteger(template.version) || template.version < 1) {
+    return "version must be a positive whole number";
+  }
+
+  const unknown = Array.from(used).filter(variable => !variables.includes(variable));
+  if (unknown.length > 0) {
+    return `unknown variables ${unknown.join(", ")} (available: ${variables.join(", ")})`;
+  }
+
+  const missing = required.filter(variable => !used.has(variable));
+  if (missing.length > 0) {
+    return `missing required variables ${missing.join(", ")}`;
+  }
+
+  return null;
+}
+
+/**
+ * Every prompt template, loaded and validated once
+ */
+class PromptLibrary {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Directory with one subdirectory of variants per prompt
+   * @param {Object} [options.experiments] - Variants sessions are randomly assigned to, keyed by prompt name
+   * @throws {Error} If a prompt has no default variant or a template is invalid
+   */
+  constructor(options) {
+    this.directory = options.directory;
+    this.templates = {};
+
+    const errors = [];
+    for (const name of Object.keys(PROMPTS)) {
+      this.templates[name] = {};
+
+      let files = [];
+      try {
+        files = fs.readdirSync(path.join(this.directory, name)).filter(file => file.endsWith('.txt'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+
+      for (const file of files) {
+        const variant = path.basename(file, '.txt');
+        if (!VARIANT_PATTERN.test(variant)) {
+          errors.push(`${name}/${file}: variant names may only use a-z, 0-9, _ and -`);
+          continue;
+        }
+
+        const { meta, body } = parseTemplateFile(fs.readFileSync(path.join(this.directory, name, file), 'utf8'));
+        const template = { variant, version: Number(meta.version), description: meta.description || "", body };
+        const error = validateTemplate(name, template);
+        if (error) {
+          errors.push(`${name}/${file}: ${error}`);
+          continue;
+        }
+        this.templates[name][variant] = template;
+      }
+
+      if (!this.templates[name][DEFAULT_VARIANT]) {
+        errors.push(`${name}: no valid ${DEFAULT_VARIANT}.txt template`);
+      }
+    }
+
+    this.experiments = options.experiments || {};
+    for (const [name, variants] of Object.entries(this.experiments)) {
+      const unknown = (Array.isArray(variants) ? variants : [variants]).filter(variant => !this.hasVariant(name, variant));
+      if (!PROMPTS[name] || !Array.isArray(variants) || unknown.length > 0) {
+        errors.push(`PROMPT_EXPERIMENTS.${name}: expected a list of existing variants`);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid prompt templates in ${this.directory}:\n${errors.join("\n")}`);
+    }
+  }
+
+  /**
+   * Check whether a prompt has a variant
+   * @param {string} name - Prompt name
+   * @param {string} variant - Variant name
+   * @returns {boolean} True if the variant exists
+   */
+  hasVariant(name, variant) {
+    return Boolean(this.templates[name] && Object.prototype.hasOwnProperty.call(this.templates[name], variant));
+  }
+
+  /**
+   * List the variants of every prompt
+   * @returns {Object} Variants ({ variant, version, description }) keyed by prompt name
+   */
+  describe() {
+    const prompts = {};
+    for (const [name, templates] of Object.entries(this.templates)) {
+      prompts[name] = Object.values(templates).map(({ variant, version, description }) => ({ variant, version, description }));
+    }
+    return prompts;
+  }
+
+  /**
+   * Pick the variants for a new session
+   * Explicit overrides win; prompts under an experiment get a random variant, the rest the default
+   * @param {Object} [overrides] - Validated variants keyed by prompt name
+   * @returns {Object} Variants keyed by prompt name
+   */
+  assignVariants(overrides = {}) {
+    const variants = {};
+    for (const name of Object.keys(PROMPTS)) {
+      const experiment = this.experiments[name];
+      if (overrides[name]) {
+        variants[name] = overrides[name];
+      } else if (experiment) {
+        variants[name] = experiment[Math.floor(Math.random() * experiment.length)];
+      } else {
+        variants[name] = DEFAULT_VARIANT;
+      }
+    }
+    return variants;
+  }
+
+  /**
+   * Render a prompt
+   * A variant that no longer exists (e.g. one removed since the session started) falls back to the default
+   * @param {string} name - Prompt name
+   * @param {string} [variant] - Variant name
+   * @param {Object} variables - Values for the template's placeholders
+   * @returns {{ text: string, variant: string, version: number }} Prompt text and the template it came from
+   */
+  render(name, variant, variables) {
+    const template = this.templates[name][this.hasVariant(name, variant) ? variant : DEFAULT_VARIANT];
+
+    const lines = [];
+    for (const line of template.body.split(/\r?\n/)) {
+      const rendered = line.replace(PLACEHOLDER_PATTERN, (match, variable) => {
+        const value = variables[variable];
+        return value === undefined || value === null ? "" : String(value);
+      });
+
+      // Lines that only held empty optional sections (e.g. no memory yet) are dropped rather than left blank
+      if (rendered.trim() || line.search(PLACEHOLDER_PATTERN) === -1) {
+        lines.push(rendered);
+      }
+    }
+    const text = lines.join("\n").trim();
+
+    return { text, variant: template.variant, version: template.version };
+  }
+}
+
+/**
+ * Validate the prompt variants a client asked for
+ * @param {*} input - Variants from the client, keyed by prompt name
+ * @param {PromptLibrary} library - Loaded templates
+ * @returns {{ variants: Object|null, error: string|null }} Variants, or the validation error
+ */
+function normalizePromptVariants(input, library) {
+  if (input === undefined || input === null) {
+    return { variants: {}, error: null };
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { variants: null, error: "prompts must be an object of variants keyed by prompt name" };
+  }
+
+  const variants = {};
+  for (const [name, variant] of Object.entries(input)) {
+    if (!PROMPTS[name]) {
+      return { variants: null, error: `Unknown prompt: ${name}` };
+    }
+    if (!library.hasVariant(name, variant)) {
+      return { variants: null, error: `Unknown ${name} prompt variant: ${variant}` };
+    }
+    variants[name] = variant;
+  }
+  return { variants, error: null };
+}
+
+// Templates shared by every game
+let defaultLibrary = null;
+
+/**
+ * Get the shared prompt library, loading it on first use
+ * PROMPTS_DIR replaces the bundled templates and PROMPT_EXPERIMENTS (JSON) lists variants to A/B test
+ * @returns {PromptLibrary} Loaded templates
+ * @throws {Error} If the templates are invalid
+ */
+function getPromptLibrary() {
+  if (!defaultLibrary) {
+    defaultLibrary = new PromptLibrary({
+      directory: process.env.PROMPTS_DIR || path.join(__dirname, 'templates'),
+      experiments: process.env.PROMPT_EXPERIMENTS ? JSON.parse(process.env.PROMPT_EXPERIMENTS) : {}
+    });
+  }
+  return defaultLibrary;
+}
+
+module.exports = {
+  PROMPTS,
+  DEFAULT_VARIANT,
+  PromptLibrary,
+  normalizePromptVariants,
+  getPromptLibrary
+};
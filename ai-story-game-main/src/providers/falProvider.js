@@ -0,0 +1,152 @@
+// fal.ai generation provider
+const { fal } = require('@fal-ai/client');
+const { logger } = require('../logger');
+
+// Default fal model IDs for each generation type
+const DEFAULT_MODELS = {
+  text: "fal-ai/any-llm",
+  choices: "fal-ai/any-llm",
+  image: "fal-ai/flux-pro",
+  imageReference: "fal-ai/flux/dev/image-to-image",
+  speech: "fal-ai/dia-tts"
+};
+
+/**
+ * Forward fal queue logs to the log while a request is in progress
+ * @param {string} model - Model ID of the request
+ * @param {Object} update - Queue update from fal.subscribe
+ */
+function logQueueUpdate(model, update) {
+  if (update.status === "IN_PROGRESS" && update.logs) {
+    for (const log of update.logs) {
+      logger.debug("fal queue log", { model, message: log.message });
+    }
+  }
+}
+
+/**
+ * Generation provider backed by the fal.ai API
+ * Every method returns the raw fal response shape the game already understands
+ */
+class FalProvider {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.models] - Model ID overrides keyed by generation type
+   */
+  constructor(options = {}) {
+    this.name = "fal";
+    this.models = { ...DEFAULT_MODELS, ...(options.models || {}) };
+    this.config = options.models ? { name: this.name, models: options.models } : { name: this.name };
+  }
+
+  /**
+   * Configure the FAL client with the API key
+   * This should be called before each API call to ensure proper authentication
+   */
+  configure() {
+    const falKey = process.env.FAL_KEY;
+    if (!falKey) {
+      logger.error("FAL_KEY environment variable not set");
+      throw new Error("FAL_KEY environment variable not set");
+    }
+
+    fal.config({
+      credentials: falKey
+    });
+  }
+
+  /**
+   * Run a request on a fal model and log it with the fal request ID,
+   * so a game request's log lines lead to the matching request in fal's dashboard
+   * @param {string} model - Model ID
+   * @param {Object} input - Model input
+   * @param {AbortSignal} [signal] - Cancels the request, e.g. when it times out
+   * @returns {Promise<Object>} Raw API response ({ data, requestId })
+   */
+  async subscribe(model, input, signal) {
+    this.configure();
+
+    const start = Date.now();
+    logger.debug("fal request started", { model });
+    const result = await fal.subscribe(model, {
+      input,
+      logs: true,
+      abortSignal: signal || undefined,
+      onQueueUpdate: (update) => logQueueUpdate(model, update)
+    });
+
+    logger.debug("fal request completed", { model, falRequestId: result.requestId, latencyMs: Date.now() - start });
+    return result;
+  }
+
+  /**
+   * Generate story text from a prompt
+   * @param {string} prompt - Narration prompt
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<Object>} Raw API response ({ data: { output }, requestId })
+   */
+  async generateText(prompt, options = {}) {
+    return this.subscribe(this.models.text, {
+      prompt: prompt
+    }, options.signal);
+  }
+
+  /**
+   * Generate the next choices from a prompt
+   * @param {string} prompt - Choices prompt
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<Object>} Raw API response ({ data: { output }, requestId })
+   */
+  async generateChoices(prompt, options = {}) {
+    return this.subscribe(this.models.choices, {
+      prompt: prompt
+    }, options.signal);
+  }
+
+  /**
+   * Generate a scene image from a prompt
+   * With a reference image the image-to-image model is used so the new scene keeps its look
+   * @param {string} prompt - Image prompt
+   * @param {Object} [options]
+   * @param {number} [options.seed] - Seed for reproducible images
+   * @param {string} [options.referenceImageUrl] - Previous image to keep continuity with
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<Object>} Image data ({ images: [{ url }] })
+   */
+  async generateImage(prompt, options = {}) {
+    const input = {
+      prompt: prompt
+    };
+    if (Number.isInteger(options.seed)) {
+      input.seed = options.seed;
+    }
+
+    let model = this.models.image;
+    if (options.referenceImageUrl) {
+      model = this.models.imageReference;
+      input.image_url = options.referenceImageUrl;
+      input.strength = 0.85;
+    }
+
+    const result = await this.subscribe(model, input, options.signal);
+    return result.data;
+  }
+
+  /**
+   * Generate narration audio from dia-tts formatted text
+   * @param {string} text - Text with [S1]/[S2] speaker tags
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<Object>} Speech data ({ audio: { url } })
+   */
+  async generateSpeech(text, options = {}) {
+    const result = await this.subscribe(this.models.speech, {
+      text: text
+    }, options.signal);
+    return result.data;
+  }
+}
+
+module.exports = { FalProvider, DEFAULT_MODELS };
@@ -0,0 +1,296 @@
+// Record/replay fixtures: capture every provider call of a session to a file and play it back offline
+// Fixtures are JSON Lines, one call per line ({ kind, input, output } or { kind, input, error }) in the order the game saw them
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../logger');
+
+// Fixture IDs are session IDs, stored as <id>.jsonl in the fixture directory
+const FIXTURE_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Writes still in progress, keyed by fixture file, so calls land in the file in order
+const pendingWrites = new Map();
+
+// Loaded fixtures keyed by file, and how far each session has played through its fixtures
+// (session ID to a Map of fixture file to the next call), until the session is removed
+const loadedFixtures = new Map();
+const cursors = new Map();
+
+/**
+ * Directory fixtures are recorded to, FIXTURE_DIR or data/fixtures by default
+ * @returns {string} Directory path
+ */
+function getFixtureDir() {
+  return process.env.FIXTURE_DIR || path.join(__dirname, '..', '..', 'data', 'fixtures');
+}
+
+/**
+ * Check whether new sessions record their provider calls (RECORD_FIXTURES=true)
+ * @returns {boolean} True if recording
+ */
+function isRecordingFixtures() {
+  return process.env.RECORD_FIXTURES === "true";
+}
+
+/**
+ * Path of a fixture file
+ * Only fixture IDs in the fixture directory and the file named by FIXTURE_FILE can be played
+ * @param {string} fixture - Fixture ID (a recorded session ID) or FIXTURE_FILE
+ * @returns {string|null} File path, or null if the fixture can't be played
+ */
+function resolveFixturePath(fixture) {
+  if (typeof fixture !== 'string') {
+    return null;
+  }
+  if (FIXTURE_ID_PATTERN.test(fixture)) {
+    return path.join(getFixtureDir(), `${fixture}.jsonl`);
+  }
+  return process.env.FIXTURE_FILE && fixture === process.env.FIXTURE_FILE ? path.resolve(fixture) : null;
+}
+
+/**
+ * Forget how far a session has played through its fixtures, once the session is removed
+ * @param {string} sessionId - Session ID
+ */
+function releaseFixtureCursors(sessionId) {
+  cursors.delete(sessionId);
+}
+
+/**
+ * Turn a provider error into plain fields that can be thrown again on replay
+ * @param {Error} error - Provider error
+ * @returns {Object} Error fields ({ name, message, code, status })
+ */
+function serializeError(error) {
+  const fields = { name: error.name, message: error.message };
+  if (error.code !== undefined) {
+    fields.code = error.code;
+  }
+  if (error.status !== undefined) {
+    fields.status = error.status;
+  }
+  return fields;
+}
+
+/**
+ * Rebuild a recorded provider error
+ * @param {Object} fields - Recorded error fields
+ * @returns {Error} Error with the recorded name, code and status
+ */
+function restoreError(fields) {
+  const error = new Error(fields.message);
+  error.name = fields.name || "Error";
+  if (fields.code !== undefined) {
+    error.code = fields.code;
+  }
+  if (fields.status !== undefined) {
+    error.status = fields.status;
+  }
+  return error;
+}
+
+/**
+ * Append a call to a fixture file after the writes already queued for it
+ * @param {string} file - Fixture file
+ * @param {Object} entry - Recorded call
+ * @returns {Promise<void>} Resolves once the call is written
+ */
+function appendCall(file, entry) {
+  const previous = pendingWrites.get(file) || Promise.resolve();
+  const write = previous
+    .then(() => fs.promises.appendFile(file, JSON.stringify(entry) + "\n"))
+    .catch(error => logger.error("Error writing fixture", { file, error }))
+    .finally(() => {
+      if (pendingWrites.get(file) === write) {
+        pendingWrites.delete(file);
+      }
+    });
+  pendingWrites.set(file, write);
+  return write;
+}
+
+/**
+ * Provider wrapper that records every call of a session to its fixture file
+ * Calls are recorded as the caller saw them: a call abandoned after its timeout is recorded as that timeout,
+ * so replaying the fixture retries it the same way
+ */
+class RecordingProvider {
+  /**
+   * @param {Object} provider - Provider to record
+   * @param {Object} options
+   * @param {string} options.sessionId - Session ID, which names the fixture
+   */
+  constructor(provider, options) {
+    this.provider = provider;
+    this.name = provider.name;
+    this.models = provider.models;
+    this.config = provider.config;
+    this.file = resolveFixturePath(options.sessionId);
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+  }
+
+  /**
+   * Make a call and record its outcome
+   * @param {string} kind - Call kind ("text", "choices", "image", "speech")
+   * @param {Object} input - Call input, as replay compares it
+   * @param {AbortSignal} [signal] - Signal the caller abandons the call with
+   * @param {Function} call - Makes the provider call
+   * @returns {Promise<*>} Provider result
+   */
+  async record(kind, input, signal, call) {
+    const start = Date.now();
+    let write = null;
+    const recordOutcome = (outcome) => {
+      write = write || appendCall(this.file, { kind, input, ...outcome, latencyMs: Date.now() - start });
+      return write;
+    };
+    const onAbort = () => recordOutcome({ error: serializeError(signal.reason || new Error("Aborted")) });
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    try {
+      const output = await call();
+      await recordOutcome({ output });
+      return output;
+    } catch (error) {
+      await recordOutcome({ error: serializeError(error) });
+      throw error;
+    } finally {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    }
+  }
+
+  async generateText(prompt, options = {}) {
+    return this.record("text", { prompt }, options.signal, () => this.provider.generateText(prompt, options));
+  }
+
+  async generateChoices(prompt, options = {}) {
+    return this.record("choices", { prompt }, options.signal, () => this.provider.generateChoices(prompt, options));
+  }
+
+  async generateImage(prompt, options = {}) {
+    const input = { prompt, seed: options.seed, referenceImageUrl: options.referenceImageUrl || null };
+    return this.record("image", input, options.signal, () => this.provider.generateImage(prompt, options));
+  }
+
+  async generateSpeech(text, options = {}) {
+    return this.record("speech", { text }, options.signal, () => this.provider.generateSpeech(text, options));
+  }
+}
+
+/**
+ * Read a fixture file, once per server
+ * @param {string} file - Fixture file
+ * @returns {Promise<Array>} Recorded calls
+ */
+async function loadFixture(file) {
+  if (!loadedFixtures.has(file)) {
+    const content = await fs.promises.readFile(file, 'utf8');
+    const calls = content.split("\n").filter(line => line.trim()).map(line => JSON.parse(line));
+    logger.info("Loaded fixture", { file, calls: calls.length });
+    loadedFixtures.set(file, calls);
+  }
+  return loadedFixtures.get(file);
+}
+
+/**
+ * Generation provider that plays back a recorded fixture instead of calling a model
+ * Every session starts at the fixture's first call and is served the recorded calls in order,
+ * so a playthrough making the same choices gets the same scenes
+ */
+class FixtureProvider {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.fixture] - Fixture ID or file; FIXTURE_FILE when omitted
+   * @param {string} [options.sessionId] - Session playing the fixture, which keeps its own place in it
+   * @param {boolean} [options.strict] - Also require the same prompts as the recording (FIXTURE_STRICT=true)
+   */
+  constructor(options = {}) {
+    this.name = "fixture";
+    this.fixture = options.fixture || process.env.FIXTURE_FILE || null;
+    this.sessionId = options.sessionId || null;
+    this.strict = options.strict !== undefined ? Boolean(options.strict) : process.env.FIXTURE_STRICT === "true";
+    this.config = { name: this.name, fixture: this.fixture, strict: this.strict };
+  }
+
+  /**
+   * Serve the session's next recorded call
+   * @param {string} kind - Call kind
+   * @param {Object} input - Call input
+   * @returns {Promise<*>} Recorded output
+   * @throws {Error} The recorded error, or one with code FIXTURE_MISMATCH or FIXTURE_EXHAUSTED if the game
+   * has gone off the recording
+   */
+  async play(kind, input) {
+    if (!this.fixture) {
+      const error = new Error("No fixture to play, set FIXTURE_FILE");
+      error.code = "FIXTURE_EXHAUSTED";
+      throw error;
+    }
+
+    const file = resolveFixturePath(this.fixture);
+    if (!file) {
+      const error = new Error(`Fixture ${this.fixture} is not a fixture ID or FIXTURE_FILE`);
+      error.code = "FIXTURE_EXHAUSTED";
+      throw error;
+    }
+
+    const calls = await loadFixture(file);
+    if (!cursors.has(this.sessionId)) {
+      cursors.set(this.sessionId, new Map());
+    }
+    const sessionCursors = cursors.get(this.sessionId);
+    const index = sessionCursors.get(file) || 0;
+    const call = calls[index];
+
+    if (!call) {
+      const error = new Error(`Fixture has no ${kind} call left after ${index} calls`);
+      error.code = "FIXTURE_EXHAUSTED";
+      logger.error("Fixture exhausted", { file, kind, index });
+      throw error;
+    }
+
+    // A different call means the game has taken another path than the recorded session;
+    // image seeds are left out since every new session picks its own
+    const inputChanged = this.strict && (call.input.prompt !== input.prompt || call.input.text !== input.text);
+    if (call.kind !== kind || inputChanged) {
+      const error = new Error(`Fixture call ${index} is ${call.kind}${inputChanged ? " with another input" : ""}, the game asked for ${kind}`);
+      error.code = "FIXTURE_MISMATCH";
+      logger.error("Fixture mismatch", { file, index, expected: call.kind, actual: kind, inputChanged });
+      throw error;
+    }
+
+    sessionCursors.set(file, index + 1);
+    if (call.error) {
+      throw restoreError(call.error);
+    }
+    return call.output;
+  }
+
+  async generateText(prompt) {
+    return this.play("text", { prompt });
+  }
+
+  async generateChoices(prompt) {
+    return this.play("choices", { prompt });
+  }
+
+  async generateImage(prompt, options = {}) {
+    return this.play("image", { prompt, seed: options.seed, referenceImageUrl: options.referenceImageUrl || null });
+  }
+
+  async generateSpeech(text) {
+    return this.play("speech", { text });
+  }
+}
+
+module.exports = {
+  RecordingProvider,
+  FixtureProvider,
+  getFixtureDir,
+  isRecordingFixtures,
+  resolveFixturePath,
+  releaseFixtureCursors
+};
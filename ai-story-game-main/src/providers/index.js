@@ -0,0 +1,72 @@
+// Generation provider registry
+const { FalProvider } = require('./falProvider');
+const { MockProvider } = require('./mockProvider');
+const { FixtureProvider, RecordingProvider, isRecordingFixtures } = require('./fixtureProvider');
+
+// Available providers keyed by the name used in config
+const PROVIDERS = {
+  fal: FalProvider,
+  mock: MockProvider,
+  fixture: FixtureProvider
+};
+
+/**
+ * Name of the provider to use when a session does not pick one
+ * Uses GAME_PROVIDER if set, otherwise fal when FAL_KEY exists and mock when it doesn't
+ * @returns {string} Provider name
+ */
+function getDefaultProviderName() {
+  if (process.env.GAME_PROVIDER) {
+    return process.env.GAME_PROVIDER;
+  }
+  return process.env.FAL_KEY ? "fal" : "mock";
+}
+
+/**
+ * Providers a client may pick for a new session instead of the default
+ * CLIENT_PROVIDERS (comma-separated) lists them; otherwise mock outside production and fal when FAL_KEY is set.
+ * Fixtures are only played when the server config asks for them, never because a client did
+ * @returns {string[]} Provider names
+ */
+function getClientProviderNames() {
+  if (process.env.CLIENT_PROVIDERS !== undefined) {
+    return process.env.CLIENT_PROVIDERS.split(',')
+      .map(name => name.trim())
+      .filter(name => Object.prototype.hasOwnProperty.call(PROVIDERS, name));
+  }
+
+  const names = process.env.NODE_ENV === "production" ? [] : ["mock"];
+  if (process.env.FAL_KEY) {
+    names.push("fal");
+  }
+  return names;
+}
+
+/**
+ * Create a generation provider
+ * A provider implements generateText, generateChoices, generateImage and generateSpeech,
+ * and exposes as config the { name, ...options } that create it again when a session is restored
+ * With RECORD_FIXTURES=true a session's calls are also recorded to a fixture named after the session
+ *
+ * @param {string|Object} [config] - Provider name, or { name, ...options }
+ * @param {Object} [context]
+ * @param {string} [context.sessionId] - Session the provider generates for
+ * @returns {Object} Provider instance
+ */
+function createProvider(config, context = {}) {
+  const options = typeof config === 'string' ? { name: config } : { ...(config || {}) };
+  const name = options.name || getDefaultProviderName();
+
+  const Provider = Object.prototype.hasOwnProperty.call(PROVIDERS, name) ? PROVIDERS[name] : null;
+  if (!Provider) {
+    throw new Error(`Unknown generation provider: ${name}`);
+  }
+
+  const provider = new Provider({ ...options, sessionId: context.sessionId });
+  if (isRecordingFixtures() && context.sessionId && name !== "fixture") {
+    return new RecordingProvider(provider, { sessionId: context.sessionId });
+  }
+  return provider;
+}
+
+module.exports = { createProvider, getDefaultProviderName, getClientProviderNames, PROVIDERS };
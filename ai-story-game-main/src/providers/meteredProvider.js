@@ -0,0 +1,97 @@
+// Metering wrapper that records every provider call in the usage ledger, the metrics and the log
+const { logger, getContext } = require('../logger');
+const { metrics } = require('../metrics');
+
+/**
+ * Provider wrapper with the same interface as the provider it wraps
+ * Each call is timed and recorded with its model and outcome
+ */
+class MeteredProvider {
+  /**
+   * @param {Object} provider - Provider to wrap
+   * @param {Object} options
+   * @param {Object} options.ledger - Usage ledger
+   * @param {Function} [options.context] - Returns { sessionId, userId } for each call
+   * @param {Function} [options.onRecord] - Called with every ledger entry
+   */
+  constructor(provider, options) {
+    this.provider = provider;
+    this.name = provider.name;
+    this.models = provider.models;
+    this.config = provider.config;
+    this.ledger = options.ledger;
+    this.context = options.context || (() => ({}));
+    this.onRecord = options.onRecord || null;
+  }
+
+  /**
+   * Call the wrapped provider and record the call
+   * @param {string} kind - Call kind ("text", "choices", "image", "speech")
+   * @param {string} model - Model used for the call
+   * @param {Function} call - Makes the provider call
+   * @returns {Promise<*>} Provider result
+   */
+  async meter(kind, model, call) {
+    const start = Date.now();
+    let ok = false;
+    let errorMessage = null;
+
+    try {
+      const result = await call();
+      ok = true;
+      return result;
+    } catch (error) {
+      errorMessage = error.message;
+      throw error;
+    } finally {
+      const entry = this.ledger.record({
+        ...this.context(),
+        requestId: getContext().requestId,
+        provider: this.name,
+        kind,
+        model,
+        latencyMs: Date.now() - start,
+        ok,
+        error: errorMessage
+      });
+      if (this.onRecord) {
+        this.onRecord(entry);
+      }
+
+      const labels = { provider: this.name, kind, model };
+      metrics.providerLatency.observe(labels, entry.latencyMs / 1000);
+      if (!ok) {
+        metrics.providerErrors.inc(labels);
+      }
+      logger[ok ? "debug" : "warn"]("Provider call", { ...labels, latencyMs: entry.latencyMs, ok, error: errorMessage || undefined });
+    }
+  }
+
+  /**
+   * Model ID the wrapped provider uses for a call kind
+   * @param {string} kind - Call kind
+   * @returns {string} Model ID, or the provider name for providers without models
+   */
+  modelFor(kind) {
+    return this.models && this.models[kind] ? this.models[kind] : this.name;
+  }
+
+  async generateText(prompt, options = {}) {
+    return this.meter("text", this.modelFor("text"), () => this.provider.generateText(prompt, options));
+  }
+
+  async generateChoices(prompt, options = {}) {
+    return this.meter("choices", this.modelFor("choices"), () => this.provider.generateChoices(prompt, options));
+  }
+
+  async generateImage(prompt, options = {}) {
+    const model = options.referenceImageUrl ? this.modelFor("imageReference") : this.modelFor("image");
+    return this.meter("image", model, () => this.provider.generateImage(prompt, options));
+  }
+
+  async generateSpeech(text, options = {}) {
+    return this.meter("speech", this.modelFor("speech"), () => this.provider.generateSpeech(text, options));
+  }
+}
+
+module.exports = { MeteredProvider };
@@ -0,0 +1,248 @@
+// Offline mock generation provider
+// Returns canned, deterministic content so the game runs without FAL_KEY or network access
+
+const MOCK_PASSAGES = [
+  "The path narrows between ancient oaks whose roots curl over the ground like sleeping serpents. Somewhere ahead, water trickles over stone.\n\nA lantern hangs from a low branch, still warm, as if someone left it only moments ago.",
+  "A cold wind carries the scent of rain and woodsmoke. Through the trees you glimpse the outline of a crumbling watchtower, its single window glowing faintly.\n\nThe forest falls silent, waiting to see what you will do.",
+  "You step into a clearing ringed with pale mushrooms. In the center stands a weathered stone marked with symbols you almost recognize.\n\nAn owl watches from above, its eyes reflecting a light that has no visible source.",
+  "The ground slopes down toward a narrow river spanned by a rope bridge. On the far bank, a figure in a grey cloak raises a hand in greeting, then disappears into the mist.\n\nThe bridge creaks softly in the wind."
+];
+
+const MOCK_CHOICES = [
+  [
+    { label: "Follow the sound of the water", intent: "Find the source of the stream", risk: "low" },
+    { label: "Take the lantern and press on", intent: "Light the way through the dark", risk: "medium" },
+    { label: "Call out to whoever left it", intent: "Find out who else is here", risk: "high" }
+  ],
+  [
+    { label: "Head toward the watchtower", intent: "Reach the glowing window", risk: "medium" },
+    { label: "Search for shelter from the rain", intent: "Stay dry and rest", risk: "low" },
+    { label: "Climb a tree to get a better view", intent: "Get your bearings", risk: "medium" }
+  ],
+  [
+    { label: "Examine the symbols on the stone", intent: "Decipher their meaning", risk: "low" },
+    { label: "Step out of the mushroom ring", intent: "Leave the clearing before something happens", risk: "low" },
+    { label: "Try to follow the owl", intent: "See where the strange light comes from", risk: "high" }
+  ],
+  [
+    { label: "Cross the rope bridge", intent: "Reach the far bank", risk: "high" },
+    { label: "Follow the river downstream", intent: "Find a safer crossing", risk: "low" },
+    { label: "Wait for the cloaked figure to return", intent: "Meet the stranger", risk: "medium" }
+  ]
+];
+
+const MOCK_GOALS = [
+  "Find the keeper of the watchtower and learn why its light still burns.",
+  "Cross the river and reach the ruined abbey before the next storm.",
+  "Recover the lantern-bearer's lost map and follow it to its end."
+];
+
+const MOCK_EPILOGUE = "The forest grows quiet behind you as the last of the light fades from the trees.\n\n" +
+  "Whatever waits beyond the next ridge, this part of your journey is over, and the road ahead is yours to choose.";
+
+const MOCK_STATE_CHANGES = [
+  [],
+  [{ type: "item", name: "lantern", delta: 1 }],
+  [{ type: "stat", name: "health", delta: -5 }],
+  [{ type: "effect", name: "soaked", active: true }]
+];
+
+/**
+ * Canned structured answers for the helper prompts the game sends through generateText,
+ * recognised by the opening line of each prompt; anything else is narration
+ */
+const MOCK_RESPONDERS = [
+  { marker: "You are designing an interactive story game.", respond: prompt => pick(MOCK_GOALS, prompt) },
+  { marker: "You judge whether a scene", respond: () => JSON.stringify({ ending: "none", reason: "The story goes on." }) },
+  { marker: "You maintain the long-term memory", respond: mockMemoryUpdate },
+  { marker: "You track the player's inventory", respond: prompt => JSON.stringify({ changes: pick(MOCK_STATE_CHANGES, prompt) }) },
+  { marker: "You keep the illustration notes", respond: () => JSON.stringify({ characters: [] }) },
+  { marker: "You attribute dialogue", respond: mockAttribution },
+  { marker: "You track the plot", respond: () => JSON.stringify({ happened: false }) },
+  { marker: "You are narrating the epilogue", respond: () => MOCK_EPILOGUE }
+];
+
+/**
+ * Small stable string hash used to pick canned content for a prompt
+ * @param {string} value - Input string
+ * @returns {number} Non-negative 32-bit hash
+ */
+function hashString(value) {
+  let hash = 0;
+  const str = String(value || "");
+  for (let i = 0; i < str.length; i++) {
+    hash = (hash * 31 + str.charCodeAt(i)) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Pick canned content for a prompt
+ * @param {Array} options - Canned content
+ * @param {string} prompt - Prompt
+ * @returns {*} The option the prompt hashes to
+ */
+function pick(options, prompt) {
+  return options[hashString(prompt) % options.length];
+}
+
+/**
+ * Answer a memory update prompt by appending the latest scene's first sentence to the summary
+ * @param {string} prompt - Memory update prompt
+ * @returns {string} JSON memory ({ summary, facts })
+ */
+function mockMemoryUpdate(prompt) {
+  const summaryMatch = prompt.match(/^Current summary: (.*)$/m);
+  const factsMatch = prompt.match(/^Known facts: (.*)$/m);
+  const sceneMatch = prompt.match(/^Latest scene: "([\s\S]*?)"$/m);
+
+  const previous = summaryMatch && summaryMatch[1] !== "(the story has just begun)" ? summaryMatch[1] : "";
+  const sentence = sceneMatch ? sceneMatch[1].split(/(?<=[.!?])\s/)[0].trim() : "";
+  let facts = [];
+  try {
+    facts = factsMatch ? JSON.parse(factsMatch[1]) : [];
+  } catch (error) {
+    facts = [];
+  }
+
+  return JSON.stringify({ summary: [previous, sentence].filter(Boolean).join(" "), facts });
+}
+
+/**
+ * Answer a dialogue attribution prompt with an unknown speaker for every quoted line
+ * @param {string} prompt - Attribution prompt
+ * @returns {string} JSON speakers ({ speakers })
+ */
+function mockAttribution(prompt) {
+  const section = prompt.split("Quoted lines, in order:")[1] || "";
+  const count = (section.split("For each quoted line")[0].match(/^\d+\. "/gm) || []).length;
+  return JSON.stringify({ speakers: new Array(count).fill("unknown") });
+}
+
+/**
+ * Build a placeholder SVG image as a data URI
+ * @param {string} label - Text drawn on the placeholder
+ * @returns {string} Data URI
+ */
+function placeholderImage(label) {
+  const hue = hashString(label) % 360;
+  const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="1024" height="768">' +
+    '<rect width="100%" height="100%" fill="hsl(' + hue + ',30%,20%)"/>' +
+    '<text x="50%" y="50%" fill="#d4af37" font-family="Georgia, serif" font-size="40" text-anchor="middle">Mock scene</text>' +
+    '</svg>';
+  return "data:image/svg+xml;base64," + Buffer.from(svg).toString('base64');
+}
+
+/**
+ * Build a short silent WAV file as a data URI
+ * @param {number} [seconds=1] - Duration of the silence
+ * @returns {string} Data URI
+ */
+function silentAudio(seconds = 1) {
+  const sampleRate = 8000;
+  const dataSize = Math.round(sampleRate * seconds);
+  const buffer = Buffer.alloc(44 + dataSize, 0x80); // 8-bit PCM silence is 0x80
+
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + dataSize, 4);
+  buffer.write('WAVE', 8);
+  buffer.write('fmt ', 12);
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20); // PCM
+  buffer.writeUInt16LE(1, 22); // mono
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate, 28);
+  buffer.writeUInt16LE(1, 32);
+  buffer.writeUInt16LE(8, 34);
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(dataSize, 40);
+
+  return "data:audio/wav;base64," + buffer.toString('base64');
+}
+
+/**
+ * Deterministic local provider with the same interface as FalProvider
+ * Identical prompts always produce identical responses
+ */
+class MockProvider {
+  constructor() {
+    this.name = "mock";
+    this.config = { name: this.name };
+    this.requestCount = 0;
+  }
+
+  /**
+   * Build a fake request ID like the ones fal returns
+   * @returns {string} Request ID
+   */
+  nextRequestId() {
+    this.requestCount++;
+    return "mock-" + this.requestCount;
+  }
+
+  /**
+   * Return a canned story passage for a narration prompt, or a well-formed answer for a helper prompt
+   * (goal, memory, player sheet, characters, dialogue, condition, ending and epilogue)
+   * @param {string} prompt - Prompt
+   * @returns {Promise<Object>} Response shaped like fal any-llm
+   */
+  async generateText(prompt) {
+    const text = String(prompt || "").trim();
+    const responder = MOCK_RESPONDERS.find(candidate => text.startsWith(candidate.marker));
+    return {
+      data: {
+        output: responder ? responder.respond(text) : pick(MOCK_PASSAGES, prompt)
+      },
+      requestId: this.nextRequestId()
+    };
+  }
+
+  /**
+   * Return three canned choices for a prompt as schema-valid JSON
+   * @param {string} prompt - Choices prompt
+   * @returns {Promise<Object>} Response shaped like fal any-llm
+   */
+  async generateChoices(prompt) {
+    const choices = pick(MOCK_CHOICES, prompt);
+    return {
+      data: {
+        output: JSON.stringify(choices, null, 2)
+      },
+      requestId: this.nextRequestId()
+    };
+  }
+
+  /**
+   * Return a placeholder image for a prompt
+   * @param {string} prompt - Image prompt
+   * @param {Object} [options] - Image options ({ seed }); the reference image is ignored
+   * @returns {Promise<Object>} Image data shaped like fal flux
+   */
+  async generateImage(prompt, options = {}) {
+    return {
+      images: [
+        {
+          url: placeholderImage(`${options.seed || 0}:${prompt}`),
+          width: 1024,
+          height: 768,
+          content_type: "image/svg+xml"
+        }
+      ]
+    };
+  }
+
+  /**
+   * Return a short silent audio clip
+   * @returns {Promise<Object>} Speech data shaped like fal dia-tts
+   */
+  async generateSpeech() {
+    return {
+      audio: {
+        url: silentAudio(),
+        content_type: "audio/wav"
+      }
+    };
+  }
+}
+
+module.exports = { MockProvider };
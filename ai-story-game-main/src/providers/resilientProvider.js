@@ -0,0 +1,392 @@
+// Resilience wrapper: per-model timeouts, retries with jittered backoff and a circuit breaker for every provider call
+const { logger } = require('../logger');
+const { metrics } = require('../metrics');
+
+// Time one attempt of each call kind may take, in milliseconds
+const DEFAULT_TIMEOUTS = {
+  text: 30000,
+  choices: 30000,
+  image: 90000,
+  speech: 120000
+};
+
+// Retries after the first attempt, and the backoff they wait for
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 8000;
+
+// Consecutive failed attempts that open a model's circuit, and how long it stays open
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_COOLDOWN_MS = 30000;
+
+// HTTP statuses that mean the provider may answer if asked again
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+// Network error codes worth retrying
+const RETRYABLE_CODES = ["ETIMEDOUT", "ECONNRESET", "ECONNREFUSED", "EPIPE", "EAI_AGAIN", "UND_ERR_SOCKET", "UND_ERR_CONNECT_TIMEOUT"];
+
+// Circuit states, with the value the circuit state gauge reports for each
+const CIRCUIT_STATES = {
+  closed: 0,
+  "half-open": 1,
+  open: 2
+};
+
+/**
+ * Per-model timeout overrides from PROVIDER_TIMEOUTS
+ * A JSON object keyed by model ID or call kind, e.g. {"fal-ai/flux-pro": 60000, "speech": 90000}
+ * @returns {Object} Timeouts in milliseconds
+ */
+function getTimeoutOverrides() {
+  if (!process.env.PROVIDER_TIMEOUTS) {
+    return {};
+  }
+
+  try {
+    const overrides = JSON.parse(process.env.PROVIDER_TIMEOUTS);
+    return overrides && typeof overrides === 'object' ? overrides : {};
+  } catch (error) {
+    logger.warn("Ignoring PROVIDER_TIMEOUTS, it is not valid JSON");
+    return {};
+  }
+}
+
+/**
+ * Time one attempt of a call may take
+ * A model's own timeout wins over its call kind's
+ * @param {string} kind - Call kind
+ * @param {string} model - Model ID
+ * @param {Object} [overrides] - Timeouts keyed by model ID or call kind
+ * @returns {number} Timeout in milliseconds
+ */
+function getTimeout(kind, model, overrides = getTimeoutOverrides()) {
+  for (const key of [model, kind]) {
+    const timeout = Number(overrides[key]);
+    if (timeout > 0) {
+      return timeout;
+    }
+  }
+  return DEFAULT_TIMEOUTS[kind] || DEFAULT_TIMEOUTS.text;
+}
+
+/**
+ * Check whether a failed call may succeed if tried again
+ * Timeouts, rate limits, server errors and dropped connections are retried; bad input and bad credentials aren't
+ * @param {Error} error - Error from the provider
+ * @returns {boolean} True if retryable
+ */
+function isRetryableError(error) {
+  if (!error) {
+    return false;
+  }
+  if (error.code === "PROVIDER_TIMEOUT") {
+    return true;
+  }
+  if (error.code === "PROVIDER_UNAVAILABLE") {
+    return false;
+  }
+  if (RETRYABLE_STATUSES.includes(error.status)) {
+    return true;
+  }
+
+  const cause = error.cause || {};
+  return RETRYABLE_CODES.includes(error.code) || RETRYABLE_CODES.includes(cause.code) || error.name === "FetchError"
+    || (error instanceof TypeError && error.message === "fetch failed");
+}
+
+/**
+ * Delay before a retry, with full jitter so clients that failed together don't retry together
+ * @param {number} attempt - Attempt that just failed, from 1
+ * @param {number} baseMs - Backoff of the first retry
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(attempt, baseMs) {
+  return Math.round(Math.random() * Math.min(MAX_BACKOFF_MS, baseMs * 2 ** (attempt - 1)));
+}
+
+/**
+ * Wait for a while
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Circuit breaker for one provider model
+ * After enough consecutive failures calls fail fast until the cooldown passes, then a single probe call
+ * decides whether the circuit closes again
+ */
+class CircuitBreaker {
+  /**
+   * @param {Object} options
+   * @param {string} options.provider - Provider name
+   * @param {string} options.model - Model ID
+   * @param {number} [options.failureThreshold] - Consecutive failures that open the circuit
+   * @param {number} [options.cooldownMs] - Time the circuit stays open before a probe
+   */
+  constructor(options) {
+    this.provider = options.provider;
+    this.model = options.model;
+    this.failureThreshold = options.failureThreshold || Number(process.env.CIRCUIT_FAILURE_THRESHOLD) || DEFAULT_FAILURE_THRESHOLD;
+    this.cooldownMs = options.cooldownMs || Number(process.env.CIRCUIT_COOLDOWN_MS) || DEFAULT_COOLDOWN_MS;
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+  }
+
+  /**
+   * Move to a new state and report it
+   * @param {string} state - "closed", "half-open" or "open"
+   */
+  setState(state) {
+    if (state === this.state) {
+      return;
+    }
+
+    logger[state === "open" ? "warn" : "info"](`Provider circuit ${state}`, { provider: this.provider, model: this.model, failures: this.failures });
+    this.state = state;
+    metrics.circuitState.set({ provider: this.provider, model: this.model }, CIRCUIT_STATES[state]);
+  }
+
+  /**
+   * Check whether a call may go ahead
+   * An open circuit lets one probe through once its cooldown has passed
+   * @returns {boolean} True if the call may be made
+   */
+  allowRequest() {
+    if (this.state === "open" && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.setState("half-open");
+    }
+    if (this.state === "closed") {
+      return true;
+    }
+    if (this.state === "half-open" && !this.probing) {
+      this.probing = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Record a call the provider answered, closing the circuit
+   */
+  recordSuccess() {
+    this.failures = 0;
+    this.probing = false;
+    this.setState("closed");
+  }
+
+  /**
+   * Record a call the provider rejected for a reason of its own, such as a bad request or a content refusal
+   * It says nothing about the provider's health, so the failure count is left alone; a probe is released
+   * so the next call can probe instead
+   */
+  recordNeutral() {
+    this.probing = false;
+  }
+
+  /**
+   * Record a call that failed because the provider is down or overloaded
+   * A failed probe reopens the circuit straight away
+   */
+  recordFailure() {
+    this.failures++;
+    this.probing = false;
+    if (this.state === "half-open" || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      this.setState("open");
+    }
+  }
+
+  /**
+   * Time until an open circuit lets a probe through
+   * @returns {number} Milliseconds, 0 if the circuit isn't open
+   */
+  get retryAfterMs() {
+    return this.state === "open" ? Math.max(0, this.cooldownMs - (Date.now() - this.openedAt)) : 0;
+  }
+
+  /**
+   * @returns {Object} Circuit state for the admin dashboard
+   */
+  toJSON() {
+    return {
+      provider: this.provider,
+      model: this.model,
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt,
+      retryAfterMs: this.retryAfterMs
+    };
+  }
+}
+
+// Circuits shared by every session, keyed by provider and model, so one outage fails fast for everyone
+const circuits = new Map();
+
+/**
+ * Get the circuit breaker of a provider model
+ * @param {string} provider - Provider name
+ * @param {string} model - Model ID
+ * @returns {CircuitBreaker} Circuit breaker
+ */
+function getCircuitBreaker(provider, model) {
+  const key = `${provider}:${model}`;
+  if (!circuits.has(key)) {
+    circuits.set(key, new CircuitBreaker({ provider, model }));
+  }
+  return circuits.get(key);
+}
+
+/**
+ * States of every circuit that has seen a call
+ * @returns {Array} Circuit states
+ */
+function listCircuits() {
+  return Array.from(circuits.values()).map(circuit => circuit.toJSON());
+}
+
+/**
+ * Provider wrapper with the same interface as the provider it wraps
+ * Every attempt gets a timeout and an abort signal; retryable failures are retried with backoff,
+ * and calls to a model whose circuit is open fail with code PROVIDER_UNAVAILABLE without being made
+ */
+class ResilientProvider {
+  /**
+   * @param {Object} provider - Provider to wrap
+   * @param {Object} [options]
+   * @param {number} [options.maxRetries] - Retries after the first attempt
+   * @param {number} [options.backoffMs] - Backoff of the first retry
+   * @param {Object} [options.timeouts] - Timeouts keyed by model ID or call kind, instead of PROVIDER_TIMEOUTS
+   */
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.name = provider.name;
+    this.models = provider.models;
+    this.config = provider.config;
+    this.maxRetries = options.maxRetries !== undefined
+      ? options.maxRetries
+      : (process.env.PROVIDER_MAX_RETRIES !== undefined ? Number(process.env.PROVIDER_MAX_RETRIES) : DEFAULT_MAX_RETRIES);
+    this.backoffMs = options.backoffMs || Number(process.env.PROVIDER_BACKOFF_MS) || DEFAULT_BACKOFF_MS;
+    this.timeouts = options.timeouts || null;
+  }
+
+  /**
+   * Make one attempt, abandoning it once its timeout passes
+   * The provider gets an abort signal so it can cancel the request it made
+   * @param {string} kind - Call kind
+   * @param {string} model - Model used for the call
+   * @param {Function} call - Makes the provider call, given an AbortSignal
+   * @returns {Promise<*>} Provider result
+   * @throws {Error} With code PROVIDER_TIMEOUT if the attempt took too long
+   */
+  async attempt(kind, model, call) {
+    const timeoutMs = getTimeout(kind, model, this.timeouts || undefined);
+    const controller = new AbortController();
+    let timer = null;
+
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`The ${kind} call to ${model} timed out after ${timeoutMs}ms`);
+        error.code = "PROVIDER_TIMEOUT";
+        controller.abort(error);
+        reject(error);
+      }, timeoutMs);
+    });
+
+    try {
+      return await Promise.race([call(controller.signal), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Call the wrapped provider with retries behind the model's circuit breaker
+   * @param {string} kind - Call kind ("text", "choices", "image", "speech")
+   * @param {string} model - Model used for the call
+   * @param {Function} call - Makes the provider call, given an AbortSignal
+   * @param {number} [maxRetries] - Retries after the first attempt, this.maxRetries by default
+   * @returns {Promise<*>} Provider result
+   */
+  async call(kind, model, call, maxRetries = this.maxRetries) {
+    const circuit = getCircuitBreaker(this.name, model);
+
+    for (let attempt = 1; ; attempt++) {
+      if (!circuit.allowRequest()) {
+        const error = new Error(`${model} is unavailable, try again in ${Math.ceil(circuit.retryAfterMs / 1000)}s`);
+        error.code = "PROVIDER_UNAVAILABLE";
+        error.retryAfterMs = circuit.retryAfterMs;
+        throw error;
+      }
+
+      try {
+        const result = await this.attempt(kind, model, call);
+        circuit.recordSuccess();
+        return result;
+      } catch (error) {
+        const retryable = isRetryableError(error);
+        if (retryable) {
+          circuit.recordFailure();
+        } else {
+          circuit.recordNeutral();
+        }
+
+        if (!retryable || attempt > maxRetries) {
+          throw error;
+        }
+
+        const delayMs = getBackoffDelay(attempt, this.backoffMs);
+        logger.warn("Retrying provider call", { provider: this.name, kind, model, attempt, delayMs, error: error.message });
+        metrics.providerRetries.inc({ provider: this.name, kind, model });
+        await sleep(delayMs);
+      }
+    }
+  }
+
+  /**
+   * Model ID the wrapped provider uses for a call kind
+   * @param {string} kind - Call kind
+   * @returns {string} Model ID, or the provider name for providers without models
+   */
+  modelFor(kind) {
+    return this.models && this.models[kind] ? this.models[kind] : this.name;
+  }
+
+  async generateText(prompt) {
+    return this.call("text", this.modelFor("text"), signal => this.provider.generateText(prompt, { signal }));
+  }
+
+  /**
+   * Generate choices
+   * @param {string} prompt - Choice prompt
+   * @param {Object} [options]
+   * @param {number} [options.retries] - Retries for this call, for callers that retry on their own
+   * @returns {Promise<Object>} Provider result
+   */
+  async generateChoices(prompt, options = {}) {
+    return this.call("choices", this.modelFor("choices"), signal => this.provider.generateChoices(prompt, { signal }), options.retries);
+  }
+
+  async generateImage(prompt, options = {}) {
+    const model = options.referenceImageUrl ? this.modelFor("imageReference") : this.modelFor("image");
+    return this.call("image", model, signal => this.provider.generateImage(prompt, { ...options, signal }));
+  }
+
+  async generateSpeech(text) {
+    return this.call("speech", this.modelFor("speech"), signal => this.provider.generateSpeech(text, { signal }));
+  }
+}
+
+module.exports = {
+  ResilientProvider,
+  CircuitBreaker,
+  getCircuitBreaker,
+  listCircuits,
+  isRetryableError,
+  getTimeout,
+  DEFAULT_TIMEOUTS
+};
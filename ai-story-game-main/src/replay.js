@@ -0,0 +1,67 @@
+// Published replays: read-only snapshots of a session's active branch, shared by an unguessable token
+const crypto = require('crypto');
+const { normalizeChoices } = require('./choices');
+
+/**
+ * Create a public replay token
+ * 128 random bits, so tokens can't be guessed or enumerated like session IDs
+ * @returns {string} URL-safe token
+ */
+function createReplayToken() {
+  return crypto.randomBytes(16).toString('base64url');
+}
+
+/**
+ * Choices as replay viewers see them
+ * The scenario node a choice leads to stays private, so a replay doesn't reveal the authored story graph
+ * @param {Array} choices - Stored choices
+ * @returns {Array} Choice objects ({ label, intent, risk }) without their next node
+ */
+function getPublicChoices(choices) {
+  return normalizeChoices(choices).map(({ next, ...choice }) => choice);
+}
+
+/**
+ * Freeze the active branch of a game into a replay
+ * Only what the viewer shows is copied; no generation is needed to play it back
+ * @param {GameState} game - The game instance
+ * @returns {Object} Replay ({ token, publishedAt, setup, goal, scenes: [{ text, imageUrl, audioUrl, choice, actionType, choices, stateChanges, ending }] })
+ */
+function buildReplay(game) {
+  const scenes = game.getPath(game.currentNodeId).map(node => {
+    const scene = node.scene;
+    return {
+      text: scene.text && scene.text.data && scene.text.data.output ? scene.text.data.output : "",
+      imageUrl: scene.image && scene.image.images && scene.image.images.length > 0 ? scene.image.images[0].url : null,
+      audioUrl: scene.audioUrl || null,
+      choice: node.choice,
+      actionType: scene.actionType || null,
+      choices: scene.ending ? [] : getPublicChoices(scene.choices),
+      stateChanges: scene.stateChanges || [],
+      ending: scene.ending || null
+    };
+  });
+
+  return {
+    token: createReplayToken(),
+    publishedAt: Date.now(),
+    setup: game.setup,
+    goal: game.goal,
+    scenes
+  };
+}
+
+/**
+ * A stored replay as it is served to viewers
+ * Replays published before choices were stripped of their scenario links are cleaned on the way out
+ * @param {Object} replay - Stored replay
+ * @returns {Object} Public replay
+ */
+function toPublicReplay(replay) {
+  return {
+    ...replay,
+    scenes: (replay.scenes || []).map(scene => ({ ...scene, choices: getPublicChoices(scene.choices || []) }))
+  };
+}
+
+module.exports = { createReplayToken, buildReplay, toPublicReplay };
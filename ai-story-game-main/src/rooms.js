@@ -0,0 +1,469 @@
+// Multiplayer rooms: a host session streamed to viewers over WebSockets, who vote on each choice
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+const { logger } = require('./logger');
+
+// Voting window after each scene unless the room sets its own
+const DEFAULT_VOTE_SECONDS = 30;
+const MIN_VOTE_SECONDS = 5;
+const MAX_VOTE_SECONDS = 300;
+
+// Largest message a client may send; votes and joins are a few dozen bytes
+const MAX_MESSAGE_BYTES = 4 * 1024;
+
+// Errors after which the story can't go on by voting, so the room stops instead of voting again
+const FINAL_ERROR_CODES = ["GAME_FINISHED", "BUDGET_EXHAUSTED"];
+
+// Risk order used by the lowest-risk tie-break; choices without a risk count as medium
+const RISK_ORDER = { low: 0, medium: 1, high: 2 };
+
+/**
+ * Rules for breaking a tie between the choices with the most votes
+ * Each receives the tied choice indexes and the round, and returns the winning index
+ */
+const TIE_BREAKERS = {
+  first: (tied) => tied[0],
+  random: (tied) => tied[crypto.randomInt(tied.length)],
+  host: (tied, round) => (tied.includes(round.hostVote) ? round.hostVote : tied[crypto.randomInt(tied.length)]),
+  "lowest-risk": (tied, round) => tied.reduce((best, index) =>
+    riskRank(round.choices[index]) < riskRank(round.choices[best]) ? index : best
+  )
+};
+
+/**
+ * Rank a choice by risk for the lowest-risk tie-break
+ * @param {Object} choice - Choice object
+ * @returns {number} 0 for low, 2 for high
+ */
+function riskRank(choice) {
+  return choice && RISK_ORDER[choice.risk] !== undefined ? RISK_ORDER[choice.risk] : RISK_ORDER.medium;
+}
+
+/**
+ * Validate the settings for a new room
+ * @param {Object} [input] - Settings from the client ({ voteSeconds, tieBreak })
+ * @returns {{ settings: Object|null, error: string|null }} Settings with defaults filled in, or the validation error
+ */
+function normalizeRoomSettings(input = {}) {
+  const voteSeconds = input.voteSeconds !== undefined
+    ? Number(input.voteSeconds)
+    : Number(process.env.ROOM_VOTE_SECONDS) || DEFAULT_VOTE_SECONDS;
+  if (!Number.isInteger(voteSeconds) || voteSeconds < MIN_VOTE_SECONDS || voteSeconds > MAX_VOTE_SECONDS) {
+    return { settings: null, error: `Vote time must be a whole number of seconds between ${MIN_VOTE_SECONDS} and ${MAX_VOTE_SECONDS}` };
+  }
+
+  const tieBreak = input.tieBreak || process.env.ROOM_TIE_BREAK || "random";
+  if (!TIE_BREAKERS[tieBreak]) {
+    return { settings: null, error: `Tie-break rule must be one of: ${Object.keys(TIE_BREAKERS).join(", ")}` };
+  }
+
+  return { settings: { voteSeconds, tieBreak }, error: null };
+}
+
+/**
+ * Pick the winning choice of a voting round
+ * @param {Object} round - Round ({ choices, votes: Map, hostVote })
+ * @param {string} tieBreak - Name of a TIE_BREAKERS rule
+ * @returns {{ winner: number|null, tally: Array }} Winning choice index (null without votes) and votes per choice
+ */
+function countVotes(round, tieBreak) {
+  const tally = round.choices.map(() => 0);
+  for (const choiceIndex of round.votes.values()) {
+    tally[choiceIndex]++;
+  }
+
+  const most = Math.max(...tally);
+  if (most === 0) {
+    return { winner: null, tally };
+  }
+
+  const tied = tally.map((count, index) => (count === most ? index : null)).filter(index => index !== null);
+  return { winner: tied.length === 1 ? tied[0] : TIE_BREAKERS[tieBreak](tied, round), tally };
+}
+
+/**
+ * Strip a scene response down to what viewers may see
+ * The session ID stays with the host, since it controls the game
+ * @param {Object} scene - Scene response from buildSceneResponse
+ * @returns {Object} Public scene
+ */
+function publicScene(scene) {
+  return {
+    nodeId: scene.nodeId,
+    setup: scene.setup,
+    status: scene.status,
+    degraded: scene.degraded,
+    text: scene.text,
+    imageUrl: scene.imageUrl,
+    audioUrl: scene.audioUrl,
+    choices: scene.choices,
+    player: scene.player,
+    stateChanges: scene.stateChanges,
+    finished: scene.finished,
+    ending: scene.ending
+  };
+}
+
+/**
+ * Keeps the rooms, their WebSocket clients and voting rounds
+ * Rooms live in memory; a restart ends them but not the underlying sessions
+ */
+class RoomManager {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getScene - async (sessionId) => scene response, or null if the session is gone
+   * @param {Function} options.playChoice - async (sessionId, choiceIndex) => scene response after the choice
+   */
+  constructor(options) {
+    this.getScene = options.getScene;
+    this.playChoice = options.playChoice;
+    this.rooms = new Map();
+    this.wss = null;
+  }
+
+  /**
+   * Number of open rooms
+   * @returns {number} Open rooms
+   */
+  get size() {
+    return this.rooms.size;
+  }
+
+  /**
+   * Accept WebSocket connections on /ws of an HTTP server
+   * @param {Object} server - HTTP server returned by app.listen
+   */
+  attach(server) {
+    this.wss = new WebSocketServer({ server, path: '/ws', maxPayload: MAX_MESSAGE_BYTES });
+    this.wss.on('connection', (socket) => {
+      socket.on('message', (data) => this.handleMessage(socket, data));
+      socket.on('close', () => this.leave(socket));
+    });
+  }
+
+  /**
+   * Create a room for a session
+   * @param {string} sessionId - Host session ID
+   * @param {Object} settings - Settings from normalizeRoomSettings
+   * @returns {Object} Room ({ roomId, hostKey, sessionId, settings, clients, round, advancing })
+   */
+  createRoom(sessionId, settings) {
+    const room = {
+      roomId: crypto.randomBytes(9).toString('base64url'),
+      hostKey: crypto.randomBytes(16).toString('base64url'),
+      sessionId,
+      settings,
+      clients: new Set(),
+      round: null,
+      scene: null,
+      advancing: false
+    };
+
+    this.rooms.set(room.roomId, room);
+    logger.info("Room created", { roomId: room.roomId, sessionId, voteSeconds: settings.voteSeconds, tieBreak: settings.tieBreak });
+    return room;
+  }
+
+  /**
+   * Close a room and disconnect its clients
+   * @param {string} roomId - Room ID
+   */
+  closeRoom(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) {
+      return;
+    }
+
+    this.endRound(room);
+    for (const socket of room.clients) {
+      this.send(socket, { type: "closed" });
+      socket.close();
+    }
+    this.rooms.delete(roomId);
+    logger.info("Room closed", { roomId });
+  }
+
+  /**
+   * Find the room streaming a session
+   * @param {string} sessionId - Session ID
+   * @returns {Object|null} Room, or null if the session isn't hosted
+   */
+  findBySession(sessionId) {
+    for (const room of this.rooms.values()) {
+      if (room.sessionId === sessionId) {
+        return room;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Handle a message from a client
+   * Messages are JSON: { type: "join", roomId, hostKey? }, { type: "vote", choiceIndex } or { type: "close-vote" } (host only)
+   * @param {Object} socket - Client WebSocket
+   * @param {Buffer} data - Raw message
+   */
+  async handleMessage(socket, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      return this.send(socket, { type: "error", error: "Messages must be JSON" });
+    }
+
+    try {
+      if (message.type === "join") {
+        await this.join(socket, message.roomId, message.hostKey);
+      } else if (message.type === "vote") {
+        this.vote(socket, message.choiceIndex);
+      } else if (message.type === "close-vote") {
+        if (!socket.room || !socket.isHost) {
+          return this.send(socket, { type: "error", error: "Only the host can close the vote" });
+        }
+        await this.closeRound(socket.room);
+      } else {
+        this.send(socket, { type: "error", error: `Unknown message type: ${message.type}` });
+      }
+    } catch (error) {
+      logger.error("Error handling room message", { error });
+      this.send(socket, { type: "error", error: "Failed to handle message" });
+    }
+  }
+
+  /**
+   * Add a client to a room and send it the current scene and round
+   * @param {Object} socket - Client WebSocket
+   * @param {string} roomId - Room ID
+   * @param {string} [hostKey] - Host key, to join as the host
+   */
+  async join(socket, roomId, hostKey) {
+    const room = this.rooms.get(roomId);
+    if (!room) {
+      return this.send(socket, { type: "error", error: "Room not found" });
+    }
+
+    this.leave(socket);
+    socket.room = room;
+    socket.isHost = Boolean(hostKey) && hostKey === room.hostKey;
+    room.clients.add(socket);
+    this.send(socket, { type: "joined", roomId, host: socket.isHost, settings: room.settings });
+    this.broadcastPresence(room);
+
+    if (!room.scene) {
+      const scene = await this.getScene(room.sessionId);
+      if (!scene) {
+        return this.closeRoom(roomId);
+      }
+      room.scene = publicScene(scene);
+    }
+    this.send(socket, { type: "scene", scene: room.scene });
+
+    // While the winning choice is generating the next vote waits for its scene
+    if (room.round) {
+      this.send(socket, this.roundMessage(room));
+    } else if (!room.advancing) {
+      this.openRound(room);
+    }
+  }
+
+  /**
+   * Remove a client from its room
+   * @param {Object} socket - Client WebSocket
+   */
+  leave(socket) {
+    const room = socket.room;
+    if (!room) {
+      return;
+    }
+
+    room.clients.delete(socket);
+    if (room.round) {
+      room.round.votes.delete(socket);
+    }
+    socket.room = null;
+
+    // Nobody left to vote: stop the countdown until someone joins again
+    if (room.clients.size === 0) {
+      this.endRound(room);
+    } else {
+      this.broadcastPresence(room);
+    }
+  }
+
+  /**
+   * Record a client's vote; clients may change their vote until the round closes
+   * @param {Object} socket - Client WebSocket
+   * @param {number} choiceIndex - Voted choice
+   */
+  vote(socket, choiceIndex) {
+    const room = socket.room;
+    if (!room || !room.round) {
+      return this.send(socket, { type: "error", error: "No vote is open" });
+    }
+    if (!Number.isInteger(choiceIndex) || choiceIndex < 0 || choiceIndex >= room.round.choices.length) {
+      return this.send(socket, { type: "error", error: "Invalid choice" });
+    }
+
+    room.round.votes.set(socket, choiceIndex);
+    if (socket.isHost) {
+      room.round.hostVote = choiceIndex;
+    }
+    this.broadcast(room, this.roundMessage(room));
+  }
+
+  /**
+   * Start a voting round on the room's current scene
+   * @param {Object} room - Room
+   */
+  openRound(room) {
+    this.endRound(room);
+    // A finished story has nothing left to vote on, and a scene being generated isn't voted on yet
+    if (!room.scene || room.scene.finished || room.clients.size === 0 || room.advancing) {
+      return;
+    }
+
+    room.round = {
+      choices: room.scene.choices,
+      votes: new Map(),
+      hostVote: null,
+      endsAt: Date.now() + room.settings.voteSeconds * 1000
+    };
+    room.round.timer = setTimeout(() => {
+      this.closeRound(room).catch(error => logger.error("Error closing vote", { error }));
+    }, room.settings.voteSeconds * 1000);
+
+    this.broadcast(room, this.roundMessage(room));
+  }
+
+  /**
+   * Stop the room's round without playing a choice
+   * @param {Object} room - Room
+   */
+  endRound(room) {
+    if (room.round) {
+      clearTimeout(room.round.timer);
+      room.round = null;
+    }
+  }
+
+  /**
+   * Close the voting round and play the winning choice
+   * A round without votes starts over rather than letting the story run on its own
+   * @param {Object} room - Room
+   */
+  async closeRound(room) {
+    const round = room.round;
+    if (!round) {
+      return;
+    }
+    this.endRound(room);
+
+    const { winner, tally } = countVotes(round, room.settings.tieBreak);
+    if (winner === null) {
+      logger.info("No votes, reopening the vote", { roomId: room.roomId });
+      return this.openRound(room);
+    }
+
+    logger.info("Vote closed", { roomId: room.roomId, choice: winner, votes: tally[winner] });
+    this.broadcast(room, { type: "vote-closed", winner, tally });
+
+    let scene;
+    room.advancing = true;
+    try {
+      scene = await this.playChoice(room.sessionId, winner);
+    } catch (error) {
+      room.advancing = false;
+      return this.choiceFailed(room, error);
+    }
+    room.advancing = false;
+    if (!scene) {
+      return this.closeRoom(room.roomId);
+    }
+    this.sceneChanged(room.sessionId, scene);
+  }
+
+  /**
+   * Tell the room the winning choice couldn't be played
+   * A finished story or an exhausted budget stops the room; any other failure leaves the story where it was
+   * and the room votes again
+   * @param {Object} room - Room
+   * @param {Error} error - Error from playing the choice
+   */
+  choiceFailed(room, error) {
+    if (FINAL_ERROR_CODES.includes(error.code)) {
+      logger.info("Room stopped", { roomId: room.roomId, reason: error.code });
+      this.broadcast(room, { type: "stopped", error: error.message });
+      return;
+    }
+
+    if (error.code === "GENERATION_FAILED") {
+      logger.warn("Winning choice failed to generate, reopening the vote", { roomId: room.roomId, error: error.message });
+    } else {
+      logger.error("Error playing the winning choice", { roomId: room.roomId, error });
+    }
+    this.broadcast(room, { type: "error", error: error.code === "GENERATION_FAILED" ? error.message : "The choice could not be played, vote again" });
+    this.openRound(room);
+  }
+
+  /**
+   * Push a new scene of a hosted session to everyone in its room and start the next vote
+   * Called after votes and whenever the host changes the scene through the REST API
+   * @param {string} sessionId - Session ID
+   * @param {Object} scene - Scene response from buildSceneResponse
+   */
+  sceneChanged(sessionId, scene) {
+    const room = this.findBySession(sessionId);
+    if (!room) {
+      return;
+    }
+
+    room.scene = publicScene(scene);
+    this.broadcast(room, { type: "scene", scene: room.scene });
+    this.openRound(room);
+  }
+
+  /**
+   * Describe the open round for clients
+   * @param {Object} room - Room
+   * @returns {Object} Message ({ type: "vote-open", endsAt, tally })
+   */
+  roundMessage(room) {
+    const tally = room.round.choices.map(() => 0);
+    for (const choiceIndex of room.round.votes.values()) {
+      tally[choiceIndex]++;
+    }
+    return { type: "vote-open", endsAt: room.round.endsAt, tally };
+  }
+
+  /**
+   * Tell everyone how many people are in the room
+   * @param {Object} room - Room
+   */
+  broadcastPresence(room) {
+    this.broadcast(room, { type: "presence", viewers: room.clients.size });
+  }
+
+  /**
+   * Send a message to every client in a room
+   * @param {Object} room - Room
+   * @param {Object} message - Message
+   */
+  broadcast(room, message) {
+    for (const socket of room.clients) {
+      this.send(socket, message);
+    }
+  }
+
+  /**
+   * Send a message to one client if it is still connected
+   * @param {Object} socket - Client WebSocket
+   * @param {Object} message - Message
+   */
+  send(socket, message) {
+    if (socket.readyState === socket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  }
+}
+
+module.exports = { RoomManager, TIE_BREAKERS, normalizeRoomSettings, countVotes };
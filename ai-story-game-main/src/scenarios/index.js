@@ -0,0 +1,464 @@
+// Authored scenarios: campaigns of hand-written scenes, choices and endings, with segments the AI improvises in between
+// Each scenario is a JSON file in the scenario directory; see library/drowned-lighthouse.json for an example
+const fs = require('fs');
+const path = require('path');
+const { normalizeStorySetup, cleanText } = require('../storySetup');
+const { RISK_LEVELS } = require('../choices');
+const { STATS } = require('../playerSheet');
+const { ENDING_TYPES } = require('../endings');
+
+// Node IDs and scenario IDs are referenced from JSON and URLs, so they are limited to safe characters
+const ID_PATTERN = /^[a-z0-9_-]{1,60}$/;
+
+// Limits on authored content
+const MAX_TEXT_LENGTH = 4000;
+const MAX_IMAGE_LENGTH = 500;
+const MAX_DIRECTION_LENGTH = 500;
+const MAX_LABEL_LENGTH = 120;
+const MAX_INTENT_LENGTH = 200;
+const MAX_CHOICES = 6;
+const MAX_SEGMENT_SCENES = 20;
+
+// Conditions that end an improvised segment; "event" is judged by the LLM, the rest by the player sheet
+const CONDITION_TYPES = ["item", "effect", "stat", "event"];
+
+/**
+ * Check an optional string field
+ * @param {*} value - Field value
+ * @param {number} limit - Maximum length
+ * @returns {boolean} True if missing or a string within the limit
+ */
+function isOptionalText(value, limit) {
+  return value === undefined || (typeof value === 'string' && value.trim().length > 0 && value.length <= limit);
+}
+
+/**
+ * Check a required string field
+ * @param {*} value - Field value
+ * @param {number} limit - Maximum length
+ * @returns {boolean} True if a non-empty string within the limit
+ */
+function isText(value, limit) {
+  return typeof value === 'string' && value.trim().length > 0 && value.length <= limit;
+}
+
+/**
+ * Validate the condition that ends an improvised segment
+ * @param {*} until - Condition ({ item } | { effect } | { stat, atLeast?, atMost? } | { event })
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateCondition(until) {
+  if (!until || typeof until !== 'object' || Array.isArray(until)) {
+    return "until must be an object";
+  }
+
+  const types = CONDITION_TYPES.filter(type => until[type] !== undefined);
+  if (types.length !== 1) {
+    return `until needs exactly one of ${CONDITION_TYPES.join(", ")}`;
+  }
+
+  if (types[0] === "stat") {
+    if (!Object.prototype.hasOwnProperty.call(STATS, until.stat)) {
+      return `until.stat must be one of ${Object.keys(STATS).join(", ")}`;
+    }
+    if (typeof until.atLeast !== 'number' && typeof until.atMost !== 'number') {
+      return "until.stat needs atLeast or atMost";
+    }
+  } else if (!isText(until[types[0]], MAX_DIRECTION_LENGTH)) {
+    return `until.${types[0]} must be a non-empty string`;
+  }
+  return null;
+}
+
+/**
+ * Validate one node and normalize its optional fields
+ * @param {string} id - Node ID
+ * @param {*} node - Node from the scenario file
+ * @returns {{ node: Object|null, error: string|null }} Normalized node, or the validation error
+ */
+function validateNode(id, node) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    return { node: null, error: "must be an object" };
+  }
+
+  if (node.type === "scene" || node.type === "ending") {
+    if (!isText(node.text, MAX_TEXT_LENGTH)) {
+      return { node: null, error: `text must be 1-${MAX_TEXT_LENGTH} characters` };
+    }
+    if (!isOptionalText(node.image, MAX_IMAGE_LENGTH)) {
+      return { node: null, error: `image must be 1-${MAX_IMAGE_LENGTH} characters` };
+    }
+  }
+
+  if (node.type === "scene") {
+    if (!Array.isArray(node.choices) || node.choices.length === 0 || node.choices.length > MAX_CHOICES) {
+      return { node: null, error: `choices must list 1-${MAX_CHOICES} choices` };
+    }
+
+    const choices = [];
+    for (const [index, choice] of node.choices.entries()) {
+      if (!choice || !isText(choice.label, MAX_LABEL_LENGTH) || !isOptionalText(choice.intent, MAX_INTENT_LENGTH)) {
+        return { node: null, error: `choice ${index} needs a label of at most ${MAX_LABEL_LENGTH} characters and an optional intent` };
+      }
+      if (typeof choice.next !== 'string') {
+        return { node: null, error: `choice ${index} needs the next node` };
+      }
+      if (choice.risk !== undefined && !RISK_LEVELS.includes(choice.risk)) {
+        return { node: null, error: `choice ${index} risk must be one of ${RISK_LEVELS.join(", ")}` };
+      }
+      if (choices.some(other => other.label === choice.label.trim())) {
+        return { node: null, error: `choice ${index} repeats the label "${choice.label}"` };
+      }
+
+      choices.push({
+        label: choice.label.trim(),
+        intent: (choice.intent || choice.label).trim(),
+        ...(choice.risk ? { risk: choice.risk } : {}),
+        next: choice.next
+      });
+    }
+
+    return { node: { type: "scene", text: node.text.trim(), image: node.image || null, choices, onAction: node.onAction || null }, error: null };
+  }
+
+  if (node.type === "improvise") {
+    if (!isText(node.direction, MAX_DIRECTION_LENGTH)) {
+      return { node: null, error: `direction must be 1-${MAX_DIRECTION_LENGTH} characters` };
+    }
+    if (!Number.isInteger(node.maxScenes) || node.maxScenes < 1 || node.maxScenes > MAX_SEGMENT_SCENES) {
+      return { node: null, error: `maxScenes must be a whole number from 1 to ${MAX_SEGMENT_SCENES}` };
+    }
+    const minScenes = node.minScenes === undefined ? 1 : node.minScenes;
+    if (!Number.isInteger(minScenes) || minScenes < 1 || minScenes > node.maxScenes) {
+      return { node: null, error: "minScenes must be a whole number from 1 to maxScenes" };
+    }
+    if (node.until !== undefined) {
+      const error = validateCondition(node.until);
+      if (error) {
+        return { node: null, error };
+      }
+    }
+    if (!isOptionalText(node.exitLabel, MAX_LABEL_LENGTH)) {
+      return { node: null, error: `exitLabel must be 1-${MAX_LABEL_LENGTH} characters` };
+    }
+    if (typeof node.next !== 'string') {
+      return { node: null, error: "next must name the node that follows the segment" };
+    }
+    if (node.next === id) {
+      return { node: null, error: "next can't be the segment itself" };
+    }
+
+    return {
+      node: {
+        type: "improvise",
+        direction: cleanText(node.direction),
+        minScenes,
+        maxScenes: node.maxScenes,
+        until: node.until || null,
+        exitLabel: node.exitLabel ? node.exitLabel.trim() : "Continue",
+        next: node.next
+      },
+      error: null
+    };
+  }
+
+  if (node.type === "ending") {
+    if (!Object.prototype.hasOwnProperty.call(ENDING_TYPES, node.ending)) {
+      return { node: null, error: `ending must be one of ${Object.keys(ENDING_TYPES).join(", ")}` };
+    }
+    if (!isOptionalText(node.epilogue, MAX_TEXT_LENGTH) || !isOptionalText(node.reason, MAX_INTENT_LENGTH)) {
+      return { node: null, error: "epilogue and reason must be non-empty strings when given" };
+    }
+
+    return {
+      node: {
+        type: "ending",
+        ending: node.ending,
+        text: node.text.trim(),
+        image: node.image || null,
+        epilogue: node.epilogue ? node.epilogue.trim() : null,
+        reason: node.reason ? node.reason.trim() : ""
+      },
+      error: null
+    };
+  }
+
+  return { node: null, error: "type must be scene, improvise or ending" };
+}
+
+/**
+ * Node IDs a node leads to
+ * @param {Object} node - Normalized node
+ * @returns {Array} Target node IDs
+ */
+function getTargets(node) {
+  if (node.type === "scene") {
+    return [...node.choices.map(choice => choice.next), ...(node.onAction ? [node.onAction] : [])];
+  }
+  if (node.type === "improvise") {
+    return [node.next];
+  }
+  return [];
+}
+
+/**
+ * Validate a scenario file and normalize it
+ * Every link must point at an existing node, every node must be reachable from the start,
+ * and at least one ending must be reachable
+ * @param {*} input - Parsed scenario file
+ * @returns {{ scenario: Object|null, error: string|null }} Normalized scenario, or the validation error
+ */
+function validateScenario(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { scenario: null, error: "Scenario must be an object" };
+  }
+  if (typeof input.id !== 'string' || !ID_PATTERN.test(input.id)) {
+    return { scenario: null, error: "id must be 1-60 characters: a-z, 0-9, _ or -" };
+  }
+  if (!isText(input.title, MAX_LABEL_LENGTH) || !isOptionalText(input.description, MAX_INTENT_LENGTH * 2)) {
+    return { scenario: null, error: "title is required and description must be a short string" };
+  }
+
+  const { setup, error: setupError } = normalizeStorySetup(input.setup);
+  if (setupError) {
+    return { scenario: null, error: `setup: ${setupError}` };
+  }
+
+  if (!input.nodes || typeof input.nodes !== 'object' || Array.isArray(input.nodes)) {
+    return { scenario: null, error: "nodes must be an object keyed by node ID" };
+  }
+
+  const nodes = {};
+  for (const [id, raw] of Object.entries(input.nodes)) {
+    if (!ID_PATTERN.test(id)) {
+      return { scenario: null, error: `node "${id}": IDs may only use a-z, 0-9, _ and -` };
+    }
+    const { node, error } = validateNode(id, raw);
+    if (error) {
+      return { scenario: null, error: `node "${id}": ${error}` };
+    }
+    nodes[id] = node;
+  }
+
+  if (!nodes[input.start] || nodes[input.start].type !== "scene") {
+    return { scenario: null, error: "start must name a scene node" };
+  }
+
+  for (const [id, node] of Object.entries(nodes)) {
+    const missing = getTargets(node).filter(target => !Object.prototype.hasOwnProperty.call(nodes, target));
+    if (missing.length > 0) {
+      return { scenario: null, error: `node "${id}" leads to unknown node(s) ${missing.join(", ")}` };
+    }
+    if (node.type === "scene" && node.onAction && nodes[node.onAction].type !== "improvise") {
+      return { scenario: null, error: `node "${id}": onAction must name an improvise node` };
+    }
+  }
+
+  // Walk the graph from the start to catch typos that leave nodes stranded
+  const reached = new Set([input.start]);
+  const queue = [input.start];
+  while (queue.length > 0) {
+    for (const target of getTargets(nodes[queue.shift()])) {
+      if (!reached.has(target)) {
+        reached.add(target);
+        queue.push(target);
+      }
+    }
+  }
+
+  const unreachable = Object.keys(nodes).filter(id => !reached.has(id));
+  if (unreachable.length > 0) {
+    return { scenario: null, error: `unreachable node(s) ${unreachable.join(", ")}` };
+  }
+  if (!Object.values(nodes).some(node => node.type === "ending")) {
+    return { scenario: null, error: "at least one ending node is required" };
+  }
+
+  // The opening scene doubles as the premise the visual bible and goal are built from
+  setup.premise = input.setup && input.setup.premise ? setup.premise : cleanText(nodes[input.start].text).substring(0, 500);
+
+  return {
+    scenario: {
+      id: input.id,
+      title: input.title.trim(),
+      description: input.description ? input.description.trim() : "",
+      setup,
+      start: input.start,
+      nodes
+    },
+    error: null
+  };
+}
+
+/**
+ * Check a segment condition against the player sheet
+ * @param {Object} until - Condition
+ * @param {Object} player - Player sheet after the scene
+ * @returns {boolean|null} Whether the condition holds, or null for events the LLM has to judge
+ */
+function checkCondition(until, player) {
+  if (until.event) {
+    return null;
+  }
+  // Item and effect names are stored the way the player sheet cleans them
+  if (until.item) {
+    const name = until.item.replace(/\s+/g, ' ').trim().toLowerCase();
+    return player.inventory.some(item => item.name === name && item.quantity > 0);
+  }
+  if (until.effect) {
+    return player.statusEffects.includes(until.effect.replace(/\s+/g, ' ').trim().toLowerCase());
+  }
+
+  const value = player.stats[until.stat];
+  return (typeof until.atLeast !== 'number' || value >= until.atLeast) &&
+    (typeof until.atMost !== 'number' || value <= until.atMost);
+}
+
+/**
+ * Build the prompt that asks the LLM whether a scripted event has happened
+ * @param {string} event - Event from the scenario
+ * @param {string} sceneText - Narration of the scene
+ * @param {string} memoryDescription - Story memory, formatted for prompts
+ * @returns {string} Condition check prompt
+ */
+function buildConditionPrompt(event, sceneText, memoryDescription) {
+  return `
+You track the plot of an interactive story game.
+${memoryDescription}
+Latest scene: "${sceneText}"
+
+Has this happened in the story so far? ${event}
+Respond with only JSON in this exact format:
+{"happened": false}
+`;
+}
+
+/**
+ * Extract the answer to a condition check
+ * Anything unclear counts as not yet, so the segment simply runs until its scene limit
+ * @param {*} output - Raw LLM output
+ * @returns {boolean} True if the event has happened
+ */
+function parseConditionCheck(output) {
+  if (typeof output !== 'string') {
+    return false;
+  }
+
+  const jsonMatch = output.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    return false;
+  }
+
+  try {
+    return JSON.parse(jsonMatch[0]).happened === true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Format a segment's direction for the narration prompt
+ * @param {string|null} direction - Direction from the scenario
+ * @returns {string} Prompt line, or an empty string without a direction
+ */
+function formatDirection(direction) {
+  return direction ? `The writers want this part of the story to go like this: ${direction}` : "";
+}
+
+/**
+ * Every scenario in the scenario directory, loaded and validated once
+ */
+class ScenarioLibrary {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Directory of scenario JSON files
+   * @throws {Error} If a scenario file is invalid
+   */
+  constructor(options) {
+    this.directory = options.directory;
+    this.scenarios = new Map();
+
+    let files = [];
+    try {
+      files = fs.readdirSync(this.directory).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    const errors = [];
+    for (const file of files) {
+      let raw;
+      try {
+        raw = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+      } catch (error) {
+        errors.push(`${file}: ${error.message}`);
+        continue;
+      }
+
+      const { scenario, error } = validateScenario(raw);
+      if (error) {
+        errors.push(`${file}: ${error}`);
+      } else if (this.scenarios.has(scenario.id)) {
+        errors.push(`${file}: duplicate scenario id ${scenario.id}`);
+      } else {
+        this.scenarios.set(scenario.id, scenario);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid scenarios in ${this.directory}:\n${errors.join("\n")}`);
+    }
+  }
+
+  /**
+   * Look up a scenario
+   * @param {string} id - Scenario ID
+   * @returns {Object|null} Scenario, or null if unknown
+   */
+  get(id) {
+    return this.scenarios.get(id) || null;
+  }
+
+  /**
+   * List the scenarios players can start
+   * @returns {Array} Scenarios ({ id, title, description, genre })
+   */
+  list() {
+    return Array.from(this.scenarios.values()).map(scenario => ({
+      id: scenario.id,
+      title: scenario.title,
+      description: scenario.description,
+      genre: scenario.setup.genre
+    }));
+  }
+}
+
+// Scenarios shared by every game
+let defaultLibrary = null;
+
+/**
+ * Get the shared scenario library, loading it on first use
+ * SCENARIOS_DIR replaces the bundled scenarios
+ * @returns {ScenarioLibrary} Loaded scenarios
+ * @throws {Error} If a scenario is invalid
+ */
+function getScenarioLibrary() {
+  if (!defaultLibrary) {
+    defaultLibrary = new ScenarioLibrary({
+      directory: process.env.SCENARIOS_DIR || path.join(__dirname, 'library')
+    });
+  }
+  return defaultLibrary;
+}
+
+module.exports = {
+  ScenarioLibrary,
+  validateScenario,
+  checkCondition,
+  buildConditionPrompt,
+  parseConditionCheck,
+  formatDirection,
+  getScenarioLibrary
+};
@@ -0,0 +1,298 @@
+// File-based session store
+// Each session is serialized to its own JSON file so games survive server restarts
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { GameState } = require('../gameState');
+const { logger } = require('../logger');
+
+/**
+ * Session store that persists every GameState as a JSON file
+ * Rehydrated games are cached in memory so each request doesn't re-read the disk
+ */
+class FileSessionStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Directory that holds the session files
+   * @param {number} [options.ttlMs] - Idle time after which a session expires
+   * @param {Function} [options.onRemove] - Called with the session ID when a session is deleted or expired
+   */
+  constructor(options) {
+    this.name = "file";
+    this.directory = options.directory;
+    this.ttlMs = options.ttlMs;
+    this.onRemove = options.onRemove || (() => {});
+    this.cache = new Map();
+    this.writes = new Map();
+
+    // Timestamps of every stored session, so active sessions are counted without reading the files;
+    // filled by the first count, kept up to date by writes and deletes and refreshed by every listing
+    this.index = new Map();
+    this.indexed = null;
+
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  /**
+   * Path of the file for a session
+   * Session IDs come from clients, so anything outside [A-Za-z0-9_-] is rejected
+   * @param {string} sessionId - Session ID
+   * @returns {string|null} File path, or null for an invalid ID
+   */
+  filePath(sessionId) {
+    if (typeof sessionId !== 'string' || !/^[A-Za-z0-9_-]+$/.test(sessionId)) {
+      return null;
+    }
+    return path.join(this.directory, `${sessionId}.json`);
+  }
+
+  /**
+   * Read a stored session record from disk
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} Record ({ sessionId, createdAt, updatedAt, state }) or null
+   */
+  async readRecord(sessionId) {
+    const file = this.filePath(sessionId);
+    if (!file) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Error reading session ${sessionId}`, { error });
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Rewrite a session's file after the writes already queued for it
+   * Each write reads the current record, so a save never drops an expiry that landed while it was queued;
+   * the file is written to a temporary path and renamed so a crash never leaves half a session
+   * @param {string} sessionId - Session ID
+   * @param {Function} update - Receives the current record (or null) and returns the record to write, or null to skip
+   * @returns {Promise<Object|null>} The written record, or null if nothing was written
+   */
+  writeRecord(sessionId, update) {
+    const file = this.filePath(sessionId);
+    const previous = this.writes.get(sessionId) || Promise.resolve();
+    const write = previous.catch(() => {}).then(async () => {
+      const record = update(await this.readRecord(sessionId));
+      if (!record) {
+        return null;
+      }
+
+      const tempFile = `${file}.${crypto.randomUUID()}.tmp`;
+      await fs.promises.writeFile(tempFile, JSON.stringify(record));
+      await fs.promises.rename(tempFile, file);
+      this.index.set(sessionId, { updatedAt: record.updatedAt, expiredAt: record.expiredAt || null });
+      return record;
+    });
+
+    const settled = write.finally(() => {
+      if (this.writes.get(sessionId) === settled) {
+        this.writes.delete(sessionId);
+      }
+    });
+    this.writes.set(sessionId, settled);
+    return write;
+  }
+
+  /**
+   * Load a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<GameState|null>} The game, or null if missing or expired
+   */
+  async get(sessionId) {
+    const cached = this.cache.get(sessionId);
+    if (cached && !this.isExpired(cached)) {
+      return cached.game;
+    }
+
+    const record = await this.readRecord(sessionId);
+    if (!record) {
+      return null;
+    }
+
+    if (this.isExpired(record)) {
+      await this.delete(sessionId);
+      return null;
+    }
+
+    const game = GameState.fromJSON(record.state);
+    this.cache.set(sessionId, { game, createdAt: record.createdAt, updatedAt: record.updatedAt });
+    return game;
+  }
+
+  /**
+   * Save a session and mark it as active
+   * A session an admin has expired stays expired
+   * @param {string} sessionId - Session ID
+   * @param {GameState} game - Game to store
+   */
+  async save(sessionId, game) {
+    const file = this.filePath(sessionId);
+    if (!file) {
+      throw new Error(`Invalid session ID: ${sessionId}`);
+    }
+
+    const record = await this.writeRecord(sessionId, existing => {
+      const now = Date.now();
+      return {
+        sessionId,
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now,
+        ...(existing && existing.expiredAt ? { expiredAt: existing.expiredAt } : {}),
+        state: game.toJSON()
+      };
+    });
+
+    if (record.expiredAt) {
+      this.cache.delete(sessionId);
+    } else {
+      this.cache.set(sessionId, { game, createdAt: record.createdAt, updatedAt: record.updatedAt });
+    }
+  }
+
+  /**
+   * Delete a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} True if a session was removed
+   */
+  async delete(sessionId) {
+    const wasCached = this.cache.delete(sessionId);
+    this.index.delete(sessionId);
+    const file = this.filePath(sessionId);
+    if (!file) {
+      return wasCached;
+    }
+
+    let removed = wasCached;
+    try {
+      await fs.promises.unlink(file);
+      removed = true;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    if (removed) {
+      this.onRemove(sessionId);
+    }
+    return removed;
+  }
+
+  /**
+   * Expire a session now, as if it had been idle longer than the TTL
+   * The player can no longer load it, and the file is removed on the next sweep or load
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} True if a live session was expired
+   */
+  async expire(sessionId) {
+    if (!this.filePath(sessionId)) {
+      return false;
+    }
+
+    const record = await this.writeRecord(sessionId, existing => {
+      if (!existing || this.isExpired(existing)) {
+        return null;
+      }
+      return { ...existing, expiredAt: Date.now() };
+    });
+
+    this.cache.delete(sessionId);
+    if (record) {
+      this.onRemove(sessionId);
+    }
+    return Boolean(record);
+  }
+
+  /**
+   * List stored sessions
+   * @returns {Promise<Array>} Session metadata ({ sessionId, ownerId, createdAt, updatedAt, expiredAt })
+   */
+  async list() {
+    const files = await fs.promises.readdir(this.directory);
+    const sessions = [];
+
+    for (const file of files) {
+      if (!file.endsWith('.json')) {
+        continue;
+      }
+
+      const record = await this.readRecord(path.basename(file, '.json'));
+      if (record) {
+        sessions.push({
+          sessionId: record.sessionId,
+          ownerId: record.state.ownerId || null,
+          createdAt: record.createdAt,
+          updatedAt: record.updatedAt,
+          expiredAt: record.expiredAt || null
+        });
+      }
+    }
+
+    this.index = new Map(sessions.map(session => [session.sessionId, { updatedAt: session.updatedAt, expiredAt: session.expiredAt }]));
+    return sessions;
+  }
+
+  /**
+   * Count the sessions that haven't expired
+   * Only the first count reads the session files
+   * @returns {Promise<number>} Number of active sessions
+   */
+  async countActive() {
+    if (!this.indexed) {
+      this.indexed = this.list().catch(error => {
+        this.indexed = null;
+        throw error;
+      });
+    }
+    await this.indexed;
+
+    let active = 0;
+    for (const entry of this.index.values()) {
+      if (!this.isExpired(entry)) {
+        active++;
+      }
+    }
+    return active;
+  }
+
+  /**
+   * Remove every session that has expired
+   * @returns {Promise<number>} Number of sessions removed
+   */
+  async sweep() {
+    let removed = 0;
+    for (const session of await this.list()) {
+      if (this.isExpired(session)) {
+        await this.delete(session.sessionId);
+        removed++;
+      }
+    }
+
+    // Drop cached games whose files have already gone
+    for (const [sessionId, entry] of this.cache) {
+      if (this.isExpired(entry)) {
+        this.cache.delete(sessionId);
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Check whether a session record was expired by an admin or has been idle longer than the TTL
+   * @param {Object} record - Stored record, cache entry or listed session
+   * @returns {boolean} True if expired
+   */
+  isExpired(record) {
+    return Boolean(record.expiredAt) || (Boolean(this.ttlMs) && Date.now() - record.updatedAt > this.ttlMs);
+  }
+}
+
+module.exports = { FileSessionStore };
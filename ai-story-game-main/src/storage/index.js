@@ -0,0 +1,175 @@
+// Session storage registry
+const path = require('path');
+const { MemorySessionStore } = require('./memoryStore');
+const { FileSessionStore } = require('./fileStore');
+const { MemoryReplayStore, FileReplayStore } = require('./replayStore');
+const { MemoryUserStore, FileUserStore } = require('./userStore');
+const { MediaStore } = require('./mediaStore');
+const { logger } = require('../logger');
+
+// Available session stores keyed by the name used in config
+const STORES = {
+  memory: MemorySessionStore,
+  file: FileSessionStore
+};
+
+// Replay stores keyed by the same names, so replays live alongside sessions
+const REPLAY_STORES = {
+  memory: MemoryReplayStore,
+  file: FileReplayStore
+};
+
+// User stores keyed by the same names
+const USER_STORES = {
+  memory: MemoryUserStore,
+  file: FileUserStore
+};
+
+// Idle sessions expire after 24 hours unless SESSION_TTL_MS says otherwise
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// The sweeper checks for expired sessions every 10 minutes by default
+const DEFAULT_SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+// Unreferenced media is collected every hour by default
+const DEFAULT_MEDIA_GC_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Create the session store from environment config
+ * SESSION_STORE picks the backend (file by default), SESSION_DIR the file store directory
+ *
+ * @param {Object} [options] - Overrides for the environment config
+ * @returns {Object} Store implementing get, save, delete, expire, list, countActive and sweep
+ */
+function createSessionStore(options = {}) {
+  const name = options.name || process.env.SESSION_STORE || "file";
+  const Store = STORES[name];
+  if (!Store) {
+    throw new Error(`Unknown session store: ${name}`);
+  }
+
+  return new Store({
+    directory: process.env.SESSION_DIR || path.join(__dirname, '..', '..', 'data', 'sessions'),
+    ttlMs: Number(process.env.SESSION_TTL_MS) || DEFAULT_TTL_MS,
+    ...options
+  });
+}
+
+/**
+ * Create the store for published replays from environment config
+ * Uses the same backend as SESSION_STORE; REPLAY_DIR sets the file store directory
+ *
+ * @param {Object} [options] - Overrides for the environment config
+ * @returns {Object} Store implementing get and create
+ */
+function createReplayStore(options = {}) {
+  const name = options.name || process.env.SESSION_STORE || "file";
+  const Store = REPLAY_STORES[name];
+  if (!Store) {
+    throw new Error(`Unknown replay store: ${name}`);
+  }
+
+  return new Store({
+    directory: process.env.REPLAY_DIR || path.join(__dirname, '..', '..', 'data', 'replays'),
+    ...options
+  });
+}
+
+/**
+ * Create the store for player accounts from environment config
+ * Uses the same backend as SESSION_STORE; USER_DIR sets the file store directory
+ *
+ * @param {Object} [options] - Overrides for the environment config
+ * @returns {Object} Store implementing get and create
+ */
+function createUserStore(options = {}) {
+  const name = options.name || process.env.SESSION_STORE || "file";
+  const Store = USER_STORES[name];
+  if (!Store) {
+    throw new Error(`Unknown user store: ${name}`);
+  }
+
+  return new Store({
+    directory: process.env.USER_DIR || path.join(__dirname, '..', '..', 'data', 'users'),
+    ...options
+  });
+}
+
+/**
+ * Create the store for generated images and audio from environment config
+ * Media is always kept on disk; MEDIA_DIR sets the directory and MEDIA_CACHE=false turns caching off
+ *
+ * @param {Object} [options] - Overrides for the environment config
+ * @returns {MediaStore|null} Store implementing cache, read and collectGarbage, or null when caching is off
+ */
+function createMediaStore(options = {}) {
+  if (process.env.MEDIA_CACHE === "false") {
+    return null;
+  }
+
+  return new MediaStore({
+    directory: process.env.MEDIA_DIR || path.join(__dirname, '..', '..', 'data', 'media'),
+    maxBytes: Number(process.env.MEDIA_MAX_BYTES) || undefined,
+    gcGraceMs: process.env.MEDIA_GC_GRACE_MS !== undefined ? Number(process.env.MEDIA_GC_GRACE_MS) : undefined,
+    ...options
+  });
+}
+
+/**
+ * Periodically remove expired sessions from a store
+ * @param {Object} store - Session store
+ * @param {number} [intervalMs] - Time between sweeps
+ * @returns {Object} Interval handle (does not keep the process alive)
+ */
+function startSessionSweeper(store, intervalMs) {
+  const interval = intervalMs || Number(process.env.SESSION_SWEEP_INTERVAL_MS) || DEFAULT_SWEEP_INTERVAL_MS;
+
+  const timer = setInterval(async () => {
+    try {
+      const removed = await store.sweep();
+      if (removed > 0) {
+        logger.info("Session sweeper removed expired sessions", { removed });
+      }
+    } catch (error) {
+      logger.error("Error sweeping sessions", { error });
+    }
+  }, interval);
+
+  timer.unref();
+  return timer;
+}
+
+/**
+ * Periodically remove media that no session or replay refers to any more
+ * @param {MediaStore} mediaStore - Media store
+ * @param {Function} listReferenced - Returns a Promise of the Set of file names still in use
+ * @param {number} [intervalMs] - Time between collections
+ * @returns {Object} Interval handle (does not keep the process alive)
+ */
+function startMediaCollector(mediaStore, listReferenced, intervalMs) {
+  const interval = intervalMs || Number(process.env.MEDIA_GC_INTERVAL_MS) || DEFAULT_MEDIA_GC_INTERVAL_MS;
+
+  const timer = setInterval(async () => {
+    try {
+      const removed = await mediaStore.collectGarbage(await listReferenced());
+      if (removed > 0) {
+        logger.info("Media collector removed unreferenced files", { removed });
+      }
+    } catch (error) {
+      logger.error("Error collecting media", { error });
+    }
+  }, interval);
+
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  createSessionStore,
+  createReplayStore,
+  createUserStore,
+  createMediaStore,
+  startSessionSweeper,
+  startMediaCollector,
+  STORES
+};
@@ -0,0 +1,211 @@
+// Media store: generated images and audio, downloaded once and kept under the hash of their content
+// so scenes, replays and exports don't depend on provider URLs that expire
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../logger');
+
+// File extensions for the media types the generation providers return
+const MEDIA_EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/gif": "gif",
+  "image/svg+xml": "svg",
+  "audio/mpeg": "mp3",
+  "audio/mp3": "mp3",
+  "audio/wav": "wav",
+  "audio/x-wav": "wav",
+  "audio/ogg": "ogg",
+  "audio/webm": "webm"
+};
+
+// Downloads that take longer than this keep their provider URL
+const DEFAULT_FETCH_TIMEOUT_MS = 30000;
+
+// Larger files keep their provider URL (20 MB by default)
+const DEFAULT_MAX_BYTES = 20 * 1024 * 1024;
+
+// Unreferenced files younger than this survive garbage collection, since the scene that uses them may not be saved yet
+const DEFAULT_GC_GRACE_MS = 60 * 60 * 1000;
+
+// Stored files are named <sha256>.<extension>
+const FILE_NAME_PATTERN = /^[a-f0-9]{64}\.[a-z0-9]+$/;
+
+/**
+ * Media store that writes each asset to a directory under the hash of its content
+ * Identical assets are stored once, and files never change once written
+ */
+class MediaStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Directory that holds the media files
+   * @param {string} [options.publicPath] - URL path the files are served from
+   * @param {number} [options.fetchTimeoutMs] - Download timeout
+   * @param {number} [options.maxBytes] - Largest file to store
+   * @param {number} [options.gcGraceMs] - Minimum age before an unreferenced file is removed
+   */
+  constructor(options) {
+    this.name = "file";
+    this.directory = options.directory;
+    this.publicPath = options.publicPath || "/media";
+    this.fetchTimeoutMs = options.fetchTimeoutMs || DEFAULT_FETCH_TIMEOUT_MS;
+    this.maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+    this.gcGraceMs = options.gcGraceMs !== undefined ? options.gcGraceMs : DEFAULT_GC_GRACE_MS;
+
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  /**
+   * Path of a stored file
+   * File names come from URLs, so anything that isn't a hash and an extension is rejected
+   * @param {string} fileName - Stored file name
+   * @returns {string|null} File path, or null for an invalid name
+   */
+  filePath(fileName) {
+    if (typeof fileName !== 'string' || !FILE_NAME_PATTERN.test(fileName)) {
+      return null;
+    }
+    return path.join(this.directory, fileName);
+  }
+
+  /**
+   * File name of a URL this store serves
+   * @param {string} url - Media URL
+   * @returns {string|null} Stored file name, or null for other URLs
+   */
+  fileNameFromUrl(url) {
+    const prefix = `${this.publicPath}/`;
+    if (typeof url !== 'string' || !url.startsWith(prefix)) {
+      return null;
+    }
+
+    const fileName = url.slice(prefix.length);
+    return FILE_NAME_PATTERN.test(fileName) ? fileName : null;
+  }
+
+  /**
+   * Download a data URI or remote URL
+   * @param {string} url - Media URL
+   * @returns {Promise<{ contentType: string, data: Buffer }>} Media bytes
+   */
+  async download(url) {
+    const dataUri = url.match(/^data:([^;,]+)(;base64)?,(.*)$/s);
+    if (dataUri) {
+      const data = dataUri[2] ? Buffer.from(dataUri[3], 'base64') : Buffer.from(decodeURIComponent(dataUri[3]), 'utf8');
+      return { contentType: dataUri[1], data };
+    }
+
+    const response = await fetch(url, { signal: AbortSignal.timeout(this.fetchTimeoutMs) });
+    if (!response.ok) {
+      throw new Error(`Media request failed with status ${response.status}`);
+    }
+    if (Number(response.headers.get('content-length')) > this.maxBytes) {
+      throw new Error("Media file is too large");
+    }
+
+    return {
+      contentType: (response.headers.get('content-type') || "").split(';')[0].trim(),
+      data: Buffer.from(await response.arrayBuffer())
+    };
+  }
+
+  /**
+   * Store a generated asset and return the URL it is served from
+   * Assets that can't be stored keep their original URL, so a failed download never loses media
+   * @param {string} url - Provider URL or data URI
+   * @returns {Promise<string>} Local media URL, or the original URL
+   */
+  async cache(url) {
+    if (!url || this.fileNameFromUrl(url)) {
+      return url;
+    }
+
+    try {
+      const { contentType, data } = await this.download(url);
+      const extension = MEDIA_EXTENSIONS[contentType];
+      if (!extension) {
+        throw new Error(`Unsupported media type: ${contentType || "unknown"}`);
+      }
+      if (data.length > this.maxBytes) {
+        throw new Error("Media file is too large");
+      }
+
+      const fileName = `${crypto.createHash('sha256').update(data).digest('hex')}.${extension}`;
+      const file = this.filePath(fileName);
+      try {
+        // The same content is already stored; touch it so garbage collection treats it as new
+        const now = new Date();
+        await fs.promises.utimes(file, now, now);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+        // Written to a temporary path and renamed so a crash never leaves half a file under the hash
+        const tempFile = `${file}.${crypto.randomUUID()}.tmp`;
+        await fs.promises.writeFile(tempFile, data);
+        await fs.promises.rename(tempFile, file);
+      }
+
+      return `${this.publicPath}/${fileName}`;
+    } catch (error) {
+      logger.error("Error caching media", { error: error.message });
+      return url;
+    }
+  }
+
+  /**
+   * Read a stored file
+   * @param {string} url - Local media URL
+   * @returns {Promise<{ contentType: string, data: Buffer }|null>} Media bytes, or null if missing
+   */
+  async read(url) {
+    const file = this.filePath(this.fileNameFromUrl(url));
+    if (!file) {
+      return null;
+    }
+
+    const extension = path.extname(file).slice(1);
+    const contentType = Object.keys(MEDIA_EXTENSIONS).find(type => MEDIA_EXTENSIONS[type] === extension);
+    try {
+      return { contentType, data: await fs.promises.readFile(file) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Error reading media ${url}`, { error });
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Remove every stored file that nothing refers to any more
+   * @param {Set<string>} referenced - File names still used by sessions and replays
+   * @returns {Promise<number>} Number of files removed
+   */
+  async collectGarbage(referenced) {
+    let removed = 0;
+
+    for (const fileName of await fs.promises.readdir(this.directory)) {
+      const file = this.filePath(fileName);
+      if (!file || referenced.has(fileName)) {
+        continue;
+      }
+
+      try {
+        const stats = await fs.promises.stat(file);
+        if (Date.now() - stats.mtimeMs > this.gcGraceMs) {
+          await fs.promises.unlink(file);
+          removed++;
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+
+    return removed;
+  }
+}
+
+module.exports = { MediaStore, MEDIA_EXTENSIONS };
@@ -0,0 +1,139 @@
+// In-memory session store
+// Sessions are lost when the server restarts; useful for development and the mock provider
+
+/**
+ * Session store that keeps live GameState instances in a Map
+ */
+class MemorySessionStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ttlMs] - Idle time after which a session expires
+   * @param {Function} [options.onRemove] - Called with the session ID when a session is deleted or expired
+   */
+  constructor(options = {}) {
+    this.name = "memory";
+    this.ttlMs = options.ttlMs;
+    this.onRemove = options.onRemove || (() => {});
+    this.sessions = new Map();
+  }
+
+  /**
+   * Load a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<GameState|null>} The game, or null if missing or expired
+   */
+  async get(sessionId) {
+    const record = this.sessions.get(sessionId);
+    if (!record) {
+      return null;
+    }
+
+    if (this.isExpired(record)) {
+      await this.delete(sessionId);
+      return null;
+    }
+
+    return record.game;
+  }
+
+  /**
+   * Save a session and mark it as active
+   * A session an admin has expired stays expired
+   * @param {string} sessionId - Session ID
+   * @param {GameState} game - Game to store
+   */
+  async save(sessionId, game) {
+    const now = Date.now();
+    const existing = this.sessions.get(sessionId);
+
+    this.sessions.set(sessionId, {
+      game,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+      expiredAt: existing ? existing.expiredAt : undefined
+    });
+  }
+
+  /**
+   * Delete a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} True if a session was removed
+   */
+  async delete(sessionId) {
+    const removed = this.sessions.delete(sessionId);
+    if (removed) {
+      this.onRemove(sessionId);
+    }
+    return removed;
+  }
+
+  /**
+   * Expire a session now, as if it had been idle longer than the TTL
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} True if a live session was expired
+   */
+  async expire(sessionId) {
+    const record = this.sessions.get(sessionId);
+    if (!record || this.isExpired(record)) {
+      return false;
+    }
+
+    record.expiredAt = Date.now();
+    this.onRemove(sessionId);
+    return true;
+  }
+
+  /**
+   * List stored sessions
+   * @returns {Promise<Array>} Session metadata ({ sessionId, ownerId, createdAt, updatedAt, expiredAt })
+   */
+  async list() {
+    return Array.from(this.sessions.entries()).map(([sessionId, record]) => ({
+      sessionId,
+      ownerId: record.game.ownerId || null,
+      createdAt: record.createdAt,
+      updatedAt: record.updatedAt,
+      expiredAt: record.expiredAt || null
+    }));
+  }
+
+  /**
+   * Count the sessions that haven't expired
+   * @returns {Promise<number>} Number of active sessions
+   */
+  async countActive() {
+    let active = 0;
+    for (const record of this.sessions.values()) {
+      if (!this.isExpired(record)) {
+        active++;
+      }
+    }
+    return active;
+  }
+
+  /**
+   * Remove every session that has expired
+   * @returns {Promise<number>} Number of sessions removed
+   */
+  async sweep() {
+    let removed = 0;
+    for (const [sessionId, record] of this.sessions) {
+      if (this.isExpired(record)) {
+        await this.delete(sessionId);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Check whether a session record was expired by an admin or has been idle longer than the TTL
+   * @param {Object} record - Stored record or listed session
+   * @returns {boolean} True if expired
+   */
+  isExpired(record) {
+    return Boolean(record.expiredAt) || (Boolean(this.ttlMs) && Date.now() - record.updatedAt > this.ttlMs);
+  }
+}
+
+module.exports = { MemorySessionStore };
@@ -0,0 +1,117 @@
+// Replay stores: immutable snapshots of published sessions, looked up by their public token
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../logger');
+
+/**
+ * Replay store that keeps published replays in a Map
+ * Replays are lost when the server restarts
+ */
+class MemoryReplayStore {
+  constructor() {
+    this.name = "memory";
+    this.replays = new Map();
+  }
+
+  /**
+   * Load a replay
+   * @param {string} token - Public replay token
+   * @returns {Promise<Object|null>} The replay, or null if missing
+   */
+  async get(token) {
+    return this.replays.get(token) || null;
+  }
+
+  /**
+   * Store a new replay; existing replays are never overwritten
+   * @param {Object} replay - Replay snapshot with a unique token
+   */
+  async create(replay) {
+    if (this.replays.has(replay.token)) {
+      throw new Error(`Replay already exists: ${replay.token}`);
+    }
+    this.replays.set(replay.token, replay);
+  }
+
+  /**
+   * List published replays
+   * @returns {Promise<Array>} Replay tokens
+   */
+  async list() {
+    return Array.from(this.replays.keys());
+  }
+}
+
+/**
+ * Replay store that writes every replay to its own JSON file
+ */
+class FileReplayStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Directory that holds the replay files
+   */
+  constructor(options) {
+    this.name = "file";
+    this.directory = options.directory;
+
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  /**
+   * Path of the file for a replay
+   * Tokens come from URLs, so anything outside [A-Za-z0-9_-] is rejected
+   * @param {string} token - Public replay token
+   * @returns {string|null} File path, or null for an invalid token
+   */
+  filePath(token) {
+    if (typeof token !== 'string' || !/^[A-Za-z0-9_-]+$/.test(token)) {
+      return null;
+    }
+    return path.join(this.directory, `${token}.json`);
+  }
+
+  /**
+   * Load a replay
+   * @param {string} token - Public replay token
+   * @returns {Promise<Object|null>} The replay, or null if missing
+   */
+  async get(token) {
+    const file = this.filePath(token);
+    if (!file) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Error reading replay ${token}`, { error });
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Store a new replay; the exclusive write flag guarantees an existing replay is never overwritten
+   * @param {Object} replay - Replay snapshot with a unique token
+   */
+  async create(replay) {
+    const file = this.filePath(replay.token);
+    if (!file) {
+      throw new Error(`Invalid replay token: ${replay.token}`);
+    }
+
+    await fs.promises.writeFile(file, JSON.stringify(replay), { flag: 'wx' });
+  }
+
+  /**
+   * List published replays
+   * @returns {Promise<Array>} Replay tokens
+   */
+  async list() {
+    const files = await fs.promises.readdir(this.directory);
+    return files.filter(file => file.endsWith('.json')).map(file => path.basename(file, '.json'));
+  }
+}
+
+module.exports = { MemoryReplayStore, FileReplayStore };
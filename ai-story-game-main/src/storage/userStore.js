@@ -0,0 +1,110 @@
+// User stores: player accounts keyed by their lowercase username
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../logger');
+
+/**
+ * User store that keeps accounts in a Map
+ * Accounts are lost when the server restarts
+ */
+class MemoryUserStore {
+  constructor() {
+    this.name = "memory";
+    this.users = new Map();
+  }
+
+  /**
+   * Load an account
+   * @param {string} username - Lowercase username
+   * @returns {Promise<Object|null>} User ({ username, password: { salt, hash }, createdAt }) or null
+   */
+  async get(username) {
+    return this.users.get(username) || null;
+  }
+
+  /**
+   * Store a new account
+   * @param {Object} user - User record
+   * @returns {Promise<boolean>} False if the username is already taken
+   */
+  async create(user) {
+    if (this.users.has(user.username)) {
+      return false;
+    }
+    this.users.set(user.username, user);
+    return true;
+  }
+}
+
+/**
+ * User store that writes every account to its own JSON file
+ */
+class FileUserStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Directory that holds the account files
+   */
+  constructor(options) {
+    this.name = "file";
+    this.directory = options.directory;
+
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  /**
+   * Path of the file for an account
+   * @param {string} username - Lowercase username
+   * @returns {string|null} File path, or null for an invalid username
+   */
+  filePath(username) {
+    if (typeof username !== 'string' || !/^[a-z0-9_-]+$/.test(username)) {
+      return null;
+    }
+    return path.join(this.directory, `${username}.json`);
+  }
+
+  /**
+   * Load an account
+   * @param {string} username - Lowercase username
+   * @returns {Promise<Object|null>} User ({ username, password: { salt, hash }, createdAt }) or null
+   */
+  async get(username) {
+    const file = this.filePath(username);
+    if (!file) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Error reading user ${username}`, { error });
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Store a new account; the exclusive write flag stops two registrations taking the same name
+   * @param {Object} user - User record
+   * @returns {Promise<boolean>} False if the username is already taken
+   */
+  async create(user) {
+    const file = this.filePath(user.username);
+    if (!file) {
+      throw new Error(`Invalid username: ${user.username}`);
+    }
+
+    try {
+      await fs.promises.writeFile(file, JSON.stringify(user), { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        return false;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = { MemoryUserStore, FileUserStore };
@@ -0,0 +1,173 @@
+// Long-term story memory: a rolling summary of the adventure plus key facts
+// A memory snapshot is stored on every scene, so each branch of the story tree remembers its own past
+
+// Characters of memory injected into prompts unless STORY_MEMORY_BUDGET says otherwise
+const DEFAULT_MEMORY_BUDGET = 1200;
+
+// Kinds of facts the narrator should keep track of
+const FACT_TYPES = ["character", "place", "item", "promise", "event"];
+
+// Upper bound on stored facts before the budget is even considered
+const MAX_FACTS = 20;
+
+/**
+ * Memory of a story that has not started yet
+ * @returns {Object} Empty memory ({ summary, facts })
+ */
+function createEmptyMemory() {
+  return { summary: "", facts: [] };
+}
+
+/**
+ * Prompt budget for memory, in characters
+ * @returns {number} Budget
+ */
+function getMemoryBudget() {
+  return Number(process.env.STORY_MEMORY_BUDGET) || DEFAULT_MEMORY_BUDGET;
+}
+
+/**
+ * Format memory for inclusion in a prompt
+ * @param {Object} memory - Memory ({ summary, facts })
+ * @returns {string} Memory block, or an empty string when there is nothing to remember
+ */
+function formatMemory(memory) {
+  if (!memory || (!memory.summary && memory.facts.length === 0)) {
+    return "";
+  }
+
+  const lines = [];
+  if (memory.summary) {
+    lines.push(`Story so far: ${memory.summary}`);
+  }
+  if (memory.facts.length > 0) {
+    lines.push("Key facts to stay consistent with:");
+    memory.facts.forEach(fact => lines.push(`- (${fact.type}) ${fact.text}`));
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Shrink memory until its prompt form fits the budget
+ * Oldest facts are dropped first; after that the start of the summary is cut
+ * @param {Object} memory - Memory ({ summary, facts })
+ * @param {number} budget - Maximum prompt length in characters
+ * @returns {Object} Memory that fits the budget
+ */
+function fitMemoryToBudget(memory, budget) {
+  const fitted = {
+    summary: memory.summary,
+    facts: memory.facts.slice(-MAX_FACTS)
+  };
+
+  while (fitted.facts.length > 0 && formatMemory(fitted).length > budget) {
+    fitted.facts.shift();
+  }
+
+  const overflow = formatMemory(fitted).length - budget;
+  if (overflow > 0) {
+    fitted.summary = "..." + fitted.summary.slice(overflow + 3);
+  }
+
+  return fitted;
+}
+
+/**
+ * Build the prompt that asks the LLM to fold the latest scene into memory
+ * @param {Object} memory - Memory before the scene
+ * @param {string} sceneText - Narration of the latest scene
+ * @param {string} userChoice - Choice that led to the scene
+ * @param {number} budget - Prompt budget for memory
+ * @returns {string} Summarization prompt
+ */
+function buildMemoryUpdatePrompt(memory, sceneText, userChoice, budget) {
+  // Leave roughly half the budget for facts
+  const summaryWords = Math.max(30, Math.floor(budget / 12));
+
+  return `
+You maintain the long-term memory of an interactive story game.
+Current summary: ${memory.summary || "(the story has just begun)"}
+Known facts: ${JSON.stringify(memory.facts)}
+The player chose: ${userChoice}
+Latest scene: "${sceneText}"
+
+Rewrite the summary so it covers the whole adventure in at most ${summaryWords} words.
+Update the list of key facts worth remembering: names of characters, places, important items and promises made.
+Keep facts that still matter, drop ones that no longer do, and add new ones from the latest scene.
+Respond with only JSON in this exact format:
+{"summary": "...", "facts": [{"type": "${FACT_TYPES.join('|')}", "text": "..."}]}
+`;
+}
+
+/**
+ * Parse the LLM's memory update
+ * @param {string} output - Raw LLM output
+ * @returns {Object|null} Memory ({ summary, facts }), or null if the output is unusable
+ */
+function parseMemoryUpdate(output) {
+  if (typeof output !== 'string') {
+    return null;
+  }
+
+  const jsonMatch = output.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    return null;
+  }
+
+  try {
+    const parsed = JSON.parse(jsonMatch[0]);
+    if (typeof parsed.summary !== 'string' || !Array.isArray(parsed.facts)) {
+      return null;
+    }
+
+    // Keep well-formed facts only, without duplicates
+    const seen = new Set();
+    const facts = parsed.facts
+      .filter(fact => fact && typeof fact.text === 'string' && fact.text.trim())
+      .map(fact => ({
+        type: FACT_TYPES.includes(fact.type) ? fact.type : "event",
+        text: fact.text.trim()
+      }))
+      .filter(fact => {
+        const key = fact.text.toLowerCase();
+        if (seen.has(key)) {
+          return false;
+        }
+        seen.add(key);
+        return true;
+      });
+
+    return { summary: parsed.summary.trim(), facts };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Update memory without the LLM by appending the scene's first sentence to the summary
+ * Used when summarization fails so the story still remembers something
+ * @param {Object} memory - Memory before the scene
+ * @param {string} sceneText - Narration of the latest scene
+ * @param {string} userChoice - Choice that led to the scene
+ * @returns {Object} Updated memory
+ */
+function appendSceneToMemory(memory, sceneText, userChoice) {
+  const firstSentence = (sceneText.match(/^[\s\S]*?[.!?](\s|$)/) || [sceneText])[0].trim();
+  const entry = userChoice === "Game start" ? firstSentence : `${userChoice}: ${firstSentence}`;
+
+  return {
+    summary: [memory.summary, entry].filter(Boolean).join(" "),
+    facts: memory.facts
+  };
+}
+
+module.exports = {
+  FACT_TYPES,
+  createEmptyMemory,
+  getMemoryBudget,
+  formatMemory,
+  fitMemoryToBudget,
+  buildMemoryUpdatePrompt,
+  parseMemoryUpdate,
+  appendSceneToMemory
+};
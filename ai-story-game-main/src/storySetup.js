@@ -0,0 +1,124 @@
+// Story setup: genre presets and validation of the configuration sent to /api/game/start
+
+// Genre presets used when the player leaves setup fields blank
+const GENRE_PRESETS = {
+  fantasy: {
+    label: "Fantasy",
+    premise: "You find yourself in a mysterious forest at dusk. The trees tower above you, their branches swaying gently in the breeze.",
+    tone: "mysterious and adventurous",
+    imageStyle: "epic fantasy painting",
+    goal: "Find your way out of the forest and discover who has been watching you."
+  },
+  "sci-fi": {
+    label: "Sci-Fi",
+    premise: "You wake from cryosleep aboard a silent colony ship. Emergency lights pulse red and the ship's AI does not answer.",
+    tone: "tense and wondrous",
+    imageStyle: "cinematic science fiction concept art",
+    goal: "Restore the ship's AI and bring the colonists safely to their new world."
+  },
+  noir: {
+    label: "Noir",
+    premise: "Rain hammers the window of your cramped detective office. A stranger in a wet coat slides an envelope across your desk.",
+    tone: "gritty, cynical and atmospheric",
+    imageStyle: "black and white film noir still, hard shadows",
+    goal: "Uncover who sent the envelope and what they want from you."
+  },
+  horror: {
+    label: "Horror",
+    premise: "Your car dies on a fog-covered road outside an abandoned village. Somewhere in the dark, a church bell begins to ring.",
+    tone: "dread-filled and unsettling",
+    imageStyle: "dark gothic horror illustration",
+    goal: "Survive the night and escape the village before the bell stops ringing."
+  }
+};
+
+// How much narration each scene should contain
+const NARRATION_LENGTHS = {
+  short: "1 short paragraph",
+  medium: "2-3 paragraphs",
+  long: "4-5 paragraphs"
+};
+
+const DEFAULT_GENRE = "fantasy";
+const DEFAULT_NARRATION_LENGTH = "medium";
+
+// Maximum lengths of the free-text setup fields
+const SETUP_FIELD_LIMITS = {
+  premise: 500,
+  protagonistName: 40,
+  protagonistDescription: 200,
+  tone: 60,
+  goal: 200
+};
+
+/**
+ * Collapse control characters and runs of whitespace in player-provided text
+ * @param {string} text - Raw text
+ * @returns {string} Cleaned text
+ */
+function cleanText(text) {
+  return text.replace(/[\u0000-\u001F\u007F]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Validate a story setup and fill blank fields from the genre preset
+ * A blank goal is left blank here; the game generates one when it starts
+ * @param {Object} [input] - Setup from the client ({ genre, premise, protagonistName, protagonistDescription, tone, goal, narrationLength })
+ * @returns {{ setup: Object|null, error: string|null }} Complete setup or a validation error
+ */
+function normalizeStorySetup(input) {
+  const raw = input || {};
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    return { setup: null, error: "Story setup must be an object" };
+  }
+
+  const genre = raw.genre || DEFAULT_GENRE;
+  const preset = GENRE_PRESETS[genre];
+  if (!preset) {
+    return { setup: null, error: `Unknown genre: ${genre}` };
+  }
+
+  const narrationLength = raw.narrationLength || DEFAULT_NARRATION_LENGTH;
+  if (!NARRATION_LENGTHS[narrationLength]) {
+    return { setup: null, error: `Unknown narration length: ${narrationLength}` };
+  }
+
+  // Clean the free-text fields and check their lengths
+  const fields = {};
+  for (const [field, limit] of Object.entries(SETUP_FIELD_LIMITS)) {
+    const value = raw[field];
+    if (value === undefined || value === null) {
+      fields[field] = "";
+      continue;
+    }
+    if (typeof value !== 'string') {
+      return { setup: null, error: `${field} must be a string` };
+    }
+
+    fields[field] = cleanText(value);
+    if (fields[field].length > limit) {
+      return { setup: null, error: `${field} must be at most ${limit} characters` };
+    }
+  }
+
+  return {
+    setup: {
+      genre,
+      premise: fields.premise || preset.premise,
+      protagonistName: fields.protagonistName,
+      protagonistDescription: fields.protagonistDescription,
+      tone: fields.tone || preset.tone,
+      goal: fields.goal,
+      narrationLength
+    },
+    error: null
+  };
+}
+
+module.exports = {
+  GENRE_PRESETS,
+  NARRATION_LENGTHS,
+  SETUP_FIELD_LIMITS,
+  cleanText,
+  normalizeStorySetup
+};
@@ -0,0 +1,353 @@
+// Usage accounting: a ledger of every provider call, estimated costs and generation budgets
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Estimated cost in USD of one call of each kind, by provider; USAGE_COSTS (JSON) overrides them
+const DEFAULT_COSTS = {
+  fal: { text: 0.002, choices: 0.002, image: 0.05, speech: 0.04 },
+  mock: { text: 0, choices: 0, image: 0, speech: 0 }
+};
+
+// Once a budget is reached, scenes continue without images and narration until spending passes the
+// budget by this fraction; after that new scenes are refused. 0 refuses as soon as the budget is reached
+const DEFAULT_TEXT_ONLY_ALLOWANCE = 0.25;
+
+// Budget levels, from normal play to no new scenes
+const BUDGET_LEVELS = ["ok", "text-only", "exhausted"];
+
+// Failed calls kept in memory for the admin dashboard
+const MAX_RECENT_ERRORS = 100;
+
+/**
+ * Cost overrides from USAGE_COSTS, keyed by provider and call kind
+ * @returns {Object} Overrides, empty if unset or not valid JSON
+ */
+function getCostOverrides() {
+  if (!process.env.USAGE_COSTS) {
+    return {};
+  }
+
+  try {
+    const overrides = JSON.parse(process.env.USAGE_COSTS);
+    return overrides && typeof overrides === 'object' ? overrides : {};
+  } catch (error) {
+    logger.warn("Ignoring USAGE_COSTS, it is not valid JSON");
+    return {};
+  }
+}
+
+/**
+ * Load the cost table, merging USAGE_COSTS over the defaults
+ * @returns {Object} Costs by provider and call kind
+ */
+function loadCosts() {
+  const overrides = getCostOverrides();
+  const costs = {};
+  for (const provider of new Set([...Object.keys(DEFAULT_COSTS), ...Object.keys(overrides)])) {
+    costs[provider] = { ...(DEFAULT_COSTS[provider] || {}), ...(overrides[provider] || {}) };
+  }
+  return costs;
+}
+
+/**
+ * Load budgets from environment config; unset budgets are unlimited
+ * BUDGET_SESSION_USD applies to a session's lifetime, BUDGET_USER_DAILY_USD and BUDGET_GLOBAL_DAILY_USD to each UTC day
+ * @returns {Object} Budgets ({ session, userDaily, globalDaily, textOnlyAllowance })
+ */
+function loadBudgets() {
+  const amount = (value) => (value !== undefined && value !== "" && Number(value) >= 0 ? Number(value) : null);
+  const allowance = amount(process.env.BUDGET_TEXT_ONLY_ALLOWANCE);
+
+  return {
+    session: amount(process.env.BUDGET_SESSION_USD),
+    userDaily: amount(process.env.BUDGET_USER_DAILY_USD),
+    globalDaily: amount(process.env.BUDGET_GLOBAL_DAILY_USD),
+    textOnlyAllowance: allowance === null ? DEFAULT_TEXT_ONLY_ALLOWANCE : allowance
+  };
+}
+
+/**
+ * Current UTC day, used to key daily totals and ledger files
+ * @param {number} [time] - Timestamp
+ * @returns {string} e.g. "2025-06-01"
+ */
+function dayOf(time = Date.now()) {
+  return new Date(time).toISOString().substring(0, 10);
+}
+
+/**
+ * Empty running total
+ * @returns {Object} Totals ({ calls, errors, cost, latencyMs })
+ */
+function createTotals() {
+  return { calls: 0, errors: 0, cost: 0, latencyMs: 0 };
+}
+
+/**
+ * Add a ledger entry to a running total
+ * @param {Object} totals - Totals to update in place
+ * @param {Object} entry - Ledger entry
+ */
+function addToTotals(totals, entry) {
+  totals.calls++;
+  totals.cost += entry.cost;
+  totals.latencyMs += entry.latencyMs;
+  if (!entry.ok) {
+    totals.errors++;
+  }
+}
+
+/**
+ * Records every provider call and keeps today's totals for budget checks and reporting
+ * Entries are appended to one JSON lines file per UTC day, and today's file is replayed on startup
+ */
+class UsageLedger {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.directory] - Directory for the daily ledger files; entries are only kept in memory without it
+   * @param {Object} [options.costs] - Cost table
+   * @param {Object} [options.budgets] - Budgets
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || null;
+    this.costs = options.costs || loadCosts();
+    this.budgets = options.budgets || loadBudgets();
+    this.day = dayOf();
+    this.resetDay();
+    this.recentErrors = [];
+
+    if (this.directory) {
+      fs.mkdirSync(this.directory, { recursive: true });
+      this.loadDay();
+    }
+  }
+
+  /**
+   * Clear today's totals
+   */
+  resetDay() {
+    this.total = createTotals();
+    this.byKind = {};
+    this.byModel = {};
+    this.byUser = new Map();
+    this.bySession = new Map();
+  }
+
+  /**
+   * Start new totals when the UTC day changes
+   */
+  rollOver() {
+    const today = dayOf();
+    if (today !== this.day) {
+      this.day = today;
+      this.resetDay();
+    }
+  }
+
+  /**
+   * Path of a day's ledger file
+   * @param {string} day - UTC day
+   * @returns {string} File path
+   */
+  filePath(day) {
+    return path.join(this.directory, `${day}.jsonl`);
+  }
+
+  /**
+   * Rebuild today's totals from its ledger file
+   */
+  loadDay() {
+    let content;
+    try {
+      content = fs.readFileSync(this.filePath(this.day), 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error("Error reading usage ledger", { error });
+      }
+      return;
+    }
+
+    for (const line of content.split("\n")) {
+      if (line.trim()) {
+        try {
+          this.count(JSON.parse(line));
+        } catch (error) {
+          logger.error("Skipping malformed usage ledger line");
+        }
+      }
+    }
+  }
+
+  /**
+   * Estimated cost of a call
+   * @param {string} provider - Provider name
+   * @param {string} kind - Call kind ("text", "choices", "image", "speech")
+   * @returns {number} Cost in USD
+   */
+  estimateCost(provider, kind) {
+    const costs = this.costs[provider];
+    return costs && typeof costs[kind] === 'number' ? costs[kind] : 0;
+  }
+
+  /**
+   * Add an entry to today's totals
+   * @param {Object} entry - Ledger entry
+   */
+  count(entry) {
+    addToTotals(this.total, entry);
+
+    // Newest first; failures from earlier days stay until pushed out
+    if (!entry.ok) {
+      this.recentErrors.unshift(entry);
+      this.recentErrors.length = Math.min(this.recentErrors.length, MAX_RECENT_ERRORS);
+    }
+
+    const groups = [
+      [this.byKind, entry.kind],
+      [this.byModel, entry.model]
+    ];
+    for (const [group, key] of groups) {
+      group[key] = group[key] || createTotals();
+      addToTotals(group[key], entry);
+    }
+
+    for (const [map, key] of [[this.byUser, entry.userId], [this.bySession, entry.sessionId]]) {
+      if (key) {
+        if (!map.has(key)) {
+          map.set(key, createTotals());
+        }
+        addToTotals(map.get(key), entry);
+      }
+    }
+  }
+
+  /**
+   * Record a provider call
+   * @param {Object} call - Call details ({ provider, kind, model, latencyMs, ok, error, sessionId, userId, requestId })
+   * @returns {Object} Ledger entry, including its estimated cost
+   */
+  record(call) {
+    this.rollOver();
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      sessionId: call.sessionId || null,
+      userId: call.userId || null,
+      requestId: call.requestId || null,
+      provider: call.provider,
+      kind: call.kind,
+      model: call.model,
+      latencyMs: call.latencyMs,
+      // Failed calls aren't billed
+      cost: call.ok ? this.estimateCost(call.provider, call.kind) : 0,
+      ok: call.ok
+    };
+    if (call.error) {
+      entry.error = call.error;
+    }
+
+    this.count(entry);
+
+    if (this.directory) {
+      fs.promises.appendFile(this.filePath(this.day), JSON.stringify(entry) + "\n")
+        .catch(error => logger.error("Error writing usage ledger", { error }));
+    }
+    return entry;
+  }
+
+  /**
+   * Work out how far over budget a game is
+   * @param {Object} [usage] - Lifetime usage of the session ({ cost })
+   * @param {string} [userId] - Owner of the session
+   * @returns {{ level: string, reasons: Array }} Budget level and which budgets were reached
+   */
+  checkBudget(usage, userId) {
+    this.rollOver();
+
+    const spent = [
+      ["session", usage ? usage.cost : 0, this.budgets.session],
+      ["user", userId && this.byUser.has(userId) ? this.byUser.get(userId).cost : 0, this.budgets.userDaily],
+      ["global", this.total.cost, this.budgets.globalDaily]
+    ];
+
+    let level = "ok";
+    const reasons = [];
+    for (const [name, cost, budget] of spent) {
+      if (budget === null || cost < budget) {
+        continue;
+      }
+
+      const budgetLevel = cost >= budget * (1 + this.budgets.textOnlyAllowance) ? "exhausted" : "text-only";
+      reasons.push(`${name} budget reached`);
+      if (BUDGET_LEVELS.indexOf(budgetLevel) > BUDGET_LEVELS.indexOf(level)) {
+        level = budgetLevel;
+      }
+    }
+
+    return { level, reasons };
+  }
+
+  /**
+   * Most recent failed provider calls
+   * @param {Object} [filter]
+   * @param {string} [filter.kind] - Only calls of this kind ("text", "choices", "image", "speech")
+   * @param {string} [filter.model] - Only calls to this model
+   * @param {number} [filter.limit] - Most entries to return
+   * @returns {Array} Ledger entries of failed calls, newest first
+   */
+  getRecentErrors(filter = {}) {
+    return this.recentErrors
+      .filter(entry => (!filter.kind || entry.kind === filter.kind) && (!filter.model || entry.model === filter.model))
+      .slice(0, filter.limit || MAX_RECENT_ERRORS);
+  }
+
+  /**
+   * Aggregate usage for reporting
+   * @param {number} [top=10] - How many users and sessions to list
+   * @returns {Object} Today's totals, breakdowns and budgets
+   */
+  getSummary(top = 10) {
+    this.rollOver();
+
+    const ranked = (map, key) => Array.from(map.entries())
+      .map(([id, totals]) => ({ [key]: id, ...totals }))
+      .sort((a, b) => b.cost - a.cost)
+      .slice(0, top);
+
+    return {
+      day: this.day,
+      total: this.total,
+      byKind: this.byKind,
+      byModel: this.byModel,
+      topUsers: ranked(this.byUser, "userId"),
+      topSessions: ranked(this.bySession, "sessionId"),
+      budgets: this.budgets
+    };
+  }
+}
+
+// Ledger shared by every game
+let defaultLedger = null;
+
+/**
+ * Get the shared usage ledger, writing to USAGE_DIR (data/usage by default)
+ * @returns {UsageLedger} Ledger
+ */
+function getUsageLedger() {
+  if (!defaultLedger) {
+    defaultLedger = new UsageLedger({
+      directory: process.env.USAGE_DIR || path.join(__dirname, '..', 'data', 'usage')
+    });
+  }
+  return defaultLedger;
+}
+
+module.exports = {
+  DEFAULT_COSTS,
+  BUDGET_LEVELS,
+  UsageLedger,
+  createTotals,
+  addToTotals,
+  getUsageLedger
+};
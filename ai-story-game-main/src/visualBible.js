@@ -0,0 +1,141 @@
+// Visual bible: per-session art style, character appearance sheets and image seed
+// Every scene image prompt is built from the bible so illustrations stay consistent
+const crypto = require('crypto');
+const { GENRE_PRESETS } = require('./storySetup');
+
+// Limits on the character sheets kept in the bible
+const MAX_CHARACTERS = 8;
+const MAX_APPEARANCE_LENGTH = 200;
+
+/**
+ * Create the visual bible for a new session
+ * @param {Object} setup - Normalized story setup
+ * @param {Object} [options]
+ * @param {number} [options.seed] - Fixed image seed; random if omitted
+ * @returns {Object} Bible ({ style, seed, characters: [{ name, appearance, protagonist? }] })
+ */
+function createVisualBible(setup, options = {}) {
+  const preset = GENRE_PRESETS[setup.genre];
+  const characters = [];
+
+  // The protagonist's sheet comes straight from the story setup when the player described them
+  if (setup.protagonistDescription) {
+    characters.push({
+      name: setup.protagonistName || "the protagonist",
+      appearance: setup.protagonistDescription.substring(0, MAX_APPEARANCE_LENGTH),
+      protagonist: true
+    });
+  }
+
+  return {
+    style: `${preset.imageStyle}, ${setup.tone} mood, consistent color palette and character designs`,
+    seed: Number.isInteger(options.seed) ? options.seed : crypto.randomInt(0, 2147483647),
+    characters
+  };
+}
+
+/**
+ * Build the prompt that asks the LLM for the appearance of characters in a scene
+ * @param {Object} bible - Current visual bible
+ * @param {string} sceneText - Narration of the scene
+ * @returns {string} Extraction prompt
+ */
+function buildCharacterExtractionPrompt(bible, sceneText) {
+  const known = bible.characters.map(character => character.name);
+
+  return `
+You keep the illustration notes for an illustrated story.
+Scene: "${sceneText}"
+Characters already described: ${known.length > 0 ? known.join(", ") : "none"}
+
+List characters who appear in this scene and are NOT already described, with a short visual description
+(age, build, hair, clothing, distinguishing features). Invent plausible details that fit the story if the text is vague.
+Refer to the player character as "the protagonist". If there are no new characters, return an empty list.
+Respond with only JSON in this exact format:
+{"characters": [{"name": "...", "appearance": "..."}]}
+`;
+}
+
+/**
+ * Parse extracted characters and add the new ones to the bible
+ * Existing appearance sheets are never changed, so a character looks the same in every image
+ * @param {Object} bible - Current visual bible
+ * @param {string} output - Raw LLM output
+ * @returns {Object} Updated bible
+ */
+function mergeExtractedCharacters(bible, output) {
+  if (typeof output !== 'string') {
+    return bible;
+  }
+
+  const jsonMatch = output.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    return bible;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonMatch[0]);
+  } catch (error) {
+    return bible;
+  }
+  if (!parsed || !Array.isArray(parsed.characters)) {
+    return bible;
+  }
+
+  const characters = [...bible.characters];
+  for (const candidate of parsed.characters) {
+    if (characters.length >= MAX_CHARACTERS) {
+      break;
+    }
+    if (!candidate || typeof candidate.name !== 'string' || typeof candidate.appearance !== 'string') {
+      continue;
+    }
+
+    const name = candidate.name.trim();
+    const appearance = candidate.appearance.trim().substring(0, MAX_APPEARANCE_LENGTH);
+    const protagonist = name.toLowerCase() === "the protagonist";
+    const alreadyKnown = characters.some(character =>
+      character.name.toLowerCase() === name.toLowerCase() || (protagonist && character.protagonist)
+    );
+    if (name && appearance && !alreadyKnown) {
+      characters.push(protagonist ? { name, appearance, protagonist } : { name, appearance });
+    }
+  }
+
+  return { ...bible, characters };
+}
+
+/**
+ * Build the variables of the scene image prompt from the bible
+ * Only the protagonist and characters named in the scene are included, to keep the prompt focused
+ * @param {Object} bible - Visual bible
+ * @param {string} genreLabel - Genre shown in the prompt
+ * @param {string} sceneDescription - What happens in the scene
+ * @param {string} [sceneText] - Full scene narration, used to find which characters are present
+ * @returns {Object} Image prompt variables ({ genre, description, characters, style })
+ */
+function buildImagePromptVariables(bible, genreLabel, sceneDescription, sceneText) {
+  const description = `${sceneDescription} ${sceneText || ""}`.toLowerCase();
+  const characters = bible.characters.filter(character =>
+    character.protagonist || description.includes(character.name.toLowerCase())
+  );
+
+  const characterLines = characters.length > 0
+    ? `Characters: ${characters.map(character => `${character.name}: ${character.appearance}`).join("; ")}`
+    : "";
+
+  return {
+    genre: genreLabel,
+    description: sceneDescription,
+    characters: characterLines,
+    style: bible.style
+  };
+}
+
+module.exports = {
+  createVisualBible,
+  buildCharacterExtractionPrompt,
+  mergeExtractedCharacters,
+  buildImagePromptVariables
+};
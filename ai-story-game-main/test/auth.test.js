@@ -0,0 +1,96 @@
+// Accounts and ownership: players sign in with a login cookie, repeated failed sign-ins are locked out,
+// and no player can play, rewind or export another player's game
+const test = require('node:test');
+const assert = require('node:assert');
+const { LOGIN_COOKIE, parseCookies, LoginSessions, LoginAttempts } = require('../src/auth');
+const { startServer, createClient, signIn } = require('./helpers/server');
+
+test('players register, sign in and out with the login cookie', async (t) => {
+  const baseUrl = await startServer(t);
+  const player = await signIn(baseUrl, "alice", "password123");
+  assert.ok(player.cookie.startsWith(`${LOGIN_COOKIE}=`));
+
+  assert.deepStrictEqual((await player.get('/api/auth/me')).body, { username: "alice" });
+  assert.deepStrictEqual((await createClient(baseUrl).get('/api/auth/me')).body, { username: null });
+
+  const anonymous = createClient(baseUrl);
+  assert.strictEqual((await anonymous.post('/api/auth/register', { username: "alice", password: "password456" })).status, 409);
+  assert.strictEqual((await anonymous.post('/api/auth/register', { username: "x", password: "password123" })).status, 400);
+  assert.strictEqual((await anonymous.post('/api/auth/login', { username: "alice", password: "wrong-password" })).status, 401);
+  assert.strictEqual((await anonymous.post('/api/game/start', { setup: { genre: "fantasy" } })).status, 401);
+
+  const login = await anonymous.post('/api/auth/login', { username: "Alice", password: "password123" });
+  assert.strictEqual(login.status, 200);
+  assert.deepStrictEqual(login.body, { username: "alice" });
+
+  assert.strictEqual((await player.post('/api/auth/logout', {})).status, 200);
+  assert.deepStrictEqual((await player.get('/api/auth/me')).body, { username: null });
+});
+
+test('repeated failed sign-ins are locked out', async (t) => {
+  const baseUrl = await startServer(t, { LOGIN_MAX_ATTEMPTS: "3" });
+  await signIn(baseUrl, "alice", "password123");
+  const client = createClient(baseUrl);
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    assert.strictEqual((await client.post('/api/auth/login', { username: "alice", password: "wrong-password" })).status, 401);
+  }
+
+  // Locked out, even with the right password, until the window has passed
+  const locked = await client.post('/api/auth/login', { username: "alice", password: "password123" });
+  assert.strictEqual(locked.status, 429);
+  assert.ok(Number(locked.headers.get('retry-after')) > 0);
+  assert.ok(locked.body.retryAfterMs > 0);
+});
+
+test('players cannot reach games they do not own', async (t) => {
+  const baseUrl = await startServer(t);
+  const owner = await signIn(baseUrl, "alice", "password123");
+  const intruder = await signIn(baseUrl, "mallory", "password123");
+
+  const start = await owner.post('/api/game/start', { setup: { genre: "fantasy" } });
+  assert.strictEqual(start.status, 200);
+  const { sessionId } = start.body;
+  assert.strictEqual((await owner.post('/api/game/choice', { sessionId, choiceIndex: 0 })).status, 200);
+
+  assert.strictEqual((await intruder.post('/api/game/choice', { sessionId, choiceIndex: 1 })).status, 404);
+  assert.strictEqual((await intruder.post('/api/game/rewind', { sessionId, historyIndex: 0 })).status, 404);
+  assert.strictEqual((await intruder.get(`/api/game/${sessionId}/export`)).status, 404);
+  assert.strictEqual((await intruder.get(`/api/game/${sessionId}`)).status, 404);
+
+  // The owner's game is untouched
+  const tree = await owner.get(`/api/game/${sessionId}/tree`);
+  assert.strictEqual(tree.status, 200);
+  assert.strictEqual(tree.body.nodes.length, 2);
+  assert.strictEqual((await owner.get(`/api/game/${sessionId}/export`)).status, 200);
+});
+
+test('cookies that do not decode are skipped instead of failing the request', async (t) => {
+  assert.deepStrictEqual(parseCookies("ga=100%; theme=dark%20blue"), { theme: "dark blue" });
+
+  const baseUrl = await startServer(t);
+  const player = await signIn(baseUrl, "alice", "password123");
+
+  const anonymous = createClient(baseUrl, "ga=100%");
+  const me = await anonymous.get('/api/auth/me');
+  assert.strictEqual(me.status, 200);
+  assert.deepStrictEqual(me.body, { username: null });
+
+  const signedIn = createClient(baseUrl, `ga=100%; ${player.cookie}`);
+  assert.deepStrictEqual((await signedIn.get('/api/auth/me')).body, { username: "alice" });
+});
+
+test('expired logins and lockouts are swept', () => {
+  const sessions = new LoginSessions({ ttlMs: 1000 });
+  const token = sessions.create("alice");
+  sessions.sessions.get(token).expiresAt = Date.now() - 1;
+  assert.strictEqual(sessions.sweep(), 1);
+  assert.strictEqual(sessions.get(token), null);
+
+  const attempts = new LoginAttempts({ maxAttempts: 1, windowMs: 1000 });
+  attempts.fail(["user:alice"]);
+  assert.ok(attempts.retryAfter(["user:alice"]) > 0);
+  attempts.attempts.get("user:alice").resetAt = Date.now() - 1;
+  assert.strictEqual(attempts.retryAfter(["user:alice"]), 0);
+  assert.strictEqual(attempts.sweep(), 1);
+});
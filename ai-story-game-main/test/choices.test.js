@@ -0,0 +1,26 @@
+// Choice indexes outside the current scene's choices are rejected before anything is generated
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { GameState } = require('../src/gameState');
+const { UsageLedger } = require('../src/usage');
+
+test('only the current scene\'s choices can be made', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'story-usage-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const game = new GameState({ provider: "mock", setup: { genre: "fantasy" }, ledger: new UsageLedger({ directory }) });
+  const opening = await game.startNewGame();
+
+  for (const index of [undefined, NaN, -1, 1.5, "0", opening.choices.length]) {
+    assert.strictEqual(game.hasChoice(index), false);
+    await assert.rejects(game.makeChoice(index), { code: "INVALID_CHOICE" });
+  }
+  assert.strictEqual(game.nodes.length, 1);
+
+  assert.strictEqual(game.hasChoice(opening.choices.length - 1), true);
+  await game.makeChoice(opening.choices.length - 1);
+  assert.strictEqual(game.nodes.length, 2);
+});
@@ -0,0 +1,102 @@
+// Record a game played against the mock provider through the HTTP API, then replay its fixture offline
+// and check the replayed game sees the same scenes
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  RecordingProvider,
+  FixtureProvider,
+  resolveFixturePath,
+  releaseFixtureCursors
+} = require('../src/providers/fixtureProvider');
+const { MockProvider } = require('../src/providers/mockProvider');
+const { startServer, makeDataDir, signIn } = require('./helpers/server');
+
+/**
+ * Play start, two choices and a rewind to the opening scene
+ * @param {Object} client - Signed-in client
+ * @returns {Promise<Object>} Session ID and the scenes seen ({ sessionId, scenes })
+ */
+async function playthrough({ post }) {
+  const start = await post('/api/game/start', { setup: { genre: "fantasy" } });
+  assert.strictEqual(start.status, 200, JSON.stringify(start.body));
+  const { sessionId } = start.body;
+
+  const first = await post('/api/game/choice', { sessionId, choiceIndex: 0 });
+  assert.strictEqual(first.status, 200, JSON.stringify(first.body));
+  const second = await post('/api/game/choice', { sessionId, choiceIndex: 2 });
+  assert.strictEqual(second.status, 200, JSON.stringify(second.body));
+
+  const rewound = await post('/api/game/rewind', { sessionId, historyIndex: 0 });
+  assert.strictEqual(rewound.status, 200, JSON.stringify(rewound.body));
+  assert.strictEqual(rewound.body.text, start.body.text);
+
+  const scenes = [start, first, second, rewound].map(reply => ({
+    text: reply.body.text,
+    choices: reply.body.choices.map(choice => choice.label)
+  }));
+  return { sessionId, scenes };
+}
+
+test('a recorded game replays from its fixture with the same scenes', async (t) => {
+  const fixtureDir = makeDataDir(t);
+
+  const recordingUrl = await startServer(t, { FIXTURE_DIR: fixtureDir, RECORD_FIXTURES: "true" });
+  const recorded = await playthrough(await signIn(recordingUrl));
+  assert.ok(fs.existsSync(path.join(fixtureDir, `${recorded.sessionId}.jsonl`)));
+
+  const replayUrl = await startServer(t, {
+    FIXTURE_DIR: fixtureDir,
+    GAME_PROVIDER: "fixture",
+    FIXTURE_FILE: recorded.sessionId,
+    FIXTURE_STRICT: "true"
+  });
+  const client = await signIn(replayUrl);
+  const replayed = await playthrough(client);
+  assert.deepStrictEqual(replayed.scenes, recorded.scenes);
+
+  // Fixtures are server config; clients can't pick them
+  const picked = await client.post('/api/game/start', { provider: "fixture", setup: { genre: "fantasy" } });
+  assert.strictEqual(picked.status, 400);
+});
+
+test('a replay that leaves the recording fails instead of inventing scenes', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'story-fixtures-'));
+  const previousDir = process.env.FIXTURE_DIR;
+  process.env.FIXTURE_DIR = dir;
+  t.after(() => {
+    process.env.FIXTURE_DIR = previousDir;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const recorder = new RecordingProvider(new MockProvider(), { sessionId: "recorded" });
+  const text = await recorder.generateText("Narrate the opening");
+  await recorder.generateChoices("Offer choices");
+
+  const replay = new FixtureProvider({ fixture: "recorded", sessionId: "replay", strict: true });
+  assert.deepStrictEqual(await replay.generateText("Narrate the opening"), text);
+  await assert.rejects(replay.generateText("Offer choices"), { code: "FIXTURE_MISMATCH" });
+
+  // A removed session starts the fixture over
+  releaseFixtureCursors("replay");
+  assert.deepStrictEqual(await replay.generateText("Narrate the opening"), text);
+});
+
+test('only fixture IDs and FIXTURE_FILE resolve to fixture files', () => {
+  const previousFile = process.env.FIXTURE_FILE;
+  process.env.FIXTURE_FILE = "/tmp/chosen.jsonl";
+  try {
+    assert.ok(resolveFixturePath("abc_DEF-123").endsWith(`${path.sep}abc_DEF-123.jsonl`));
+    assert.strictEqual(resolveFixturePath("/tmp/chosen.jsonl"), path.resolve("/tmp/chosen.jsonl"));
+    assert.strictEqual(resolveFixturePath("/etc/passwd"), null);
+    assert.strictEqual(resolveFixturePath("../sessions/abc"), null);
+  } finally {
+    if (previousFile === undefined) {
+      delete process.env.FIXTURE_FILE;
+    } else {
+      process.env.FIXTURE_FILE = previousFile;
+    }
+  }
+});
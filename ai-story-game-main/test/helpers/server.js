@@ -0,0 +1,142 @@
+// Test harness: run the game server in a child process with its own storage and talk to it over HTTP
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const SERVER = path.join(__dirname, '..', '..', 'src', 'index.js');
+
+/**
+ * Find a port nothing is listening on
+ * @returns {Promise<number>} Port
+ */
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Storage settings that keep a server's data in a directory of its own
+ * @param {string} directory - Data directory
+ * @returns {Object} Environment variables
+ */
+function storageEnv(directory) {
+  return {
+    USER_DIR: path.join(directory, 'users'),
+    SESSION_DIR: path.join(directory, 'sessions'),
+    USAGE_DIR: path.join(directory, 'usage'),
+    MEDIA_DIR: path.join(directory, 'media'),
+    REPLAY_DIR: path.join(directory, 'replays'),
+    FIXTURE_DIR: path.join(directory, 'fixtures')
+  };
+}
+
+/**
+ * Make a data directory that is removed when the test ends
+ * @param {Object} t - Test context
+ * @returns {string} Directory path
+ */
+function makeDataDir(t) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'story-server-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+/**
+ * Start the game server in a child process and wait until it answers
+ * The mock provider and storage in a temporary directory are used unless env says otherwise
+ * @param {Object} t - Test context, which stops the server when the test ends
+ * @param {Object} [env] - Environment for the server
+ * @returns {Promise<string>} Base URL
+ */
+async function startServer(t, env = {}) {
+  const port = await getFreePort();
+  const child = spawn(process.execPath, [SERVER], {
+    env: {
+      ...process.env,
+      FAL_KEY: "",
+      GAME_PROVIDER: "mock",
+      LOG_LEVEL: "error",
+      ...storageEnv(makeDataDir(t)),
+      ...env,
+      PORT: String(port)
+    },
+    stdio: ['ignore', 'ignore', 'inherit']
+  });
+  t.after(() => child.kill());
+
+  const baseUrl = `http://localhost:${port}`;
+  for (let attempt = 0; attempt < 100; attempt++) {
+    if (child.exitCode !== null) {
+      throw new Error(`Server exited with code ${child.exitCode}`);
+    }
+    try {
+      await fetch(`${baseUrl}/api/auth/me`);
+      return baseUrl;
+    } catch (error) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  throw new Error("Server did not start");
+}
+
+/**
+ * Client that sends JSON and an optional Cookie header
+ * @param {string} baseUrl - Server URL
+ * @param {string} [cookie] - Cookie header to send
+ * @returns {Object} { cookie, get(route), post(route, body) } resolving to { status, headers, body }
+ */
+function createClient(baseUrl, cookie) {
+  const request = async (method, route, body) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (cookie) {
+      headers.Cookie = cookie;
+    }
+    const reply = await fetch(`${baseUrl}${route}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await reply.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      // Exports and other files aren't JSON
+    }
+    return { status: reply.status, headers: reply.headers, body: parsed };
+  };
+
+  return {
+    cookie,
+    get: (route) => request('GET', route),
+    post: (route, body) => request('POST', route, body)
+  };
+}
+
+/**
+ * Register a player and return a client signed in as them
+ * @param {string} baseUrl - Server URL
+ * @param {string} [username] - Username
+ * @param {string} [password] - Password
+ * @returns {Promise<Object>} Signed-in client, as from createClient
+ */
+async function signIn(baseUrl, username = "tester", password = "password123") {
+  const response = await fetch(`${baseUrl}/api/auth/register`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password })
+  });
+  assert.strictEqual(response.status, 201);
+  return createClient(baseUrl, response.headers.get('set-cookie').split(';')[0]);
+}
+
+module.exports = { startServer, makeDataDir, createClient, signIn };
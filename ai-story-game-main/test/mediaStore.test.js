@@ -0,0 +1,22 @@
+// Generated media is stored once under its content hash, however many scenes cache it at the same time
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MediaStore } = require('../src/storage/mediaStore');
+const { MockProvider } = require('../src/providers/mockProvider');
+
+test('concurrent caches of the same media all get the local URL', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'story-media-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const store = new MediaStore({ directory });
+  const image = await new MockProvider().generateImage("A lantern in the woods", { seed: 1 });
+  const url = image.images[0].url;
+
+  const cached = await Promise.all(Array.from({ length: 5 }, () => store.cache(url)));
+  assert.ok(cached[0].startsWith("/media/"));
+  assert.deepStrictEqual(new Set(cached), new Set([cached[0]]));
+  assert.deepStrictEqual(fs.readdirSync(directory), [path.basename(cached[0])]);
+});
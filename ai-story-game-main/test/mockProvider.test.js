@@ -0,0 +1,91 @@
+// The mock provider answers every prompt the game sends with output its parsers accept,
+// so a whole game can be played without FAL_KEY or network access
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MockProvider } = require('../src/providers/mockProvider');
+const { GameState } = require('../src/gameState');
+const { UsageLedger } = require('../src/usage');
+const { buildGoalPrompt, parseGoal, buildEndingCheckPrompt, parseEndingCheck, buildEpiloguePrompt } = require('../src/endings');
+const { buildMemoryUpdatePrompt, parseMemoryUpdate } = require('../src/storyMemory');
+const { createPlayerSheet, buildStateChangePrompt, parseStateChanges } = require('../src/playerSheet');
+const { buildCharacterExtractionPrompt, mergeExtractedCharacters } = require('../src/visualBible');
+const { splitDialogue, buildAttributionPrompt, parseAttribution } = require('../src/dialogue');
+const { buildConditionPrompt, parseConditionCheck } = require('../src/scenarios');
+
+const SCENE = 'The bridge creaks underfoot. "Who goes there?" the guard calls. "A friend," you answer.';
+
+/**
+ * Output of the mock provider for a text prompt
+ * @param {string} prompt - Prompt
+ * @returns {Promise<string>} Raw output
+ */
+async function mockOutput(prompt) {
+  const result = await new MockProvider().generateText(prompt);
+  return result.data.output;
+}
+
+test('mock goals are single sentences the goal parser accepts', async () => {
+  const goal = parseGoal(await mockOutput(buildGoalPrompt("Genre: fantasy", "A forest at dusk")));
+  assert.ok(goal);
+  assert.doesNotMatch(goal, /\n/);
+});
+
+test('mock ending checks never end the story', async () => {
+  const output = await mockOutput(buildEndingCheckPrompt("Find the crown", SCENE, ""));
+  assert.doesNotThrow(() => JSON.parse(output));
+  assert.strictEqual(parseEndingCheck(output), null);
+});
+
+test('mock memory updates keep the known facts and extend the summary', async () => {
+  const memory = { summary: "You entered the woods.", facts: [{ type: "place", text: "The woods" }] };
+  const updated = parseMemoryUpdate(await mockOutput(buildMemoryUpdatePrompt(memory, SCENE, "Cross the bridge", 600)));
+  assert.ok(updated);
+  assert.match(updated.summary, /^You entered the woods\. The bridge creaks underfoot\./);
+  assert.deepStrictEqual(updated.facts, memory.facts);
+});
+
+test('mock state changes are valid player sheet changes', async () => {
+  for (const choice of ["a", "b", "c", "d", "e", "f"]) {
+    const output = await mockOutput(buildStateChangePrompt(createPlayerSheet(), SCENE, choice));
+    assert.ok(Array.isArray(JSON.parse(output).changes));
+    assert.strictEqual(parseStateChanges(output).length, JSON.parse(output).changes.length);
+  }
+});
+
+test('mock character extraction, attribution and condition checks parse', async () => {
+  const bible = { characters: [] };
+  assert.deepStrictEqual(mergeExtractedCharacters(bible, await mockOutput(buildCharacterExtractionPrompt(bible, SCENE))).characters, []);
+
+  const segments = splitDialogue(SCENE);
+  const lines = segments.filter(segment => segment.type === "speech").length;
+  assert.deepStrictEqual(parseAttribution(await mockOutput(buildAttributionPrompt(SCENE, segments, [])), lines), new Array(lines).fill("unknown"));
+
+  assert.strictEqual(parseConditionCheck(await mockOutput(buildConditionPrompt("The guard lets you pass", SCENE, ""))), false);
+});
+
+test('mock epilogues are narration, not story passages', async () => {
+  const epilogue = await mockOutput(buildEpiloguePrompt("Genre: fantasy", "Find the crown", "", { type: "victory" }, SCENE));
+  assert.ok(epilogue.length > 0);
+  assert.doesNotMatch(epilogue, /^\{/);
+});
+
+test('a game plays through with the mock provider and restores with it', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'story-usage-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const game = new GameState({ provider: "mock", setup: { genre: "fantasy" }, ledger: new UsageLedger({ directory }) });
+  const opening = await game.startNewGame();
+  assert.ok(opening.text);
+  assert.ok(game.goal);
+  assert.strictEqual(opening.choices.length, 3);
+
+  const next = await game.makeChoice(0);
+  assert.ok(next.text);
+  assert.strictEqual(next.choices.length, 3);
+
+  const restored = GameState.fromJSON(JSON.parse(JSON.stringify(game.toJSON())));
+  assert.deepStrictEqual(restored.provider.config, { name: "mock" });
+});
@@ -0,0 +1,47 @@
+// The local rule-based classifier is the offline moderation baseline, so its verdicts must be predictable
+const test = require('node:test');
+const assert = require('node:assert');
+const { classifyWithRules, softenText } = require('../src/moderation/rules');
+const { Moderator } = require('../src/moderation');
+
+test('flags each category it is meant to catch', () => {
+  assert.deepStrictEqual(classifyWithRules("The stranger wanted sex with the child."), ["sexual_minors", "sexual"]);
+  assert.deepStrictEqual(classifyWithRules("They had sex in the tavern."), ["sexual"]);
+  assert.deepStrictEqual(classifyWithRules("He preached about the master race."), ["hate"]);
+  assert.deepStrictEqual(classifyWithRules("I want to kill myself."), ["self_harm"]);
+  assert.deepStrictEqual(classifyWithRules("The ogre began to disembowel the guard."), ["graphic_violence"]);
+});
+
+test('leaves ordinary fiction alone', () => {
+  for (const text of [
+    "The sexton led the children to the chapel.",
+    "She drew her naked blade to protect the kids.",
+    "The teen read about Al Gore.",
+    "The farmer pressed grapes and rapeseed while the children played.",
+    "The bull gored the fence post."
+  ]) {
+    assert.deepStrictEqual(classifyWithRules(text), [], text);
+  }
+});
+
+test('only matches multi-word rules inside one sentence', () => {
+  const text = "The children ran to the square. Later, two adults in the inn talked about sex.";
+  assert.deepStrictEqual(classifyWithRules(text), ["sexual"]);
+});
+
+test('adds extra policy terms', () => {
+  assert.deepStrictEqual(classifyWithRules("A grimwort potion.", { hate: ["grimwort"] }), ["hate"]);
+});
+
+test('softening drops only the flagged sentences', () => {
+  assert.strictEqual(
+    softenText("You open the door. The ogre starts to dismember the guard. You run."),
+    "You open the door. You run."
+  );
+});
+
+test('ordinary fiction passes the default policy untouched', async () => {
+  const moderator = new Moderator();
+  const review = await moderator.review("The sexton led the children to the chapel. The teen read about Al Gore.", "narration");
+  assert.strictEqual(review.action, "allow");
+});
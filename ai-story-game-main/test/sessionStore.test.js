@@ -0,0 +1,47 @@
+// Active sessions are counted for every metrics scrape, so counting must not read every session file
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileSessionStore } = require('../src/storage/fileStore');
+const { MemorySessionStore } = require('../src/storage/memoryStore');
+
+// Stands in for a GameState; the stores only serialize it
+const game = { ownerId: "tester", toJSON: () => ({ ownerId: "tester" }) };
+
+test('the file store counts active sessions from its index after the first count', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'story-sessions-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  await new FileSessionStore({ directory }).save("before", game);
+
+  const store = new FileSessionStore({ directory, ttlMs: 60 * 1000 });
+  assert.strictEqual(await store.countActive(), 1);
+
+  let reads = 0;
+  const readRecord = store.readRecord.bind(store);
+  store.readRecord = (sessionId) => {
+    reads++;
+    return readRecord(sessionId);
+  };
+
+  await store.save("a", game);
+  await store.save("b", game);
+  reads = 0;
+  assert.strictEqual(await store.countActive(), 3);
+
+  await store.expire("a");
+  await store.delete("b");
+  reads = 0;
+  assert.strictEqual(await store.countActive(), 1);
+  assert.strictEqual(reads, 0);
+});
+
+test('the memory store counts sessions that have not expired', async () => {
+  const store = new MemorySessionStore();
+  await store.save("a", game);
+  await store.save("b", game);
+  await store.expire("a");
+  assert.strictEqual(await store.countActive(), 1);
+});
@@ -0,0 +1,33 @@
+// Replaying an action from the same scene revisits its branch instead of generating a new one
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { GameState } = require('../src/gameState');
+const { UsageLedger } = require('../src/usage');
+
+test('typed actions named like object properties are kept in the tree', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'story-usage-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const game = new GameState({ provider: "mock", setup: { genre: "fantasy" }, ledger: new UsageLedger({ directory }) });
+  await game.startNewGame();
+
+  for (const action of ["__proto__", "constructor", "toString"]) {
+    if (game.currentNodeId !== 0) {
+      game.rewind(0);
+    }
+    await game.takeAction(action);
+  }
+  assert.deepStrictEqual(Object.keys(game.nodes[0].children), ["__proto__", "constructor", "toString"]);
+
+  // The same action from the same scene, before and after a save, goes back to its scene
+  const restored = GameState.fromJSON(JSON.parse(JSON.stringify(game.toJSON())));
+  for (const story of [game, restored]) {
+    story.rewind(0);
+    await story.takeAction("__proto__");
+    assert.strictEqual(story.nodes.length, 4);
+    assert.strictEqual(story.currentNodeId, 1);
+  }
+});